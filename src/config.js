@@ -0,0 +1,182 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+
+const DEFAULT_CONFIG = {
+  transport: 'stdio',
+  http: { host: '127.0.0.1', port: 3000, token: null, allowedHosts: null, sessionIdleMs: 30 * 60 * 1000 },
+  tools: { enabled: null, disabled: [] },
+  timeouts: { defaultMs: null, tools: {} },
+  allowedRoots: null,
+  artifacts: { scope: 'session' },
+  adb: { record: null, replay: null, match: 'strict' }
+};
+
+const CLI_OPTIONS = {
+  config: { type: 'string' },
+  transport: { type: 'string' },
+  host: { type: 'string' },
+  port: { type: 'string' },
+  'http-token': { type: 'string' },
+  'allowed-hosts': { type: 'string', multiple: true },
+  'session-idle-ms': { type: 'string' },
+  'enable-tools': { type: 'string', multiple: true },
+  'disable-tools': { type: 'string', multiple: true },
+  'allowed-roots': { type: 'string', multiple: true },
+  'timeout-ms': { type: 'string' },
+  'artifact-scope': { type: 'string' },
+  'adb-record': { type: 'string' },
+  'adb-replay': { type: 'string' },
+  'adb-match': { type: 'string' }
+};
+
+// Accepts repeated flags as well as comma-separated values
+function splitList(values) {
+  return values
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+function parseTimeout(value, source) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${source} must be a positive integer of milliseconds, got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+function readConfigFile(configPath) {
+  const resolved = path.resolve(configPath);
+  let raw;
+  try {
+    raw = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${resolved}: ${error.message}`);
+  }
+  try {
+    return { file: JSON.parse(raw), dir: path.dirname(resolved) };
+  } catch (error) {
+    throw new Error(`Config file ${resolved} is not valid JSON: ${error.message}`);
+  }
+}
+
+function applyFile(config, file, dir) {
+  if (file.transport !== undefined) config.transport = file.transport;
+  if (file.http) {
+    if (file.http.host !== undefined) config.http.host = file.http.host;
+    if (file.http.port !== undefined) config.http.port = file.http.port;
+    if (file.http.token !== undefined) config.http.token = file.http.token;
+    if (file.http.allowedHosts !== undefined) config.http.allowedHosts = file.http.allowedHosts;
+    if (file.http.sessionIdleMs !== undefined) config.http.sessionIdleMs = file.http.sessionIdleMs;
+  }
+  if (file.tools) {
+    if (file.tools.enabled !== undefined) config.tools.enabled = file.tools.enabled;
+    if (file.tools.disabled !== undefined) config.tools.disabled = file.tools.disabled;
+  }
+  if (file.timeouts) {
+    if (file.timeouts.defaultMs !== undefined) {
+      config.timeouts.defaultMs = parseTimeout(file.timeouts.defaultMs, 'timeouts.defaultMs');
+    }
+    for (const [name, value] of Object.entries(file.timeouts.tools || {})) {
+      config.timeouts.tools[name] = parseTimeout(value, `timeouts.tools.${name}`);
+    }
+  }
+  if (file.allowedRoots !== undefined) {
+    if (!Array.isArray(file.allowedRoots)) throw new Error('allowedRoots must be an array of directories');
+    // Relative roots in the file are relative to the file, not to wherever the server was started
+    config.allowedRoots = file.allowedRoots.map(root => path.resolve(dir, root));
+  }
+  if (file.artifacts && file.artifacts.scope !== undefined) config.artifacts.scope = file.artifacts.scope;
+  if (file.adb) {
+    if (file.adb.record !== undefined) config.adb.record = path.resolve(dir, file.adb.record);
+    if (file.adb.replay !== undefined) config.adb.replay = path.resolve(dir, file.adb.replay);
+    if (file.adb.match !== undefined) config.adb.match = file.adb.match;
+  }
+}
+
+function applyCli(config, values) {
+  if (values.transport !== undefined) config.transport = values.transport;
+  if (values.host !== undefined) config.http.host = values.host;
+  if (values.port !== undefined) config.http.port = values.port;
+  if (values['http-token'] !== undefined) config.http.token = values['http-token'];
+  if (values['allowed-hosts']) config.http.allowedHosts = splitList(values['allowed-hosts']);
+  if (values['session-idle-ms'] !== undefined) config.http.sessionIdleMs = values['session-idle-ms'];
+  if (values['enable-tools']) config.tools.enabled = splitList(values['enable-tools']);
+  if (values['disable-tools']) config.tools.disabled = splitList(values['disable-tools']);
+  if (values['timeout-ms'] !== undefined) config.timeouts.defaultMs = parseTimeout(values['timeout-ms'], '--timeout-ms');
+  if (values['allowed-roots']) config.allowedRoots = splitList(values['allowed-roots']).map(root => path.resolve(root));
+  if (values['artifact-scope'] !== undefined) config.artifacts.scope = values['artifact-scope'];
+  if (values['adb-record'] !== undefined) config.adb.record = path.resolve(values['adb-record']);
+  if (values['adb-replay'] !== undefined) config.adb.replay = path.resolve(values['adb-replay']);
+  if (values['adb-match'] !== undefined) config.adb.match = values['adb-match'];
+}
+
+function validateConfig(config, toolNames) {
+  if (config.transport !== 'stdio' && config.transport !== 'http') {
+    throw new Error(`transport must be "stdio" or "http", got ${JSON.stringify(config.transport)}`);
+  }
+  const port = Number(config.http.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`http port must be an integer between 0 and 65535, got ${JSON.stringify(config.http.port)}`);
+  }
+  config.http.port = port;
+  if (config.http.token !== null && (typeof config.http.token !== 'string' || !config.http.token)) {
+    throw new Error('http token must be a non-empty string');
+  }
+  const { allowedHosts } = config.http;
+  if (allowedHosts !== null && (!Array.isArray(allowedHosts) || !allowedHosts.every(host => typeof host === 'string'))) {
+    throw new Error('http allowedHosts must be an array of host names');
+  }
+  const idle = Number(config.http.sessionIdleMs);
+  if (!Number.isInteger(idle) || idle < 0) {
+    throw new Error(`http sessionIdleMs must be 0 (never) or a positive integer, got ${JSON.stringify(config.http.sessionIdleMs)}`);
+  }
+  config.http.sessionIdleMs = idle;
+  if (config.artifacts.scope !== 'session' && config.artifacts.scope !== 'shared') {
+    throw new Error(`artifacts scope must be "session" or "shared", got ${JSON.stringify(config.artifacts.scope)}`);
+  }
+  if (config.adb.record && config.adb.replay) {
+    throw new Error('adb record and replay are exclusive: pass only one of --adb-record / --adb-replay');
+  }
+  if (config.adb.match !== 'strict' && config.adb.match !== 'loose') {
+    throw new Error(`adb match must be "strict" or "loose", got ${JSON.stringify(config.adb.match)}`);
+  }
+
+  const known = new Set(toolNames);
+  const mentioned = [
+    ...(config.tools.enabled || []),
+    ...config.tools.disabled,
+    ...Object.keys(config.timeouts.tools)
+  ];
+  const unknown = [...new Set(mentioned.filter(name => !known.has(name)))];
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tool name(s) in config: ${unknown.join(', ')}. Known tools: ${toolNames.join(', ')}`);
+  }
+}
+
+/**
+ * Builds the server configuration from defaults, an optional JSON config file
+ * (--config or ANDROID_MCP_CONFIG), the environment and CLI flags, in that order of precedence.
+ * toolNames is the full tool list, used to reject typos in enable/disable/timeout entries.
+ */
+function loadConfig(argv, env, toolNames) {
+  const { values } = parseArgs({ args: argv, options: CLI_OPTIONS, strict: true, allowPositionals: false });
+  const config = structuredClone(DEFAULT_CONFIG);
+
+  const configPath = values.config || env.ANDROID_MCP_CONFIG;
+  if (configPath) {
+    const { file, dir } = readConfigFile(configPath);
+    applyFile(config, file, dir);
+  }
+  // The token is a secret: the environment keeps it out of config files and the process list
+  if (env.ANDROID_MCP_HTTP_TOKEN) config.http.token = env.ANDROID_MCP_HTTP_TOKEN;
+  applyCli(config, values);
+  validateConfig(config, toolNames);
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadConfig
+};
@@ -0,0 +1,195 @@
+const http = require('node:http');
+const { randomUUID, createHash, timingSafeEqual } = require('node:crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const MCP_PATH = '/mcp';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const LOOPBACK_HOST_NAMES = ['127.0.0.1', 'localhost', '[::1]'];
+
+function sendJsonRpcError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+// Host names the Host header may carry (port-agnostic); null accepts any host
+function resolveAllowedHosts(httpConfig) {
+  if (httpConfig.allowedHosts) return httpConfig.allowedHosts.map(host => host.toLowerCase());
+  if (LOOPBACK_HOSTS.includes(httpConfig.host)) return LOOPBACK_HOST_NAMES;
+  return null;
+}
+
+// A browser page on a rebinding domain reaches a local server with its own name in Host
+function isHostAllowed(hostHeader, allowedHosts) {
+  if (!allowedHosts) return true;
+  if (!hostHeader) return false;
+  try {
+    return allowedHosts.includes(new URL(`http://${hostHeader}`).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+// Hashing first gives timingSafeEqual equal-length inputs whatever was sent
+function isAuthorized(authorization, token) {
+  if (!token) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+  return Boolean(match) && timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Serves MCP over Streamable HTTP on /mcp. Every initialize request opens a new session
+ * with its own McpServer from createServer; later requests are routed by the
+ * mcp-session-id header. Responses and server notifications stream as SSE.
+ * Requests must carry an allowed Host header (DNS rebinding protection) and, when
+ * http.token is set, the bearer token. Sessions without a request for
+ * http.sessionIdleMs are closed.
+ */
+function startHttpServer(config, createServer) {
+  const sessions = new Map();
+  const allowedHosts = resolveAllowedHosts(config.http);
+  const idleMs = config.http.sessionIdleMs;
+  if (!allowedHosts && !config.http.token) {
+    console.error(
+      `Warning: listening on ${config.http.host} without a token or allowedHosts; any client that reaches the port can drive the device.`
+    );
+  }
+
+  // A session stays alive while a request (including an open SSE stream) is in flight
+  function track(session, res) {
+    session.active++;
+    session.lastSeen = Date.now();
+    res.once('close', () => {
+      session.active--;
+      session.lastSeen = Date.now();
+    });
+  }
+
+  function sweepIdleSessions() {
+    const cutoff = Date.now() - idleMs;
+    for (const session of sessions.values()) {
+      if (session.active === 0 && session.lastSeen < cutoff) {
+        // Closing the server closes its transport, whose onclose drops the session
+        session.server.close().catch(error => console.error(`Closing idle session failed: ${error.message}`));
+      }
+    }
+  }
+
+  async function handleMcp(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const existing = sessionId ? sessions.get(sessionId) : undefined;
+    if (existing) track(existing, res);
+
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+      if (existing) {
+        await existing.transport.handleRequest(req, res, body);
+        return;
+      }
+      if (sessionId) {
+        sendJsonRpcError(res, 404, `Unknown session ${sessionId}; start a new one with initialize.`);
+        return;
+      }
+      if (!isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, 'Missing mcp-session-id header; the first request must be initialize.');
+        return;
+      }
+      const server = createServer(config);
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: randomUUID,
+        onsessioninitialized: id => {
+          const session = { transport, server, active: 0, lastSeen: Date.now() };
+          sessions.set(id, session);
+          track(session, res);
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) sessions.delete(transport.sessionId);
+      };
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!existing) {
+        if (sessionId) sendJsonRpcError(res, 404, `Unknown session ${sessionId}.`);
+        else sendJsonRpcError(res, 400, 'Missing mcp-session-id header.');
+        return;
+      }
+      await existing.transport.handleRequest(req, res);
+      return;
+    }
+
+    res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== MCP_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!isHostAllowed(req.headers.host, allowedHosts)) {
+      sendJsonRpcError(res, 403, `Host ${req.headers.host || '(missing)'} is not allowed; add it to http.allowedHosts.`);
+      return;
+    }
+    if (!isAuthorized(req.headers.authorization, config.http.token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJsonRpcError(res, 401, 'Missing or invalid bearer token.');
+      return;
+    }
+    handleMcp(req, res).catch(error => {
+      if (!res.headersSent) sendJsonRpcError(res, 400, error.message);
+      else res.end();
+    });
+  });
+
+  if (idleMs > 0) {
+    const sweeper = setInterval(sweepIdleSessions, Math.min(idleMs, 60000));
+    sweeper.unref();
+    httpServer.once('close', () => clearInterval(sweeper));
+  }
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(config.http.port, config.http.host, () => {
+      const { address, port } = httpServer.address();
+      console.error(`android-mcp-toolkit listening on http://${address}:${port}${MCP_PATH}`);
+      resolve({ httpServer, sessions });
+    });
+  });
+}
+
+module.exports = {
+  startHttpServer
+};
@@ -1,37 +1,20 @@
 #!/usr/bin/env node
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { registerSvgTool, svgToolInstructions } = require('./tools/svgTool');
-const { registerLogcatTool, logcatToolInstructions } = require('./tools/logcatTool');
-const { registerTextLengthTool, textLengthToolInstructions } = require('./tools/textLengthTool');
-const { registerDeviceTool, deviceToolInstructions } = require('./tools/deviceTool');
-
-const serverInstructions = [
-  svgToolInstructions,
-  logcatToolInstructions,
-  textLengthToolInstructions,
-  deviceToolInstructions
-].join('\n');
-
-const server = new McpServer(
-  {
-    name: 'android-mcp-toolkit',
-    version: '1.3.0'
-  },
-  {
-    capabilities: { logging: {} },
-    instructions: serverInstructions
-  }
-);
-
-registerSvgTool(server);
-registerLogcatTool(server);
-registerTextLengthTool(server);
-registerDeviceTool(server);
+const { loadConfig } = require('./config');
+const { listToolNames, createServer } = require('./server');
+const { startHttpServer } = require('./httpServer');
+const { setAdbCassette } = require('./utils/adb');
+const { openCassette } = require('./utils/adbCassette');
 
 async function main() {
+  const config = loadConfig(process.argv.slice(2), process.env, listToolNames());
+  setAdbCassette(openCassette(config.adb));
+  if (config.transport === 'http') {
+    await startHttpServer(config, createServer);
+    return;
+  }
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer(config).connect(transport);
   process.stdin.resume();
 }
 
@@ -0,0 +1,83 @@
+const z = require('zod/v4');
+
+function userMessage(lines) {
+  return {
+    messages: [{ role: 'user', content: { type: 'text', text: lines.filter(line => line !== null).join('\n') } }]
+  };
+}
+
+function triageCrashPrompt({ packageName, mappingPath, serial }) {
+  const target = packageName ? `the app ${packageName}` : 'the foreground app';
+  const device = serial ? ` Pass serial="${serial}" to every device tool.` : '';
+  const mapping = mappingPath ? `, mappingPath="${mappingPath}"` : '';
+  return userMessage([
+    `Triage the most recent crash of ${target}.${device}`,
+    '',
+    `1. Call manage-logcat with action="crash", format="json"${packageName ? `, packageName="${packageName}"` : ''}${mapping}. ` +
+      '"crashes" is sorted by occurrence count, so take the group with the greatest lastSeen: exception type, message, top app frame and occurrence count.',
+    '   If the crash buffer is empty, call manage-logcat action="read" format="json" priority="E" and look for FATAL EXCEPTION; ' +
+      'if there is still nothing, call manage-logcat action="anr" in case it was an ANR instead.',
+    mappingPath
+      ? null
+      : '   If frames look obfuscated (a.b.c, single-letter methods), ask for the mapping.txt of that build and rerun with mappingPath.',
+    '2. Call get-current-activity to see where the user was (or whether the app is gone).',
+    '3. Call dump-ui-hierarchy with format="outline" to record the screen state next to the crash. ' +
+      'The dump is kept as android://ui-dumps/latest, so re-read it from there instead of dumping again.',
+    '4. Report: the exception and message, the first app frame (file:line), the likely cause in one or two sentences, ' +
+      'the screen it happened on, how often it occurred, and a concrete fix or the next thing to check.'
+  ]);
+}
+
+function importIconsPrompt({ folder, resDir, prefix }) {
+  const res = resDir || 'app/src/main/res';
+  const namePrefix = prefix || 'ic_';
+  return userMessage([
+    `Import the SVG icons in ${folder} as Android VectorDrawables into ${res}/drawable.`,
+    '',
+    `1. Call convert-svg-batch with source="${folder}", resDir="${res}", prefix="${namePrefix}" and dryRun=true. ` +
+      'Check the planned resource names; stop and report any name collisions or invalid names before writing anything.',
+    '2. Call convert-svg-batch again with the same arguments, dryRun=false and strict=true, so dropped or approximated content fails loudly. ' +
+      'Do not convert the files one by one. Keep the status, outputPath and diagnostics of each entry; strict failures are icons that need manual attention.',
+    '   Converted entries link an android://drawables/<hash> resourceUri; re-read it instead of converting again.',
+    '3. Run lint-vector-drawable on the written files and apply optimize=true, write=true only to files it flags for pathData length or no-op groups.',
+    '4. For icons that had diagnostics, call render-vector-preview with xmlPath and the source svgPath; a diffScore above 0.01 means the conversion looks different.',
+    '5. Report a table of icon -> resource name, written path, diagnostics and diffScore, and list the icons that need manual attention.'
+  ]);
+}
+
+/**
+ * Built-in prompts that chain existing tools for common workflows.
+ */
+function registerWorkflowPrompts(server) {
+  server.registerPrompt(
+    'triage-latest-crash',
+    {
+      title: 'Triage latest crash',
+      description: 'Pull the newest crash from logcat, capture the screen state and explain the likely cause.',
+      argsSchema: {
+        packageName: z.string().describe('Package to focus on, e.g. com.example.app').optional(),
+        mappingPath: z.string().describe('R8/ProGuard mapping.txt for obfuscated builds').optional(),
+        serial: z.string().describe('Device serial when several are attached').optional()
+      }
+    },
+    args => triageCrashPrompt(args)
+  );
+
+  server.registerPrompt(
+    'import-icons-from-folder',
+    {
+      title: 'Import icons from folder',
+      description: 'Convert a folder of SVG icons into res/drawable VectorDrawables, lint them and check them visually.',
+      argsSchema: {
+        folder: z.string().describe('Folder or glob of SVG files, e.g. design/icons/**/*.svg'),
+        resDir: z.string().describe('Android res/ directory (default app/src/main/res)').optional(),
+        prefix: z.string().describe('Resource name prefix (default ic_)').optional()
+      }
+    },
+    args => importIconsPrompt(args)
+  );
+}
+
+module.exports = {
+  registerWorkflowPrompts
+};
@@ -0,0 +1,90 @@
+const { ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { SubscribeRequestSchema, UnsubscribeRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+  ARTIFACT_KINDS,
+  artifactUri,
+  getArtifact,
+  listArtifacts,
+  onArtifactChange
+} = require('./utils/artifactStore');
+
+const resourceInstructions = [
+  'Screenshots, UI dumps, converted drawables and logcat pulls are kept as resources (android://screenshots/<id>, android://ui-dumps/<id>, android://drawables/<hash>, android://logcat/<id>); tool results link to them.',
+  'Re-read an artifact with resources/read instead of calling the tool again; <id>=latest is the newest of each kind and can be subscribed to.'
+].join('\n');
+
+function describeResource(artifact) {
+  return {
+    uri: artifact.uri,
+    name: artifact.name,
+    description: artifact.description,
+    mimeType: artifact.mimeType,
+    size: artifact.size
+  };
+}
+
+function readContents(uri, artifact) {
+  const base = { uri: uri.href, mimeType: artifact.mimeType };
+  if (Buffer.isBuffer(artifact.data)) return { ...base, blob: artifact.data.toString('base64') };
+  return { ...base, text: artifact.data };
+}
+
+// resources/subscribe is not handled by McpServer, so track subscriptions per connection here
+function registerSubscriptions(server, scope) {
+  const subscribed = new Set();
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, request => {
+    subscribed.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, request => {
+    subscribed.delete(request.params.uri);
+    return {};
+  });
+
+  const stop = onArtifactChange(({ kind, uri, type, removed }) => {
+    if (!server.isConnected()) return;
+    if (type === 'added' || removed.length > 0) server.sendResourceListChanged();
+    for (const target of [uri, artifactUri(kind, 'latest')]) {
+      if (!subscribed.has(target)) continue;
+      server.server.sendResourceUpdated({ uri: target }).catch(() => {
+        /* client went away; cleaned up on close */
+      });
+    }
+  }, scope);
+  const previousOnClose = server.server.onclose;
+  server.server.onclose = () => {
+    stop();
+    if (previousOnClose) previousOnClose();
+  };
+}
+
+// scope is the artifact set this server reads; tools write to it through runInArtifactScope
+function registerArtifactResources(server, scope) {
+  for (const [kind, { title, mimeType }] of Object.entries(ARTIFACT_KINDS)) {
+    const template = new ResourceTemplate(`android://${kind}/{id}`, {
+      list: () => ({ resources: listArtifacts(kind, scope).map(describeResource) }),
+      complete: {
+        id: value => ['latest', ...listArtifacts(kind, scope).map(item => item.id)].filter(id => id.startsWith(value))
+      }
+    });
+    server.registerResource(
+      kind,
+      template,
+      { title, description: `${title} captured by the toolkit (newest first)`, mimeType },
+      async (uri, { id }) => {
+        const artifact = getArtifact(kind, id, scope);
+        if (!artifact) {
+          throw new Error(`No ${kind} artifact with id "${id}"; it may have been evicted. List resources to see what is kept.`);
+        }
+        return { contents: [readContents(uri, artifact)] };
+      }
+    );
+  }
+  registerSubscriptions(server, scope);
+}
+
+module.exports = {
+  registerArtifactResources,
+  resourceInstructions
+};
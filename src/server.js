@@ -0,0 +1,83 @@
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { registerSvgTool, svgToolInstructions } = require('./tools/svgTool');
+const { registerLogcatTool, logcatToolInstructions } = require('./tools/logcatTool');
+const { registerTextLengthTool, textLengthToolInstructions } = require('./tools/textLengthTool');
+const { registerDeviceTool, deviceToolInstructions } = require('./tools/deviceTool');
+const { registerPreviewTool, previewToolInstructions } = require('./tools/previewTool');
+const { registerVectorLintTool, vectorLintToolInstructions } = require('./tools/vectorLintTool');
+const { registerRetraceTool, retraceToolInstructions } = require('./tools/retraceTool');
+const { registerAutomationTool, automationToolInstructions } = require('./tools/automationTool');
+const { registerFlowTool, flowToolInstructions } = require('./tools/flowTool');
+const { registerAccessibilityTool, accessibilityToolInstructions } = require('./tools/accessibilityTool');
+const { registerTranslationTool, translationToolInstructions } = require('./tools/translationTool');
+const { registerAppTool, appToolInstructions } = require('./tools/appTool');
+const { registerPerfTool, perfToolInstructions } = require('./tools/perfTool');
+const { registerBugReportTool, bugReportToolInstructions } = require('./tools/bugReportTool');
+const { registerArtifactResources, resourceInstructions } = require('./resources');
+const { registerWorkflowPrompts } = require('./prompts');
+const { applyToolPolicy, isToolEnabled } = require('./utils/toolPolicy');
+const { sharedArtifactScope, createArtifactScope } = require('./utils/artifactStore');
+const { createLogcatScope, stopLogcatScope } = require('./utils/logcatSession');
+
+const TOOL_MODULES = [
+  [registerSvgTool, svgToolInstructions],
+  [registerLogcatTool, logcatToolInstructions],
+  [registerTextLengthTool, textLengthToolInstructions],
+  [registerDeviceTool, deviceToolInstructions],
+  [registerPreviewTool, previewToolInstructions],
+  [registerVectorLintTool, vectorLintToolInstructions],
+  [registerRetraceTool, retraceToolInstructions],
+  [registerAutomationTool, automationToolInstructions],
+  [registerFlowTool, flowToolInstructions],
+  [registerAccessibilityTool, accessibilityToolInstructions],
+  [registerTranslationTool, translationToolInstructions],
+  [registerAppTool, appToolInstructions],
+  [registerPerfTool, perfToolInstructions],
+  [registerBugReportTool, bugReportToolInstructions]
+];
+
+// Dry registration pass; only the tool names are recorded
+function moduleToolNames(register) {
+  const names = [];
+  register({ registerTool: name => names.push(name) });
+  return names;
+}
+
+function listToolNames() {
+  return TOOL_MODULES.flatMap(([register]) => moduleToolNames(register));
+}
+
+/**
+ * Builds a fully registered McpServer for one client connection.
+ * Instructions are kept only for modules with at least one enabled tool.
+ */
+function createServer(config) {
+  const enabledModules = TOOL_MODULES.filter(([register]) =>
+    moduleToolNames(register).some(name => isToolEnabled(name, config.tools))
+  );
+  const server = new McpServer(
+    {
+      name: 'android-mcp-toolkit',
+      version: '1.3.0'
+    },
+    {
+      capabilities: { logging: {} },
+      instructions: [...enabledModules.map(([, instructions]) => instructions), resourceInstructions].join('\n')
+    }
+  );
+
+  const artifactScope = config.artifacts.scope === 'shared' ? sharedArtifactScope : createArtifactScope();
+  const logcatScope = createLogcatScope();
+  const policyServer = applyToolPolicy(server, config, artifactScope, logcatScope);
+  for (const [register] of enabledModules) register(policyServer);
+  registerArtifactResources(server, artifactScope);
+  registerWorkflowPrompts(server);
+  // Fires when the transport closes, including HTTP sessions closed for being idle
+  server.server.onclose = () => stopLogcatScope(logcatScope);
+  return server;
+}
+
+module.exports = {
+  listToolNames,
+  createServer
+};
@@ -0,0 +1,54 @@
+const z = require('zod/v4');
+const { serialSchema } = require('../utils/adb');
+const { dumpUiHierarchy } = require('../utils/uiHierarchy');
+const { getDisplayDensity } = require('../utils/display');
+const { ACCESSIBILITY_RULES, auditAccessibility } = require('../utils/accessibilityAudit');
+
+const accessibilityToolInstructions = [
+  'Use audit-accessibility to check the current screen for unlabeled controls, small touch targets, overlapping clickables, duplicate descriptions, unlabeled EditTexts and clipped text.'
+].join('\n');
+
+const auditSchema = z.object({
+  rules: z
+    .array(z.enum(ACCESSIBILITY_RULES))
+    .describe('Only run these rules (default: all)')
+    .optional(),
+  packageName: z.string().min(1).describe('Only audit nodes owned by this package (skips system UI)').optional(),
+  minTouchTargetDp: z.number().min(1).max(200).default(48).describe('Minimum touch target size in dp'),
+  density: z
+    .number()
+    .int()
+    .min(60)
+    .max(1000)
+    .describe('Screen density in dpi; read from `wm density` when omitted')
+    .optional(),
+  serial: serialSchema,
+  timeoutMs: z.number().int().min(1000).max(20000).default(10000).describe('Timeout in milliseconds')
+});
+
+function registerAccessibilityTool(server) {
+  server.registerTool(
+    'audit-accessibility',
+    {
+      title: 'Audit accessibility',
+      description: 'Run accessibility checks over the current UI hierarchy and list issues with node path, bounds, rule id and severity.',
+      inputSchema: auditSchema
+    },
+    async (params) => {
+      const roots = await dumpUiHierarchy(params.timeoutMs, params.serial);
+      const density = params.density || (await getDisplayDensity(params.timeoutMs, params.serial));
+      const result = auditAccessibility(roots, {
+        density,
+        minTouchTargetDp: params.minTouchTargetDp,
+        rules: params.rules,
+        packageName: params.packageName
+      });
+      return { content: [{ type: 'text', text: JSON.stringify({ density, ...result }, null, 2) }] };
+    }
+  );
+}
+
+module.exports = {
+  registerAccessibilityTool,
+  accessibilityToolInstructions
+};
@@ -0,0 +1,183 @@
+const path = require('node:path');
+const z = require('zod/v4');
+const { runAdbCommand, serialSchema } = require('../utils/adb');
+const {
+  ACTIVITY_FLAGS,
+  packageNameSchema,
+  shellQuote,
+  runShell,
+  getPackageInfo,
+  describePackage,
+  installApks,
+  startActivity
+} = require('../utils/appManager');
+
+const appToolInstructions = [
+  'Use manage-app to set up app state before a test: install (apkPaths; several paths use install-multiple for splits), uninstall, force-stop, clear-data, grant/revoke runtime permissions, or info. Results include the installed version and launch activity.',
+  'Use launch-activity to start the launcher activity, a specific activity or a deep link with typed extras and flags; wait=true returns the am start -W launch state and timings.'
+].join('\n');
+
+const timeoutSchema = z
+  .number()
+  .int()
+  .min(1000)
+  .max(300000)
+  .default(60000)
+  .describe('Timeout per adb call in milliseconds (large installs may need more)');
+
+const manageAppSchema = z
+  .object({
+    action: z.enum(['install', 'uninstall', 'force-stop', 'clear-data', 'grant', 'revoke', 'info']),
+    packageName: packageNameSchema.describe('Application id (not needed for install; read from the APK)').optional(),
+    apkPaths: z
+      .array(z.string().min(1))
+      .min(1)
+      .describe('For install: base APK, plus split APKs to install together with install-multiple')
+      .optional(),
+    replace: z.boolean().default(true).describe('install: replace an existing app (-r)'),
+    allowDowngrade: z.boolean().default(false).describe('install: allow a lower versionCode (-d)'),
+    grantPermissions: z.boolean().default(false).describe('install: grant all runtime permissions (-g)'),
+    allowTestPackages: z.boolean().default(false).describe('install: allow android:testOnly APKs (-t)'),
+    keepData: z.boolean().default(false).describe('uninstall: keep the data and cache directories (-k)'),
+    permissions: z
+      .array(z.string().min(1))
+      .min(1)
+      .describe('grant/revoke: runtime permissions, e.g. android.permission.CAMERA or CAMERA')
+      .optional(),
+    serial: serialSchema,
+    timeoutMs: timeoutSchema
+  })
+  .refine(data => data.action !== 'install' || data.apkPaths, { message: 'install requires apkPaths' })
+  .refine(data => data.action === 'install' || data.packageName, { message: 'packageName is required for this action' })
+  .refine(data => !['grant', 'revoke'].includes(data.action) || data.permissions, {
+    message: 'grant/revoke require permissions'
+  });
+
+const extraSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('string'), key: z.string().min(1), value: z.string() }),
+  z.object({ type: z.literal('int'), key: z.string().min(1), value: z.number().int() }),
+  z.object({ type: z.literal('boolean'), key: z.string().min(1), value: z.boolean() }),
+  z.object({ type: z.literal('uri'), key: z.string().min(1), value: z.string().min(1) })
+]);
+
+const launchSchema = z
+  .object({
+    packageName: packageNameSchema
+      .describe('App to launch; alone it starts the launcher activity, with deepLink it restricts the intent to this app')
+      .optional(),
+    activity: z.string().min(1).describe('Activity: "com.app/.MainActivity", ".MainActivity" or a full class name (with packageName)').optional(),
+    deepLink: z.string().min(1).describe('URI to open with ACTION_VIEW, e.g. myapp://orders/42').optional(),
+    action: z.string().min(1).describe('Intent action (defaults to VIEW for deep links, MAIN for the launcher)').optional(),
+    categories: z.array(z.string().min(1)).describe('Intent categories').optional(),
+    extras: z.array(extraSchema).describe('Typed extras: string (--es), int (--ei), boolean (--ez), uri (--eu)').optional(),
+    flags: z.array(z.enum(ACTIVITY_FLAGS)).describe('Intent flags, passed as am --activity-<flag>').optional(),
+    stopFirst: z.boolean().default(false).describe('Force-stop the app before starting (-S)'),
+    wait: z.boolean().default(true).describe('Wait for the launch to complete and report timings (-W)'),
+    serial: serialSchema,
+    timeoutMs: timeoutSchema
+  })
+  .refine(data => data.packageName || data.activity || data.deepLink || data.action, {
+    message: 'Provide packageName, activity, deepLink or action'
+  });
+
+function normalizePermission(permission) {
+  return permission.includes('.') ? permission : `android.permission.${permission}`;
+}
+
+function textResult(result) {
+  return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+async function runManageApp(params) {
+  const { action, timeoutMs, serial } = params;
+  const packageName = params.packageName;
+  switch (action) {
+    case 'install': {
+      const apkPaths = params.apkPaths.map(apkPath => path.resolve(apkPath));
+      const install = await installApks(apkPaths, params, timeoutMs, serial);
+      return { action, ...install, package: await describePackage(install.packageName, timeoutMs, serial) };
+    }
+    case 'uninstall': {
+      const previous = await getPackageInfo(packageName, timeoutMs, serial);
+      if (!previous.installed) throw new Error(`${packageName} is not installed`);
+      const args = ['uninstall', ...(params.keepData ? ['-k'] : []), packageName];
+      let output;
+      try {
+        output = (await runAdbCommand(args, timeoutMs, { serial })).trim();
+      } catch (error) {
+        const failure = /Failure \[([^\]]+)\]/.exec(error.message);
+        throw failure ? new Error(`Uninstall of ${packageName} failed: ${failure[1]}`) : error;
+      }
+      if (/Failure/.test(output)) throw new Error(`Uninstall of ${packageName} failed: ${output}`);
+      return {
+        action,
+        packageName,
+        keepData: params.keepData,
+        output,
+        removedVersion: { versionCode: previous.versionCode, versionName: previous.versionName }
+      };
+    }
+    case 'force-stop': {
+      const pid = (await runAdbCommand(['shell', 'pidof', shellQuote(packageName)], timeoutMs, { serial }).catch(() => '')).trim();
+      await runShell(['am', 'force-stop', shellQuote(packageName)], 'force-stop', timeoutMs, serial);
+      return { action, packageName, wasRunning: Boolean(pid), package: await describePackage(packageName, timeoutMs, serial) };
+    }
+    case 'clear-data': {
+      const output = await runShell(['pm', 'clear', shellQuote(packageName)], `pm clear ${packageName}`, timeoutMs, serial);
+      return { action, packageName, output, package: await describePackage(packageName, timeoutMs, serial) };
+    }
+    case 'grant':
+    case 'revoke': {
+      const permissions = params.permissions.map(normalizePermission);
+      for (const permission of permissions) {
+        await runShell(['pm', action, shellQuote(packageName), shellQuote(permission)], `pm ${action} ${permission}`, timeoutMs, serial);
+      }
+      const info = await describePackage(packageName, timeoutMs, serial);
+      return {
+        action,
+        packageName,
+        permissions: permissions.map(permission => ({
+          permission,
+          granted: info.runtimePermissions ? info.runtimePermissions[permission] ?? null : null
+        })),
+        package: info
+      };
+    }
+    default: {
+      const info = await describePackage(packageName, timeoutMs, serial);
+      if (!info.installed) throw new Error(`${packageName} is not installed`);
+      return { action, package: info };
+    }
+  }
+}
+
+function registerAppTool(server) {
+  server.registerTool(
+    'manage-app',
+    {
+      title: 'Manage app lifecycle',
+      description:
+        'Install (including split APKs), uninstall, force-stop, clear data, grant/revoke runtime permissions or inspect an app; returns version and launch activity from dumpsys package.',
+      inputSchema: manageAppSchema
+    },
+    async (params) => textResult(await runManageApp(params))
+  );
+
+  server.registerTool(
+    'launch-activity',
+    {
+      title: 'Launch activity or deep link',
+      description: 'Start an activity, the launcher activity or a deep link via am start with typed extras and flags; returns the -W launch result.',
+      inputSchema: launchSchema
+    },
+    async (params) => {
+      const { serial, timeoutMs, ...options } = params;
+      return textResult(await startActivity(options, timeoutMs, serial));
+    }
+  );
+}
+
+module.exports = {
+  registerAppTool,
+  appToolInstructions
+};
@@ -0,0 +1,60 @@
+const z = require('zod/v4');
+const { serialSchema } = require('../utils/adb');
+const { selectorSchema } = require('../utils/uiHierarchy');
+const { waitConditionShape, expectationSchema, waitForCondition, assertUiState } = require('../utils/uiConditions');
+
+const automationToolInstructions = [
+  'After inject-input, use wait-for (appears, disappears, textChanges, activity, idle) instead of sleeping; it returns how long the wait took and the final state.',
+  'Use assert-ui to check an element (exists, count, text, enabled, checked, ...) and/or the focused activity; it returns pass/fail with the mismatched attributes.'
+].join('\n');
+
+const waitForSchema = z.object({
+  ...waitConditionShape,
+  serial: serialSchema
+});
+
+const assertUiSchema = z
+  .object({
+    selector: selectorSchema.optional().describe('Element to check (same matcher as find-elements)'),
+    expect: expectationSchema.default({}).describe('Expected attributes; empty means the element must exist'),
+    nth: z.number().int().min(0).describe('Check this match (0-based) when several elements match').optional(),
+    activity: z.string().min(1).describe('Expected focused activity').optional(),
+    serial: serialSchema,
+    timeoutMs: z.number().int().min(1000).max(20000).default(10000).describe('Timeout per adb call in milliseconds')
+  })
+  .refine(data => data.selector || data.activity, { message: 'Provide selector and/or activity' });
+
+function registerAutomationTool(server) {
+  server.registerTool(
+    'wait-for',
+    {
+      title: 'Wait for UI condition',
+      description: 'Poll the UI hierarchy / window focus until a condition holds or the timeout expires.',
+      inputSchema: waitForSchema
+    },
+    async (params) => {
+      const { serial, ...options } = params;
+      const result = await waitForCondition(options, serial);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.registerTool(
+    'assert-ui',
+    {
+      title: 'Assert UI state',
+      description: 'Check element attributes and/or the focused activity and return a structured pass/fail result.',
+      inputSchema: assertUiSchema
+    },
+    async (params) => {
+      const { serial, timeoutMs, ...assertion } = params;
+      const result = await assertUiState(assertion, timeoutMs, serial);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
+
+module.exports = {
+  registerAutomationTool,
+  automationToolInstructions
+};
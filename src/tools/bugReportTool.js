@@ -0,0 +1,56 @@
+const z = require('zod/v4');
+const { serialSchema } = require('../utils/adb');
+const { captureBugReport } = require('../utils/bugReport');
+const { packageNameSchema } = require('../utils/appManager');
+
+const bugReportToolInstructions = [
+  'Use capture-bug-report when a bug is observed: one call collects screenshot, UI dump, current activity, device props, app version and logcat/crash/ANR in parallel.',
+  'It writes a timestamped folder (or zip=true) with index.json and summary.md; paste summary.md into the issue instead of stitching tool outputs together.'
+].join('\n');
+
+const bugReportSchema = z.object({
+  packageName: packageNameSchema
+    .describe('App under test; adds its version and focuses crash/ANR/error summaries on it')
+    .optional(),
+  title: z.string().min(1).describe('Heading for summary.md (e.g. the bug title)').optional(),
+  outputDir: z.string().min(1).default('bug-reports').describe('Directory that receives the timestamped report'),
+  zip: z.boolean().default(false).describe('Write a single .zip instead of a folder'),
+  screenRecordSeconds: z
+    .number()
+    .int()
+    .min(0)
+    .max(30)
+    .default(0)
+    .describe('Also record a screen clip of this many seconds (0 = none); the call waits for it'),
+  logcatLines: z.number().int().min(100).max(5000).default(1000).describe('Logcat and crash buffer lines to keep'),
+  serial: serialSchema,
+  timeoutMs: z.number().int().min(1000).max(60000).default(15000).describe('Timeout per adb call in milliseconds')
+});
+
+function registerBugReportTool(server) {
+  server.registerTool(
+    'capture-bug-report',
+    {
+      title: 'Capture bug report',
+      description:
+        'Collect screenshot, UI hierarchy, current activity, device properties, app version, logcat, crash buffer, ANR trace and an optional screenrecord clip into one folder or zip with index.json and summary.md.',
+      inputSchema: bugReportSchema
+    },
+    async params => {
+      const { report, summary } = await captureBugReport(params, params.timeoutMs, params.serial);
+      const missing = report.errors.length > 0 ? `, ${report.errors.length} item(s) not captured` : '';
+      const header = `Bug report saved to ${report.path} (${report.files.length} files${missing})`;
+      return {
+        content: [
+          { type: 'text', text: `${header}\n\n${summary}` },
+          { type: 'text', text: JSON.stringify(report, null, 2) }
+        ]
+      };
+    }
+  );
+}
+
+module.exports = {
+  registerBugReportTool,
+  bugReportToolInstructions
+};
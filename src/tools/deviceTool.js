@@ -1,81 +1,122 @@
-const { execFile } = require('node:child_process');
-const { promisify } = require('node:util');
 const fs = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
 const z = require('zod/v4');
-
-const execFileAsync = promisify(execFile);
+const { runAdbCommandBinary, listDevices, serialSchema } = require('../utils/adb');
+const {
+  selectorSchema,
+  parseUiHierarchy,
+  findElements,
+  describeElement,
+  compactTree,
+  outline,
+  dumpUiXml,
+  dumpUiHierarchy
+} = require('../utils/uiHierarchy');
+const { injectInput, locateElement } = require('../utils/deviceInput');
+const { encodePng, decodePng } = require('../utils/png');
+const { diffRgba } = require('../utils/imageDiff');
+const { cropRgba, downscaleRgba } = require('../utils/imageTransform');
+const { recordArtifact, artifactLink } = require('../utils/artifactStore');
 
 const deviceToolInstructions = [
-  'Use dump-ui-hierarchy to capture the current screen structure (XML) via uiautomator.',
-  'Use take-screenshot to capture the device screen to a local file (PNG).',
+  'Use list-devices to see attached devices/emulators; pass serial to any adb-backed tool when more than one is attached.',
+  'Use dump-ui-hierarchy to capture the current screen structure via uiautomator; format=outline or json drops layout-only nodes and is much smaller than xml.',
+  'Use find-elements with a selector (resourceId, text/contentDesc exact/contains/regex, className, state flags, index, ancestor/descendant) to get bounds and tap centers.',
+  'Use take-screenshot to capture the device screen: outputPath saves a PNG, inline=true returns the image (downscaled to maxWidth), crop/selector limit it to a region, baselinePath reports the mismatch against a reference PNG.',
   'Use inject-input to send interactions like tap, text, swipe, or key events to the device.'
 ].join('\n');
 
+const listDevicesSchema = z.object({
+  timeoutMs: z.number().int().min(1000).max(20000).default(5000).describe('Timeout in milliseconds')
+});
+
 const dumpUiSchema = z.object({
+  format: z
+    .enum(['xml', 'json', 'outline'])
+    .default('xml')
+    .describe('xml: raw uiautomator dump; json/outline: compact tree of interactive or labelled nodes'),
+  serial: serialSchema,
   timeoutMs: z.number().int().min(1000).max(20000).default(10000).describe('Timeout in milliseconds')
 });
 
-const screenshotSchema = z.object({
-  outputPath: z.string().min(1).describe('Local path to save the screenshot (e.g. screenshot.png)'),
+const findElementsSchema = z.object({
+  selector: selectorSchema,
+  maxResults: z.number().int().min(1).max(200).default(20).describe('Maximum number of matches returned'),
+  serial: serialSchema,
   timeoutMs: z.number().int().min(1000).max(20000).default(10000).describe('Timeout in milliseconds')
 });
 
+const screenshotSchema = z
+  .object({
+    outputPath: z.string().min(1).describe('Local path to save the screenshot (e.g. screenshot.png)').optional(),
+    inline: z.boolean().default(false).describe('Return the screenshot as image content'),
+    maxWidth: z
+      .number()
+      .int()
+      .min(64)
+      .max(4096)
+      .default(720)
+      .describe('Downscale inline images to at most this many pixels wide (saved files keep full resolution)'),
+    crop: z
+      .object({
+        x: z.number().int().min(0),
+        y: z.number().int().min(0),
+        width: z.number().int().min(1),
+        height: z.number().int().min(1)
+      })
+      .describe('Crop to this rectangle in device pixels')
+      .optional(),
+    selector: selectorSchema.optional().describe('Crop to the bounds of the element matching this selector'),
+    nth: z.number().int().min(0).optional().describe('Pick this match (0-based) when the selector matches several elements'),
+    baselinePath: z
+      .string()
+      .min(1)
+      .describe('Reference PNG to compare against (same size as the captured/cropped image)')
+      .optional(),
+    diffOutputPath: z.string().min(1).describe('Where to save the highlighted diff PNG when comparing').optional(),
+    threshold: z
+      .number()
+      .min(0)
+      .max(1)
+      .default(0.1)
+      .describe('Per-pixel channel difference (0-1) above which a pixel counts as changed'),
+    serial: serialSchema,
+    timeoutMs: z.number().int().min(1000).max(20000).default(10000).describe('Timeout in milliseconds')
+  })
+  .refine(data => data.outputPath || data.inline || data.baselinePath, {
+    message: 'Provide outputPath, inline=true and/or baselinePath'
+  })
+  .refine(data => !(data.crop && data.selector), { message: 'Use either crop or selector, not both' });
+
 const injectInputSchema = z.object({
   command: z.enum(['tap', 'text', 'swipe', 'keyevent', 'back', 'home']).describe('Input command type'),
-  args: z.array(z.string().or(z.number())).optional().describe('Arguments for the command (e.g. [x, y] for tap, ["text"] for text). Optional if elementId/elementText provided.'),
-  elementId: z.string().optional().describe('Find element by resource-id and tap its center (e.g. "com.example:id/button")'),
-  elementText: z.string().optional().describe('Find element by text content and tap its center (e.g. "Login")'),
+  args: z.array(z.string().or(z.number())).optional().describe('Arguments for the command (e.g. [x, y] for tap, ["text"] for text). Optional if selector/elementId/elementText provided.'),
+  selector: selectorSchema.optional().describe('Find a single element (same matcher as find-elements) and tap its center'),
+  nth: z.number().int().min(0).optional().describe('Pick this match (0-based) when the selector matches several elements'),
+  elementId: z.string().optional().describe('Shorthand for selector.resourceId (e.g. "com.example:id/button")'),
+  elementText: z.string().optional().describe('Shorthand for selector.text (e.g. "Login")'),
+  serial: serialSchema,
   timeoutMs: z.number().int().min(1000).max(20000).default(10000).describe('Timeout in milliseconds')
 });
 
-// Helper to parse bounds string "[x1,y1][x2,y2]" into center coordinates
-function getCenterFromBounds(bounds) {
-  const match = bounds.match(/\[(\d+),(\d+)\]\[(\d+),(\d+)\]/);
-  if (!match) return null;
-  const x1 = parseInt(match[1], 10);
-  const y1 = parseInt(match[2], 10);
-  const x2 = parseInt(match[3], 10);
-  const y2 = parseInt(match[4], 10);
-  return {
-    x: Math.round((x1 + x2) / 2),
-    y: Math.round((y1 + y2) / 2)
-  };
-}
-
-async function runAdbCommand(args, timeoutMs, options = {}) {
-  try {
-    const { stdout } = await execFileAsync('adb', args, {
-      timeout: timeoutMs,
-      maxBuffer: 10 * 1024 * 1024,
-      ...options
-    });
-    return stdout;
-  } catch (error) {
-    const stderr = error && typeof error.stderr === 'string' ? error.stderr.trim() : '';
-    const message = [`adb ${args.join(' ')} failed`, error.message].filter(Boolean).join(': ');
-    if (stderr) {
-      throw new Error(`${message} | stderr: ${stderr}`);
+function registerDeviceTool(server) {
+  server.registerTool(
+    'list-devices',
+    {
+      title: 'List ADB devices',
+      description: 'List attached devices/emulators with serial, state, model and transport id (adb devices -l).',
+      inputSchema: listDevicesSchema
+    },
+    async (params) => {
+      const devices = await listDevices(params.timeoutMs);
+      if (devices.length === 0) {
+        return { content: [{ type: 'text', text: 'No devices attached.' }] };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(devices, null, 2) }] };
     }
-    throw new Error(message);
-  }
-}
-
-async function runAdbCommandBinary(args, timeoutMs) {
-  try {
-    const { stdout } = await execFileAsync('adb', args, {
-      timeout: timeoutMs,
-      encoding: 'buffer',
-      maxBuffer: 20 * 1024 * 1024
-    });
-    return stdout;
-  } catch (error) {
-    throw new Error(`adb ${args.join(' ')} failed: ${error.message}`);
-  }
-}
+  );
 
-function registerDeviceTool(server) {
   server.registerTool(
     'dump-ui-hierarchy',
     {
@@ -84,10 +125,32 @@ function registerDeviceTool(server) {
       inputSchema: dumpUiSchema
     },
     async (params) => {
-      const devicePath = '/data/local/tmp/mcp_window_dump.xml';
-      await runAdbCommand(['shell', 'uiautomator', 'dump', devicePath], params.timeoutMs);
-      const content = await runAdbCommand(['shell', 'cat', devicePath], params.timeoutMs);
-      return { content: [{ type: 'text', text: content.trim() }] };
+      const xml = await dumpUiXml(params.timeoutMs, params.serial);
+      const link = artifactLink(recordArtifact('ui-dumps', { description: 'uiautomator window dump', data: xml }));
+      if (params.format === 'xml') {
+        return { content: [{ type: 'text', text: xml }, link] };
+      }
+      const nodes = parseUiHierarchy(xml);
+      const text = params.format === 'outline' ? outline(nodes) : JSON.stringify(compactTree(nodes), null, 2);
+      return { content: [{ type: 'text', text: text || 'No interactive or labelled elements on screen.' }, link] };
+    }
+  );
+
+  server.registerTool(
+    'find-elements',
+    {
+      title: 'Find UI elements',
+      description: 'Query the current UI hierarchy with a selector and return matching elements with bounds and tap centers.',
+      inputSchema: findElementsSchema
+    },
+    async (params) => {
+      const nodes = await dumpUiHierarchy(params.timeoutMs, params.serial);
+      const matches = findElements(nodes, params.selector);
+      const result = {
+        count: matches.length,
+        elements: matches.slice(0, params.maxResults).map(describeElement)
+      };
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     }
   );
 
@@ -95,14 +158,77 @@ function registerDeviceTool(server) {
     'take-screenshot',
     {
       title: 'Take User Screenshot',
-      description: 'Capture device screenshot and save to a local file.',
+      description: 'Capture a device screenshot; save it, return it inline, crop it to a rect or element, or diff it against a baseline PNG.',
       inputSchema: screenshotSchema
     },
     async (params) => {
-      const buffer = await runAdbCommandBinary(['exec-out', 'screencap', '-p'], params.timeoutMs);
-      const absPath = path.resolve(params.outputPath);
-      fs.writeFileSync(absPath, buffer);
-      return { content: [{ type: 'text', text: `Screenshot saved to ${absPath}` }] };
+      let rect = params.crop;
+      if (params.selector) {
+        const element = await locateElement(params.selector, params.nth, params.timeoutMs, params.serial);
+        const { left, top, right, bottom } = element.bounds;
+        rect = { x: left, y: top, width: right - left, height: bottom - top };
+      }
+      const buffer = await runAdbCommandBinary(['exec-out', 'screencap', '-p'], params.timeoutMs, { serial: params.serial });
+      if (!rect && !params.inline && !params.baselinePath) {
+        const absPath = path.resolve(params.outputPath);
+        fs.writeFileSync(absPath, buffer);
+        const artifact = recordArtifact('screenshots', {
+          name: path.basename(absPath),
+          description: 'Device screenshot',
+          data: buffer
+        });
+        return { content: [{ type: 'text', text: `Screenshot saved to ${absPath}` }, artifactLink(artifact)] };
+      }
+
+      const screen = decodePng(buffer);
+      const image = rect ? cropRgba(screen, rect) : screen;
+      const png = rect ? encodePng(image.width, image.height, image.pixels) : buffer;
+      const artifact = recordArtifact('screenshots', {
+        name: params.outputPath ? path.basename(params.outputPath) : undefined,
+        description: rect ? `Device screenshot cropped to ${JSON.stringify(image.rect)}` : 'Device screenshot',
+        data: png
+      });
+      const summary = { width: image.width, height: image.height, screen: { width: screen.width, height: screen.height } };
+      if (rect) summary.crop = image.rect;
+      if (params.outputPath) {
+        summary.outputPath = path.resolve(params.outputPath);
+        fs.writeFileSync(summary.outputPath, png);
+      }
+
+      const images = [];
+      if (params.inline) images.push({ label: 'screenshot', image });
+      if (params.baselinePath) {
+        const baseline = decodePng(fs.readFileSync(path.resolve(params.baselinePath)));
+        summary.comparison = { baselinePath: path.resolve(params.baselinePath) };
+        if (baseline.width !== image.width || baseline.height !== image.height) {
+          summary.comparison.sizeMismatch = {
+            baseline: `${baseline.width}x${baseline.height}`,
+            actual: `${image.width}x${image.height}`
+          };
+          summary.comparison.mismatchPercent = 100;
+        } else {
+          const result = diffRgba(image.width, image.height, baseline.pixels, image.pixels, { threshold: params.threshold });
+          const diff = { width: image.width, height: image.height, pixels: result.diff };
+          Object.assign(summary.comparison, {
+            mismatchPercent: Number(result.changedPercent.toFixed(3)),
+            changedPixels: result.changedPixels,
+            diffScore: Number(result.score.toFixed(5))
+          });
+          if (params.diffOutputPath) {
+            summary.comparison.diffPath = path.resolve(params.diffOutputPath);
+            fs.writeFileSync(summary.comparison.diffPath, encodePng(diff.width, diff.height, diff.pixels));
+          }
+          if (params.inline && result.changedPixels > 0) images.push({ label: 'diff (changed pixels in red)', image: diff });
+        }
+      }
+
+      const content = [{ type: 'text', text: JSON.stringify(summary, null, 2) }, artifactLink(artifact)];
+      for (const { label, image: item } of images) {
+        const scaled = downscaleRgba(item, params.maxWidth);
+        content.push({ type: 'text', text: `${label} (${scaled.width}x${scaled.height})` });
+        content.push({ type: 'image', data: encodePng(scaled.width, scaled.height, scaled.pixels).toString('base64'), mimeType: 'image/png' });
+      }
+      return { content };
     }
   );
 
@@ -115,91 +241,23 @@ function registerDeviceTool(server) {
     },
     async (params) => {
       let { command, args } = params;
-      const { elementId, elementText, timeoutMs } = params;
+      const { elementId, elementText, timeoutMs, serial } = params;
       args = args || [];
 
-      // Logic to resolve element click
-      if (elementId || elementText) {
+      // Resolve an element tap through the shared selector matcher
+      if (params.selector || elementId || elementText) {
         if (command !== 'tap') {
-          throw new Error('elementId/elementText can only be used with command="tap".');
-        }
-        
-        // 1. Dump UI
-        const devicePath = '/data/local/tmp/mcp_input_dump.xml';
-        await runAdbCommand(['shell', 'uiautomator', 'dump', devicePath], timeoutMs);
-        const xmlContent = await runAdbCommand(['shell', 'cat', devicePath], timeoutMs);
-
-        // 2. Find Node
-        // Simple Regex search avoids heavy XML parser deps.
-        // We look for a <node ... resource-id="..." ... bounds="..." /> or text="..."
-        // Note: Attributes order isn't guaranteed, so we scan for the tag.
-        
-        let targetBounds = null;
-        
-        // We split by <node to iterate simpler
-        const nodes = xmlContent.split('<node ');
-        for (const nodeStr of nodes) {
-           // Check if this node matches our criteria
-           let matches = false;
-           if (elementId && nodeStr.includes(`resource-id="${elementId}"`)) matches = true;
-           if (elementText && nodeStr.includes(`text="${elementText}"`)) matches = true;
-
-           if (matches) {
-              // Extract bounds
-              const boundsMatch = nodeStr.match(/bounds="(\[\d+,\d+\]\[\d+,\d+\])"/);
-              if (boundsMatch) {
-                  targetBounds = boundsMatch[1];
-                  break; // Found first match
-              }
-           }
+          throw new Error('selector/elementId/elementText can only be used with command="tap".');
         }
+        const selector = { ...params.selector };
+        if (elementId) selector.resourceId = elementId;
+        if (elementText) selector.text = elementText;
 
-        if (!targetBounds) {
-            throw new Error(`Could not find element with id="${elementId}" or text="${elementText}" in current UI.`);
-        }
-
-        const center = getCenterFromBounds(targetBounds);
-        if (!center) {
-             throw new Error(`Invalid bounds found: ${targetBounds}`);
-        }
-
-        // 3. Update args to be a tap at these coordinates
-        args = [String(center.x), String(center.y)];
+        const element = await locateElement(selector, params.nth, timeoutMs, serial);
+        args = [String(element.center.x), String(element.center.y)];
       }
 
-      // Check args for standard commands
-      let adbArgs = ['shell', 'input'];
-      
-      switch (command) {
-        case 'tap':
-          if (args.length !== 2) throw new Error('tap requires x and y coordinates (or use elementId/elementText)');
-          adbArgs.push('tap', args[0], args[1]);
-          break;
-        case 'text':
-          if (args.length !== 1) throw new Error('text requires a single string argument');
-          let safeText = String(args[0]).replace(/\s/g, '%s');
-          adbArgs.push('text', safeText);
-          break;
-        case 'swipe':
-          if (args.length < 4) throw new Error('swipe requires at least x1, y1, x2, y2');
-          adbArgs.push('swipe', ...args);
-          break;
-        case 'keyevent':
-        case 'back':
-        case 'home':
-           // Allow command='back' without args to mean keyevent 4
-           if (command === 'back') { adbArgs.push('keyevent', '4'); }
-           else if (command === 'home') { adbArgs.push('keyevent', '3'); }
-           else {
-               if (args.length < 1) throw new Error('keyevent requires keycode');
-               adbArgs.push('keyevent', ...args);
-           }
-           break;
-        default:
-          throw new Error(`Unknown command: ${command}`);
-      }
-      
-      await runAdbCommand(adbArgs, timeoutMs);
+      await injectInput(command, args, timeoutMs, serial);
       return { content: [{ type: 'text', text: `Executed input ${command} ${JSON.stringify(args)}` }] };
     }
   );
@@ -0,0 +1,54 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const z = require('zod/v4');
+const { serialSchema } = require('../utils/adb');
+const { parseFlowSource, compileFlow, runFlow } = require('../utils/uiFlow');
+
+const flowToolInstructions = [
+  'Use run-ui-flow to replay a multi-step scenario (tap, type, swipe, key, wait, assert, screenshot, dumpUi, logcat) written in YAML or JSON.',
+  'Each run writes a timestamped folder with per-step screenshots/UI dumps and report.json; read the failing step\'s artifacts before retrying.'
+].join('\n');
+
+const runFlowSchema = z
+  .object({
+    flow: z.string().min(1).describe('Inline flow script (YAML or JSON)').optional(),
+    flowPath: z.string().min(1).describe('Path to a .yaml/.yml/.json flow script').optional(),
+    outputDir: z.string().min(1).default('ui-flow-runs').describe('Directory that receives the timestamped run folder'),
+    continueOnFailure: z.boolean().describe('Override the flow\'s continueOnFailure setting').optional(),
+    capture: z
+      .enum(['every-step', 'on-failure', 'none'])
+      .describe('Override when screenshots and UI dumps are captured after steps')
+      .optional(),
+    serial: serialSchema
+  })
+  .refine(data => data.flow || data.flowPath, { message: 'Provide either flow or flowPath' });
+
+function registerFlowTool(server) {
+  server.registerTool(
+    'run-ui-flow',
+    {
+      title: 'Run UI flow',
+      description: 'Execute a declarative multi-step UI flow on a device and collect per-step artifacts and a JSON report.',
+      inputSchema: runFlowSchema
+    },
+    async params => {
+      const source = params.flow || (await fs.readFile(path.resolve(params.flowPath), 'utf8'));
+      const flow = compileFlow(parseFlowSource(source));
+      const report = await runFlow(flow, {
+        outputDir: params.outputDir,
+        serial: params.serial,
+        source: params.flowPath ? path.resolve(params.flowPath) : undefined,
+        continueOnFailure: params.continueOnFailure,
+        capture: params.capture
+      });
+      const { passed, failed, skipped } = report.summary;
+      const summary = `${report.passed ? 'PASSED' : 'FAILED'} ${report.flow}: ${passed} passed, ${failed} failed, ${skipped} skipped in ${report.durationMs}ms (${report.runDir})`;
+      return { content: [{ type: 'text', text: `${summary}\n\n${JSON.stringify(report, null, 2)}` }] };
+    }
+  );
+}
+
+module.exports = {
+  registerFlowTool,
+  flowToolInstructions
+};
@@ -1,48 +1,61 @@
-const { execFile } = require('node:child_process');
-const { promisify } = require('node:util');
 const z = require('zod/v4');
-
-const execFileAsync = promisify(execFile);
+const { runAdbCommand, serialSchema } = require('../utils/adb');
+const { startLogcatSession, getLogcatSession, stopLogcatSession } = require('../utils/logcatSession');
+const { parseLogcat, groupCrashes } = require('../utils/logcatParser');
+const { loadMapping, retraceText } = require('../utils/retrace');
+const { analyzeAnrTrace, readAnrTrace } = require('../utils/anrParser');
+const { getWindowFocus } = require('../utils/windowFocus');
+const { packageNameSchema, shellQuote } = require('../utils/appManager');
+const { recordArtifact, artifactLink } = require('../utils/artifactStore');
 
 const logcatToolInstructions = [
   'Use manage-logcat to read logs, fetch crash stacktraces, check ANR state, or clear logcat buffers.',
+  'Pass format=json to get parsed events (stack traces joined) and crashes grouped by exception type + top app frame; filter with messageRegex, since and until.',
+  'To capture logs while driving the UI, call manage-logcat action=start, then action=poll with the sessionId to get only new lines, and action=stop when done.',
   'Use get-current-activity to inspect current focus (Activity/Window) via dumpsys window.'
 ].join('\n');
 
 const manageLogcatSchema = z.object({
-  action: z.enum(['read', 'crash', 'anr', 'clear']).default('read').describe('Action to perform: read logs, get crash buffer, check ANR, or clear buffer.'),
-  packageName: z.string().min(1).describe('Android package name; resolves pid via adb shell pidof').optional(),
-  pid: z.string().min(1).describe('Explicit process id for logcat --pid').optional(),
+  action: z.enum(['read', 'crash', 'anr', 'clear', 'start', 'poll', 'stop']).default('read').describe('Action to perform: read logs, get crash buffer, check ANR, clear buffer, or start/poll/stop a streaming session.'),
+  packageName: packageNameSchema.describe('Android package name; resolves pid via adb shell pidof').optional(),
+  pid: z.string().regex(/^\d+$/, 'must be a numeric process id').describe('Explicit process id for logcat --pid').optional(),
   tag: z.string().min(1).describe('Logcat tag to include (uses -s tag)').optional(),
   priority: z.enum(['V', 'D', 'I', 'W', 'E', 'F', 'S']).default('V').describe('Minimum priority (e.g. D for debug).'),
-  maxLines: z.number().int().min(1).max(2000).default(200).describe('Tail line count (logcat -t).'),
+  maxLines: z.number().int().min(1).max(2000).default(200).describe('Tail line count (logcat -t); for poll, max lines returned.'),
+  format: z.enum(['text', 'json']).default('text').describe('text: raw logcat lines; json: parsed events and grouped crashes'),
+  messageRegex: z.string().min(1).describe('Only keep events whose message matches this regex').optional(),
+  since: z
+    .string()
+    .min(1)
+    .describe("Only logs since this time (logcat -T), e.g. '10-19 14:03:00.000' or epoch seconds '1760882580.0'")
+    .optional(),
+  until: z
+    .string()
+    .regex(/^\d\d-\d\d \d\d:\d\d:\d\d(\.\d+)?$/, "Use 'MM-DD HH:MM:SS.mmm'")
+    .describe("Only logs up to this time, 'MM-DD HH:MM:SS.mmm'")
+    .optional(),
+  mappingPath: z.string().min(1).describe('R8/ProGuard mapping.txt; deobfuscates stack traces in the output').optional(),
+  sessionId: z.string().min(1).describe('Session returned by action=start (required for poll/stop)').optional(),
+  cursor: z.number().int().min(0).describe('Poll from this cursor instead of the last one returned').optional(),
+  bufferSize: z.number().int().min(100).max(50000).default(5000).describe('Lines kept per session (oldest dropped first)'),
+  sessionTimeoutMs: z.number().int().min(10000).max(3600000).default(600000).describe('Stop the session after this long without a poll'),
+  serial: serialSchema,
   timeoutMs: z.number().int().min(1000).max(15000).default(5000).describe('Timeout per adb call in milliseconds')
 });
 
 const currentActivityInputSchema = z.object({
+  serial: serialSchema,
   timeoutMs: z.number().int().min(1000).max(15000).default(5000).describe('Timeout per adb call in milliseconds')
 });
 
-async function runAdbCommand(args, timeoutMs) {
-  try {
-    const { stdout } = await execFileAsync('adb', args, {
-      timeout: timeoutMs,
-      maxBuffer: 5 * 1024 * 1024
-    });
-    return stdout.trimEnd();
-  } catch (error) {
-    const stderr = error && typeof error.stderr === 'string' ? error.stderr.trim() : '';
-    const message = [`adb ${args.join(' ')} failed`, error.message].filter(Boolean).join(': ');
-    if (stderr) {
-      throw new Error(`${message} | stderr: ${stderr}`);
-    }
-    throw new Error(message);
-  }
+async function runAdb(args, timeoutMs, serial) {
+  const output = await runAdbCommand(args, timeoutMs, { serial });
+  return output.trimEnd();
 }
 
-async function resolvePid(packageName, timeoutMs) {
+async function resolvePid(packageName, timeoutMs, serial) {
   try {
-    const output = await runAdbCommand(['shell', 'pidof', '-s', packageName], timeoutMs);
+    const output = await runAdb(['shell', 'pidof', '-s', shellQuote(packageName)], timeoutMs, serial);
     const pid = output.split(/\s+/).find(Boolean);
     return pid || null;
   } catch (e) {
@@ -50,6 +63,66 @@ async function resolvePid(packageName, timeoutMs) {
   }
 }
 
+function needsParsing(params) {
+  return params.format === 'json' || Boolean(params.messageRegex || params.since || params.until);
+}
+
+function compileMessageRegex(pattern) {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid messageRegex: ${error.message}`);
+  }
+}
+
+// Retraces (with mappingPath), parses threadtime output, applies the message/time filters and renders text or JSON
+async function formatLogOutput(rawOutput, params, emptyText) {
+  const output = params.mappingPath && rawOutput ? retraceText(await loadMapping(params.mappingPath), rawOutput) : rawOutput;
+  if (!needsParsing(params)) {
+    return output || emptyText;
+  }
+  let events = parseLogcat(output);
+  if (params.messageRegex) {
+    const pattern = compileMessageRegex(params.messageRegex);
+    events = events.filter(event => pattern.test(event.message));
+  }
+  if (params.until) {
+    const until = params.until.includes('.') ? params.until : `${params.until}.999`;
+    events = events.filter(event => event.timestamp <= until);
+  }
+  if (params.action !== 'poll' && params.action !== 'stop') {
+    events = events.slice(-params.maxLines);
+  }
+
+  if (params.format === 'text') {
+    return events.map(event => event.raw.join('\n')).join('\n') || emptyText;
+  }
+  const crashes = groupCrashes(events, params.packageName);
+  if (params.action === 'crash') {
+    return JSON.stringify({ eventCount: events.length, crashes }, null, 2);
+  }
+  const records = events.map(({ raw, ...event }) => event);
+  return JSON.stringify({ eventCount: records.length, events: records, crashes }, null, 2);
+}
+
+function tailArgs(params) {
+  const args = needsParsing(params) ? ['-v', 'threadtime'] : [];
+  if (params.since) args.push('-T', params.since);
+  else args.push('-t', String(params.maxLines));
+  return args;
+}
+
+// Keeps the raw pull as android://logcat/<id>; empty pulls are not worth a resource
+function recordLogcat(output, buffer, params) {
+  if (!output) return [];
+  const scope = params.packageName || params.pid || params.tag;
+  const artifact = recordArtifact('logcat', {
+    description: `logcat ${buffer}${scope ? ` for ${scope}` : ''}`,
+    data: output
+  });
+  return [artifactLink(artifact)];
+}
+
 function registerLogcatTool(server) {
   server.registerTool(
     'manage-logcat',
@@ -59,53 +132,75 @@ function registerLogcatTool(server) {
       inputSchema: manageLogcatSchema
     },
     async (params) => {
-      const { action, timeoutMs } = params;
+      const { action, timeoutMs, serial } = params;
 
       if (action === 'clear') {
-        await runAdbCommand(['logcat', '-c'], timeoutMs);
+        await runAdb(['logcat', '-c'], timeoutMs, serial);
         return { content: [{ type: 'text', text: 'Cleared logcat buffers.' }] };
       }
 
+      if (action === 'start') {
+        const session = await startLogcatSession({
+          packageName: params.packageName,
+          pid: params.pid,
+          tag: params.tag,
+          priority: params.priority,
+          serial,
+          bufferSize: params.bufferSize,
+          sessionTimeoutMs: params.sessionTimeoutMs
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(session.describe(), null, 2) }] };
+      }
+
+      if (action === 'poll' || action === 'stop') {
+        if (!params.sessionId) throw new Error(`sessionId is required for action=${action}`);
+        const session = action === 'stop' ? stopLogcatSession(params.sessionId) : getLogcatSession(params.sessionId);
+        const { lines, ...cursorInfo } = session.poll(params.cursor, params.maxLines);
+        const header = JSON.stringify({ ...session.describe(), ...cursorInfo });
+        const body = await formatLogOutput(lines.join('\n'), params, 'No new lines.');
+        return { content: [{ type: 'text', text: `${header}\n${body}` }] };
+      }
+
       // Resolve PID if packageName is provided
       let pid = params.pid;
       if (!pid && params.packageName) {
-        pid = await resolvePid(params.packageName, timeoutMs);
+        pid = await resolvePid(params.packageName, timeoutMs, serial);
       }
 
       // 1. ANR Check
       if (action === 'anr') {
-        const sections = [];
-        try {
-           const logArgs = ['logcat', '-d', '-t', String(params.maxLines), 'ActivityManager:E', '*:S'];
-           const amLogs = await runAdbCommand(logArgs, timeoutMs);
-           sections.push('ActivityManager (recent):\n' + (amLogs || 'No entries.'));
-        } catch (e) { sections.push('ActivityManager error: ' + e.message); }
-
-        try {
-           const tail = await runAdbCommand(['shell', 'tail', '-n', '200', '/data/anr/traces.txt'], timeoutMs);
-           sections.push('traces.txt tail (200 lines):\n' + (tail || 'Empty.'));
-        } catch (e) { sections.push('traces.txt error: ' + e.message); }
-        
-        return { content: [{ type: 'text', text: sections.join('\n\n') }] };
+        const trace = await readAnrTrace(params.packageName, timeoutMs, serial);
+        if (!trace) {
+          return { content: [{ type: 'text', text: 'No ANR traces found in /data/anr or dropbox (data_app_anr).' }] };
+        }
+        const analysis = analyzeAnrTrace(trace.text, params.packageName);
+        if (!analysis) {
+          return { content: [{ type: 'text', text: `Could not parse ANR trace from ${trace.source}.` }] };
+        }
+        const { summary, ...details } = analysis;
+        const result = { source: trace.source, ...details };
+        return { content: [{ type: 'text', text: `${summary}\n\n${JSON.stringify(result, null, 2)}` }] };
       }
 
       // 2. Crash Buffer
       if (action === 'crash') {
-        const args = ['logcat', '-b', 'crash', '-d', '-t', String(params.maxLines)];
+        const args = ['logcat', '-b', 'crash', '-d', ...tailArgs(params)];
         if (pid) args.push(`--pid=${pid}`);
-        const output = await runAdbCommand(args, timeoutMs);
-        return { content: [{ type: 'text', text: output || 'No crash entries found.' }] };
+        const output = await runAdb(args, timeoutMs, serial);
+        const text = await formatLogOutput(output, params, 'No crash entries found.');
+        return { content: [{ type: 'text', text }, ...recordLogcat(output, 'crash buffer', params)] };
       }
 
       // 3. Normal Read (Default)
-      const args = ['logcat', '-d', '-t', String(params.maxLines)];
+      const args = ['logcat', '-d', ...tailArgs(params)];
       if (pid) args.push(`--pid=${pid}`);
       if (params.tag) {
          args.push('-s', `${params.tag}:${params.priority}`);
       }
       
-      const output = await runAdbCommand(args, timeoutMs);
-      return { content: [{ type: 'text', text: output || 'Logcat returned no lines.' }] };
+      const output = await runAdb(args, timeoutMs, serial);
+      const text = await formatLogOutput(output, params, 'Logcat returned no lines.');
+      return { content: [{ type: 'text', text }, ...recordLogcat(output, 'main buffers', params)] };
     }
   );
 
@@ -117,10 +212,8 @@ function registerLogcatTool(server) {
       inputSchema: currentActivityInputSchema
     },
     async (params) => {
-      const dump = await runAdbCommand(['shell', 'dumpsys', 'window'], params.timeoutMs);
-      const lines = dump.split('\n').filter(line => line.includes('mCurrentFocus') || line.includes('mFocusedApp'));
-      const trimmed = lines.slice(0, 8).join('\n').trim();
-      return { content: [{ type: 'text', text: trimmed || 'No focus info found.' }] };
+      const focus = await getWindowFocus(params.timeoutMs, params.serial);
+      return { content: [{ type: 'text', text: focus.lines.join('\n') || 'No focus info found.' }] };
     }
   );
 }
@@ -0,0 +1,159 @@
+const z = require('zod/v4');
+const { runAdbCommand, serialSchema } = require('../utils/adb');
+const { injectInput } = require('../utils/deviceInput');
+const { packageNameSchema, shellQuote, runShell, resolveLaunchActivity, startActivity } = require('../utils/appManager');
+const { summarizeTimings, parseGfxinfo, parseMeminfo } = require('../utils/perfParsers');
+
+const perfToolInstructions = [
+  'Use profile-performance to measure instead of guessing: mode=startup runs am start -W several times (cold force-stops first) and reports min/median/p90; mode=frames resets gfxinfo, replays swipes and reports jank % and frame-time percentiles; mode=memory returns the meminfo PSS breakdown.',
+  'Run the same parameters before and after a change and compare the JSON results.'
+].join('\n');
+
+const point = z.tuple([z.number(), z.number()]);
+
+const perfSchema = z.object({
+  mode: z.enum(['startup', 'frames', 'memory']),
+  packageName: packageNameSchema.describe('Application id to profile'),
+  activity: z.string().min(1).describe('startup: activity to launch instead of the launcher activity').optional(),
+  startupType: z
+    .enum(['cold', 'warm'])
+    .default('cold')
+    .describe('cold: force-stop before every launch; warm: keep the process, press BACK and relaunch with clear-task'),
+  iterations: z.number().int().min(1).max(30).default(5).describe('startup: number of measured launches'),
+  settleMs: z.number().int().min(0).max(30000).default(1000).describe('Pause after each launch / interaction before the next step'),
+  swipes: z
+    .array(z.object({ from: point, to: point, durationMs: z.number().int().min(0).default(300) }))
+    .describe('frames: swipes to replay after resetting the counters (e.g. scrolling a list)')
+    .optional(),
+  repeat: z.number().int().min(1).max(50).default(1).describe('frames: how many times to replay the swipes'),
+  observeMs: z
+    .number()
+    .int()
+    .min(0)
+    .max(120000)
+    .default(0)
+    .describe('frames: extra time to record (e.g. while an animation runs) before reading stats'),
+  serial: serialSchema,
+  timeoutMs: z.number().int().min(1000).max(120000).default(30000).describe('Timeout per adb call in milliseconds')
+});
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function profileStartup(params) {
+  const { packageName, timeoutMs, serial } = params;
+  // Resolve the launcher activity once instead of on every run
+  const launcher = params.activity ? null : await resolveLaunchActivity(packageName, timeoutMs, serial);
+  if (!params.activity && !launcher) throw new Error(`${packageName} has no launcher activity (is it installed?)`);
+  const intent = params.activity
+    ? { packageName, activity: params.activity }
+    : { activity: launcher, action: 'android.intent.action.MAIN', categories: ['android.intent.category.LAUNCHER'] };
+  const launch = flags => startActivity({ ...intent, flags, wait: true }, timeoutMs, serial);
+  const warm = params.startupType === 'warm';
+  if (warm) {
+    // Make sure the process exists; this launch is not measured
+    await launch();
+    await sleep(params.settleMs);
+  }
+
+  const runs = [];
+  for (let run = 1; run <= params.iterations; run++) {
+    if (params.startupType === 'cold') {
+      await runShell(['am', 'force-stop', shellQuote(packageName)], 'force-stop', timeoutMs, serial);
+    } else {
+      await injectInput('back', [], timeoutMs, serial);
+    }
+    await sleep(params.settleMs);
+    // Since Android 12 BACK only moves a root activity to the background, and relaunching it is a
+    // HOT start; clear-task recreates the activity in the running process
+    const result = await launch(warm ? ['clear-task'] : undefined);
+    runs.push({
+      run,
+      status: result.status,
+      launchState: result.launchState,
+      totalTimeMs: result.totalTimeMs,
+      waitTimeMs: result.waitTimeMs,
+      ...(result.warning ? { warning: result.warning } : {})
+    });
+  }
+
+  const launchStates = {};
+  runs.forEach(run => (launchStates[run.launchState || 'unknown'] = (launchStates[run.launchState || 'unknown'] || 0) + 1));
+  const expected = warm ? 'WARM' : 'COLD';
+  // Older releases print no LaunchState, so only a reported mismatch counts
+  const mismatched = runs.filter(run => run.launchState && run.launchState !== expected).length;
+  return {
+    mode: 'startup',
+    packageName,
+    startupType: params.startupType,
+    activity: params.activity || launcher,
+    totalTimeMs: summarizeTimings(runs.map(run => run.totalTimeMs)),
+    waitTimeMs: summarizeTimings(runs.map(run => run.waitTimeMs)),
+    launchStates,
+    ...(mismatched > 0
+      ? {
+          warning: `${mismatched} of ${runs.length} runs reported a launch state other than ${expected} (see launchStates); the timings are not pure ${expected} starts`
+        }
+      : {}),
+    runs
+  };
+}
+
+async function profileFrames(params) {
+  const { packageName, timeoutMs, serial } = params;
+  const reset = await runAdbCommand(['shell', 'dumpsys', 'gfxinfo', shellQuote(packageName), 'reset'], timeoutMs, { serial });
+  if (/No process found for/i.test(reset)) {
+    throw new Error(`${packageName} is not running; launch it before collecting frame stats`);
+  }
+
+  const swipes = params.swipes || [];
+  for (let round = 0; round < params.repeat && swipes.length > 0; round++) {
+    for (const swipe of swipes) {
+      await injectInput('swipe', [...swipe.from, ...swipe.to, swipe.durationMs], timeoutMs, serial);
+    }
+  }
+  await sleep(params.settleMs + params.observeMs);
+
+  const output = await runAdbCommand(['shell', 'dumpsys', 'gfxinfo', shellQuote(packageName)], timeoutMs, { serial });
+  return {
+    mode: 'frames',
+    packageName,
+    interaction: { swipes: swipes.length, repeat: swipes.length > 0 ? params.repeat : 0, observeMs: params.observeMs },
+    ...parseGfxinfo(output, packageName)
+  };
+}
+
+async function profileMemory(params) {
+  const output = await runAdbCommand(['shell', 'dumpsys', 'meminfo', shellQuote(params.packageName)], params.timeoutMs, {
+    serial: params.serial
+  });
+  return { mode: 'memory', packageName: params.packageName, ...parseMeminfo(output, params.packageName) };
+}
+
+const PROFILERS = {
+  startup: profileStartup,
+  frames: profileFrames,
+  memory: profileMemory
+};
+
+function registerPerfTool(server) {
+  server.registerTool(
+    'profile-performance',
+    {
+      title: 'Profile app performance',
+      description:
+        'Measure cold/warm startup (am start -W statistics), frame jank and percentiles (dumpsys gfxinfo) or memory (dumpsys meminfo PSS breakdown) as structured JSON.',
+      inputSchema: perfSchema
+    },
+    async (params) => {
+      const result = await PROFILERS[params.mode](params);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
+
+module.exports = {
+  registerPerfTool,
+  perfToolInstructions
+};
@@ -0,0 +1,129 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const z = require('zod/v4');
+const vectordrawableToSvg = require('../../vendor/svg2vectordrawable/vectordrawable-to-svg');
+const { renderSvg } = require('../utils/svgRasterizer');
+const { encodePng } = require('../utils/png');
+const { diffRgba } = require('../utils/imageDiff');
+
+const previewToolInstructions = [
+  'Use render-vector-preview to rasterize VectorDrawable XML to PNG (mdpi..xxxhdpi) without a device or Android Studio.',
+  'Pass the source svg/svgPath as well to get a pixel-difference score against the original; scores near 0 mean the conversion looks the same.'
+].join('\n');
+
+const DENSITY_SCALES = {
+  mdpi: 1,
+  hdpi: 1.5,
+  xhdpi: 2,
+  xxhdpi: 3,
+  xxxhdpi: 4
+};
+
+const previewInputSchema = z
+  .object({
+    xml: z.string().min(1).describe('Inline VectorDrawable XML to render').optional(),
+    xmlPath: z.string().min(1).describe('Path to a VectorDrawable XML file').optional(),
+    svg: z.string().min(1).describe('Inline source SVG to compare against').optional(),
+    svgPath: z.string().min(1).describe('Path to the source SVG to compare against').optional(),
+    densities: z
+      .array(z.enum(['mdpi', 'hdpi', 'xhdpi', 'xxhdpi', 'xxxhdpi']))
+      .min(1)
+      .default(['xxhdpi'])
+      .describe('Densities to render (dp size times 1, 1.5, 2, 3, 4)'),
+    outputDir: z.string().min(1).describe('Optional directory to write PNG files into').optional(),
+    diffImage: z.boolean().default(false).describe('Also produce a diff image highlighting changed pixels'),
+    inlineImages: z.boolean().default(true).describe('Return PNGs as image content in the response'),
+    threshold: z
+      .number()
+      .min(0)
+      .max(1)
+      .default(0.1)
+      .describe('Per-pixel channel difference (0-1) above which a pixel counts as changed')
+  })
+  .refine(data => data.xml || data.xmlPath, { message: 'Provide either xml or xmlPath' });
+
+async function readInput(inline, filePath) {
+  if (inline) return inline;
+  if (!filePath) return null;
+  return fs.readFile(path.resolve(filePath), 'utf8');
+}
+
+function registerPreviewTool(server) {
+  server.registerTool(
+    'render-vector-preview',
+    {
+      title: 'Render VectorDrawable preview',
+      description:
+        'Rasterize VectorDrawable XML to PNG at Android densities and optionally score it against the source SVG.',
+      inputSchema: previewInputSchema
+    },
+    async params => {
+      const xml = await readInput(params.xml, params.xmlPath);
+      const sourceSvg = await readInput(params.svg, params.svgPath);
+      const diagnostics = [];
+      const drawableSvg = await vectordrawableToSvg(xml, { diagnostics });
+      const baseName = params.xmlPath ? path.basename(params.xmlPath, path.extname(params.xmlPath)) : 'preview';
+
+      let outputDir = null;
+      if (params.outputDir) {
+        outputDir = path.resolve(params.outputDir);
+        await fs.mkdir(outputDir, { recursive: true });
+      }
+
+      const images = [];
+      const results = [];
+      const warnings = new Set(diagnostics.map(item => `${item.element}: ${item.reason}`));
+
+      for (const density of params.densities) {
+        const rendered = renderSvg(drawableSvg, { scale: DENSITY_SCALES[density] });
+        rendered.warnings.forEach(warning => warnings.add(warning));
+        const result = { density, width: rendered.width, height: rendered.height };
+        const png = encodePng(rendered.width, rendered.height, rendered.pixels);
+        images.push({ label: `${baseName} @${density}`, png });
+        if (outputDir) {
+          result.outputPath = path.join(outputDir, `${baseName}-${density}.png`);
+          await fs.writeFile(result.outputPath, png);
+        }
+
+        if (sourceSvg) {
+          // Render the source at exactly the drawable's pixel size so pixels line up
+          const source = renderSvg(sourceSvg, { width: rendered.width, height: rendered.height });
+          source.warnings.forEach(warning => warnings.add(`source: ${warning}`));
+          const comparison = diffRgba(rendered.width, rendered.height, source.pixels, rendered.pixels, {
+            threshold: params.threshold
+          });
+          result.diffScore = Number(comparison.score.toFixed(5));
+          result.changedPercent = Number(comparison.changedPercent.toFixed(3));
+          if (params.diffImage) {
+            const diffPng = encodePng(rendered.width, rendered.height, comparison.diff);
+            images.push({ label: `${baseName} @${density} diff`, png: diffPng });
+            if (outputDir) {
+              result.diffPath = path.join(outputDir, `${baseName}-${density}-diff.png`);
+              await fs.writeFile(result.diffPath, diffPng);
+            }
+          }
+        }
+        results.push(result);
+      }
+
+      const summary = { name: baseName, results };
+      if (warnings.size > 0) {
+        summary.warnings = [...warnings];
+      }
+
+      const content = [{ type: 'text', text: JSON.stringify(summary, null, 2) }];
+      if (params.inlineImages) {
+        for (const image of images) {
+          content.push({ type: 'text', text: image.label });
+          content.push({ type: 'image', data: image.png.toString('base64'), mimeType: 'image/png' });
+        }
+      }
+      return { content };
+    }
+  );
+}
+
+module.exports = {
+  registerPreviewTool,
+  previewToolInstructions
+};
@@ -0,0 +1,38 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const z = require('zod/v4');
+const { loadMapping, retraceText } = require('../utils/retrace');
+
+const retraceToolInstructions = [
+  'Use retrace-stacktrace with a build\'s mapping.txt to deobfuscate R8/ProGuard stack traces (inline frames and line ranges included).',
+  'manage-logcat also accepts mappingPath to retrace read/crash/poll output directly.'
+].join('\n');
+
+const retraceInputSchema = z
+  .object({
+    mappingPath: z.string().min(1).describe('Path to the R8/ProGuard mapping.txt of the build that produced the trace'),
+    stackTrace: z.string().min(1).describe('Obfuscated stack trace or logcat text').optional(),
+    stackTracePath: z.string().min(1).describe('File containing the obfuscated stack trace').optional()
+  })
+  .refine(data => data.stackTrace || data.stackTracePath, { message: 'Provide either stackTrace or stackTracePath' });
+
+function registerRetraceTool(server) {
+  server.registerTool(
+    'retrace-stacktrace',
+    {
+      title: 'Retrace obfuscated stack trace',
+      description: 'Deobfuscate an R8/ProGuard stack trace using mapping.txt (parsed in JS, cached by file hash).',
+      inputSchema: retraceInputSchema
+    },
+    async params => {
+      const stackTrace = params.stackTrace || (await fs.readFile(path.resolve(params.stackTracePath), 'utf8'));
+      const mapping = await loadMapping(params.mappingPath);
+      return { content: [{ type: 'text', text: retraceText(mapping, stackTrace) }] };
+    }
+  );
+}
+
+module.exports = {
+  registerRetraceTool,
+  retraceToolInstructions
+};
@@ -3,15 +3,22 @@ const path = require('node:path');
 const { createHash } = require('node:crypto');
 const z = require('zod/v4');
 const svg2vectordrawable = require('../../vendor/svg2vectordrawable');
+const vectordrawableToSvg = require('../../vendor/svg2vectordrawable/vectordrawable-to-svg');
+const svgToCompose = require('../../vendor/svg2vectordrawable/vectordrawable-to-compose');
+const { recordArtifact, artifactLink } = require('../utils/artifactStore');
 
 const svgToolInstructions = [
   'Use this server to convert SVG into Android VectorDrawable XML (fast, cached).',
   'Call tool convert-svg-to-android-drawable for any SVG→VectorDrawable conversion or option tuning.',
   'Prefer inline SVG via svg; if using svgPath, pass absolute or caller-provided paths only—do not invent paths.',
   'Set outputPath only if a file should be written; otherwise XML is returned inline.',
-  'Defaults: floatPrecision=2, fillBlack=false, xmlTag=false, cache=true.',
+  'Defaults: floatPrecision=2, fillBlack=false, xmlTag=false, cache=true, strict=false.',
+  'Check the returned diagnostics: they list SVG content (filters, text, raster images, patterns, CSS) that was dropped or approximated; set strict=true to fail instead.',
   'Use fillBlack=true only when the SVG lacks fill and black is desired; set tint only if the caller explicitly requests a tint color.',
-  'Do not alter caller SVG content beyond conversion; keep inputs as provided.'
+  'Do not alter caller SVG content beyond conversion; keep inputs as provided.',
+  'Use convert-svg-to-compose to emit a Jetpack Compose ImageVector (Kotlin) from the same conversion tree; pass packageName and, for icon packs, receiver.',
+  'Use convert-android-drawable-to-svg to turn existing VectorDrawable XML back into SVG for design tweaks.',
+  'Use convert-svg-batch to import a directory or glob of SVGs into an Android res/ tree in one call; run with dryRun=true first to review planned resource names.'
 ].join('\n');
 
 const convertInputSchema = z
@@ -36,10 +43,83 @@ const convertInputSchema = z
     cache: z
       .boolean()
       .default(true)
-      .describe('Reuse cached result for identical inputs within this process')
+      .describe('Reuse cached result for identical inputs within this process'),
+    strict: z
+      .boolean()
+      .default(false)
+      .describe('Fail instead of returning XML when content is dropped or approximated')
   })
   .refine(data => data.svg || data.svgPath, { message: 'Provide either svg or svgPath' });
 
+const batchInputSchema = z.object({
+  source: z
+    .string()
+    .min(1)
+    .describe('Source directory or glob (e.g. icons/**/*.svg) of SVG files to convert'),
+  resDir: z.string().min(1).describe('Android res/ directory; files are written to <resDir>/<drawableDir>'),
+  drawableDir: z
+    .string()
+    .min(1)
+    .default('drawable')
+    .describe('Drawable folder inside resDir (e.g. drawable, drawable-night)'),
+  prefix: z
+    .string()
+    .regex(/^[a-z0-9_]*$/)
+    .default('ic_')
+    .describe('Prefix added to generated resource names unless already present'),
+  dryRun: z.boolean().default(false).describe('Only report planned resource names; write nothing'),
+  overwrite: z.boolean().default(false).describe('Overwrite existing drawables in the target folder'),
+  concurrency: z.number().int().min(1).max(16).default(4).describe('Parallel conversions'),
+  floatPrecision: z.number().int().min(0).max(6).default(2).describe('Decimal precision when serializing coordinates'),
+  fillBlack: z.boolean().default(false).describe('Force fill color black when missing'),
+  xmlTag: z.boolean().default(false).describe('Include XML declaration'),
+  tint: z.string().min(1).optional().describe('Android tint color (e.g. #FF000000)'),
+  cache: z.boolean().default(true).describe('Reuse cached result for identical inputs within this process'),
+  strict: z.boolean().default(false).describe('Mark files failed when content is dropped or approximated')
+});
+
+const composeInputSchema = z
+  .object({
+    svg: z.string().min(1).describe('Inline SVG markup to convert').optional(),
+    svgPath: z.string().min(1).describe('Path to an SVG file to read').optional(),
+    outputPath: z.string().min(1).describe('Optional output path for the generated .kt file').optional(),
+    packageName: z
+      .string()
+      .regex(/^[a-zA-Z_][\w]*(\.[a-zA-Z_][\w]*)*$/)
+      .describe('Kotlin package, e.g. com.example.ui.icons'),
+    propertyName: z
+      .string()
+      .regex(/^[A-Za-z_][\w]*$/)
+      .describe('ImageVector property name (defaults to the PascalCase svgPath file name)')
+      .optional(),
+    receiver: z
+      .string()
+      .regex(/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/)
+      .describe('Optional icon pack object used as extension receiver, e.g. MyIcons')
+      .optional(),
+    floatPrecision: z
+      .number()
+      .int()
+      .min(0)
+      .max(6)
+      .default(2)
+      .describe('Decimal precision when serializing coordinates'),
+    fillBlack: z.boolean().default(false).describe('Force fill color black when missing'),
+    tint: z.string().min(1).optional().describe('Tint color applied as ImageVector tintColor (e.g. #FF000000)')
+  })
+  .refine(data => data.svg || data.svgPath, { message: 'Provide either svg or svgPath' })
+  .refine(data => data.propertyName || data.svgPath, {
+    message: 'Provide propertyName when converting inline svg'
+  });
+
+const reverseInputSchema = z
+  .object({
+    xml: z.string().min(1).describe('Inline VectorDrawable XML to convert').optional(),
+    xmlPath: z.string().min(1).describe('Path to a VectorDrawable XML file to read').optional(),
+    outputPath: z.string().min(1).describe('Optional output path for generated SVG').optional()
+  })
+  .refine(data => data.xml || data.xmlPath, { message: 'Provide either xml or xmlPath' });
+
 const conversionCache = new Map();
 const MAX_CACHE_SIZE = 32;
 
@@ -68,12 +148,62 @@ function setCache(key, value) {
   conversionCache.set(key, value);
 }
 
+// Every conversion is also kept as android://drawables/<hash>, keyed like the cache
+function recordDrawable(cacheKey, xml, name) {
+  return recordArtifact('drawables', {
+    id: cacheKey.slice(0, 16),
+    name: name ? `${name}.xml` : undefined,
+    description: name ? `VectorDrawable converted from ${name}.svg` : 'VectorDrawable converted from inline SVG',
+    data: xml
+  });
+}
+
+async function convertSvg(svgCode, options, useCache, name) {
+  const cacheKey = makeCacheKey(svgCode, options);
+  if (useCache) {
+    const cached = getCached(cacheKey);
+    if (cached) return { ...cached, artifact: recordDrawable(cacheKey, cached.xml, name) };
+  }
+
+  const diagnostics = [];
+  const xml = await svg2vectordrawable(svgCode, { ...options, diagnostics });
+  if (!xml || typeof xml !== 'string') {
+    throw new Error('Conversion did not produce XML');
+  }
+  const result = { xml, diagnostics };
+  setCache(cacheKey, result);
+  return { ...result, artifact: recordDrawable(cacheKey, xml, name) };
+}
+
+function assertNotStrictViolation(diagnostics) {
+  if (diagnostics.length === 0) return;
+  const details = diagnostics
+    .map(item => `${item.severity}: <${item.element}>${item.attribute ? ` ${item.attribute}` : ''} ${item.reason}`)
+    .join('; ');
+  throw new Error(`Strict mode: SVG uses unsupported features (${details})`);
+}
+
 async function loadSvg(params) {
   if (params.svg) return params.svg;
   const resolvedPath = path.resolve(params.svgPath);
   return fs.readFile(resolvedPath, 'utf8');
 }
 
+function toPropertyName(filePath) {
+  const words = path
+    .basename(filePath, path.extname(filePath))
+    .replace(/^ic_/, '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  return /^[A-Za-z_]/.test(name) ? name : `Icon${name}`;
+}
+
+async function loadVectorDrawable(params) {
+  if (params.xml) return params.xml;
+  return fs.readFile(path.resolve(params.xmlPath), 'utf8');
+}
+
 async function maybeWriteOutput(outputPath, xml) {
   if (!outputPath) return null;
   const resolvedPath = path.resolve(outputPath);
@@ -82,6 +212,124 @@ async function maybeWriteOutput(outputPath, xml) {
   return resolvedPath;
 }
 
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walkFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walkFiles(fullPath)));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function isSvgFile(file) {
+  return file.toLowerCase().endsWith('.svg');
+}
+
+async function resolveSvgSources(source) {
+  const resolved = path.resolve(source);
+  const stat = await fs.stat(resolved).catch(() => null);
+  if (stat && stat.isFile()) return [resolved];
+  if (stat && stat.isDirectory()) {
+    const files = await walkFiles(resolved);
+    return files.filter(isSvgFile).sort();
+  }
+
+  // Treat as glob: walk from the deepest directory without wildcards
+  const segments = resolved.split(path.sep);
+  const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+  if (firstWildcard === -1) {
+    throw new Error(`Source not found: ${resolved}`);
+  }
+  const baseDir = segments.slice(0, firstWildcard).join(path.sep) || path.sep;
+  const matcher = globToRegExp(segments.slice(firstWildcard).join('/'));
+  const files = await walkFiles(baseDir).catch(() => []);
+  return files
+    .filter(file => isSvgFile(file) && matcher.test(path.relative(baseDir, file).split(path.sep).join('/')))
+    .sort();
+}
+
+function toResourceName(filePath, prefix) {
+  const base = path.basename(filePath, path.extname(filePath));
+  const body = base
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  const name = prefix && body.startsWith(prefix) ? body : `${prefix}${body}`;
+  if (!/^[a-z][a-z0-9_]*$/.test(name)) return null;
+  return name;
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+function planBatch(sources, outputDir, prefix) {
+  const plan = sources.map(source => {
+    const name = toResourceName(source, prefix);
+    return {
+      source,
+      name,
+      outputPath: name ? path.join(outputDir, `${name}.xml`) : null,
+      status: name ? 'pending' : 'failed',
+      error: name ? undefined : 'Could not derive a valid Android resource name'
+    };
+  });
+
+  const byName = new Map();
+  for (const entry of plan) {
+    if (!entry.name) continue;
+    if (!byName.has(entry.name)) byName.set(entry.name, []);
+    byName.get(entry.name).push(entry);
+  }
+  for (const [name, entries] of byName) {
+    if (entries.length < 2) continue;
+    for (const entry of entries) {
+      const others = entries.filter(other => other !== entry).map(other => other.source);
+      entry.status = 'failed';
+      entry.error = `Resource name collision on ${name} with ${others.join(', ')}`;
+    }
+  }
+  return plan;
+}
+
 function registerSvgTool(server) {
   server.registerTool(
     'convert-svg-to-android-drawable',
@@ -100,20 +348,11 @@ function registerSvgTool(server) {
         tint: params.tint
       };
 
-      const cacheKey = makeCacheKey(svgCode, options);
       const startTime = process.hrtime.bigint();
-
-      let xml = null;
-      if (params.cache) {
-        xml = getCached(cacheKey);
-      }
-
-      if (!xml) {
-        xml = await svg2vectordrawable(svgCode, options);
-        if (!xml || typeof xml !== 'string') {
-          throw new Error('Conversion did not produce XML');
-        }
-        setCache(cacheKey, xml);
+      const name = params.svgPath ? path.basename(params.svgPath, path.extname(params.svgPath)) : undefined;
+      const { xml, diagnostics, artifact } = await convertSvg(svgCode, options, params.cache, name);
+      if (params.strict) {
+        assertNotStrictViolation(diagnostics);
       }
 
       const savedPath = await maybeWriteOutput(params.outputPath, xml);
@@ -140,13 +379,158 @@ function registerSvgTool(server) {
         content.push({ type: 'text', text: `Saved VectorDrawable to ${savedPath}` });
       }
       content.push({ type: 'text', text: xml });
+      if (diagnostics.length > 0) {
+        content.push({ type: 'text', text: `Diagnostics:\n${JSON.stringify(diagnostics, null, 2)}` });
+      }
+      content.push(artifactLink(artifact));
+
+      return { content };
+    }
+  );
+
+  server.registerTool(
+    'convert-svg-to-compose',
+    {
+      title: 'SVG to Compose ImageVector',
+      description:
+        'Convert SVG into a Kotlin file with a Jetpack Compose ImageVector property (path/group builders, brushes, strokes), optionally writing to disk.',
+      inputSchema: composeInputSchema
+    },
+    async params => {
+      const svgCode = await loadSvg(params);
+      const diagnostics = [];
+      const kotlin = await svgToCompose(svgCode, {
+        floatPrecision: params.floatPrecision,
+        fillBlack: params.fillBlack,
+        tint: params.tint,
+        packageName: params.packageName,
+        propertyName: params.propertyName || toPropertyName(params.svgPath),
+        receiver: params.receiver,
+        diagnostics
+      });
+      const savedPath = await maybeWriteOutput(params.outputPath, kotlin);
+
+      const content = [];
+      if (savedPath) {
+        content.push({ type: 'text', text: `Saved ImageVector to ${savedPath}` });
+      }
+      content.push({ type: 'text', text: kotlin });
+      if (diagnostics.length > 0) {
+        content.push({ type: 'text', text: `Diagnostics:\n${JSON.stringify(diagnostics, null, 2)}` });
+      }
+      return { content };
+    }
+  );
+
+  server.registerTool(
+    'convert-android-drawable-to-svg',
+    {
+      title: 'VectorDrawable to SVG',
+      description:
+        'Convert Android VectorDrawable XML (groups, clip-paths, gradients, tint) back into standalone SVG, optionally writing to disk.',
+      inputSchema: reverseInputSchema
+    },
+    async params => {
+      const xml = await loadVectorDrawable(params);
+      const diagnostics = [];
+      const svg = await vectordrawableToSvg(xml, { diagnostics });
+      const savedPath = await maybeWriteOutput(params.outputPath, svg);
 
+      const content = [];
+      if (savedPath) {
+        content.push({ type: 'text', text: `Saved SVG to ${savedPath}` });
+      }
+      content.push({ type: 'text', text: svg });
+      if (diagnostics.length > 0) {
+        content.push({ type: 'text', text: `Diagnostics:\n${JSON.stringify(diagnostics, null, 2)}` });
+      }
       return { content };
     }
   );
+
+  server.registerTool(
+    'convert-svg-batch',
+    {
+      title: 'Batch SVG to VectorDrawable',
+      description:
+        'Convert a directory or glob of SVGs into <resDir>/drawable with Android-safe resource names, collision checks and a per-file manifest.',
+      inputSchema: batchInputSchema
+    },
+    async params => {
+      const sources = await resolveSvgSources(params.source);
+      if (sources.length === 0) {
+        throw new Error(`No SVG files matched ${params.source}`);
+      }
+
+      const outputDir = path.resolve(params.resDir, params.drawableDir);
+      const plan = planBatch(sources, outputDir, params.prefix);
+      const options = {
+        floatPrecision: params.floatPrecision,
+        fillBlack: params.fillBlack,
+        xmlTag: params.xmlTag,
+        tint: params.tint
+      };
+
+      if (!params.dryRun) {
+        await fs.mkdir(outputDir, { recursive: true });
+      }
+
+      await runWithConcurrency(plan, params.concurrency, async entry => {
+        if (entry.status === 'failed') return;
+        const exists = await fs
+          .access(entry.outputPath)
+          .then(() => true)
+          .catch(() => false);
+        if (exists && !params.overwrite) {
+          entry.status = 'skipped';
+          entry.error = 'Output exists; pass overwrite=true to replace it';
+          return;
+        }
+        if (params.dryRun) {
+          entry.status = exists ? 'planned-overwrite' : 'planned';
+          return;
+        }
+        try {
+          const svgCode = await fs.readFile(entry.source, 'utf8');
+          const { xml, diagnostics, artifact } = await convertSvg(svgCode, options, params.cache, entry.name);
+          if (diagnostics.length > 0) {
+            entry.diagnostics = diagnostics;
+          }
+          if (params.strict) {
+            assertNotStrictViolation(diagnostics);
+          }
+          await fs.writeFile(entry.outputPath, xml, 'utf8');
+          entry.resourceUri = artifact.uri;
+          entry.status = 'converted';
+        } catch (error) {
+          entry.status = 'failed';
+          entry.error = error.message;
+        }
+      });
+
+      const counts = plan.reduce((acc, entry) => {
+        acc[entry.status] = (acc[entry.status] || 0) + 1;
+        return acc;
+      }, {});
+      const summary =
+        (params.dryRun ? 'Dry run: ' : '') +
+        `${plan.length} SVG file(s) -> ${outputDir} | ` +
+        Object.entries(counts)
+          .map(([status, count]) => `${status}: ${count}`)
+          .join(', ');
+
+      return {
+        content: [
+          { type: 'text', text: summary },
+          { type: 'text', text: JSON.stringify(plan, null, 2) }
+        ]
+      };
+    }
+  );
 }
 
 module.exports = {
   registerSvgTool,
+  convertSvg,
   svgToolInstructions
 };
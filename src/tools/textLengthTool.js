@@ -1,9 +1,13 @@
 const z = require('zod/v4');
+const { loadFont } = require('../utils/fontMetrics');
+const { layoutText } = require('../utils/textLayout');
+const { measureLength } = require('../utils/stringResources');
 
 const textLengthToolInstructions = [
   'Use estimate-text-length-difference to compare original vs translated text lengths and flag large deltas.',
   'Configure tolerancePercent to set the allowed absolute percentage difference (default 30%).',
-  'The tool reports both lengths, percent change, and whether the change exceeds tolerance.'
+  'The tool reports both lengths, percent change, and whether the change exceeds tolerance.',
+  'Set mode=rendered with textSizeSp, availableWidthDp and maxLines (optionally fontPath to a .ttf/.otf) to estimate rendered width in dp and whether the translation wraps or is ellipsized where the source fits.'
 ].join('\n');
 
 const lengthDiffInputSchema = z.object({
@@ -14,11 +18,75 @@ const lengthDiffInputSchema = z.object({
     .min(1)
     .max(500)
     .default(30)
-    .describe('Allowed absolute percent difference between lengths before flagging risk')
+    .describe('Allowed absolute percent difference between lengths before flagging risk'),
+  mode: z
+    .enum(['characters', 'rendered'])
+    .default('characters')
+    .describe('characters: code point count; rendered: estimated width in dp from glyph advances'),
+  fontPath: z
+    .string()
+    .min(1)
+    .describe('TTF/OTF used for glyph advances in rendered mode (e.g. res/font/inter_regular.ttf); built-in per-script widths otherwise')
+    .optional(),
+  textSizeSp: z.number().min(1).max(200).default(14).describe('Text size in sp for rendered mode'),
+  fontScale: z.number().min(0.5).max(3).default(1).describe('System font scale applied to sp (1 = default, 1.3 = large)'),
+  availableWidthDp: z
+    .number()
+    .min(1)
+    .max(5000)
+    .describe('Width of the text box in dp; enables wrap/ellipsis estimation in rendered mode')
+    .optional(),
+  maxLines: z.number().int().min(1).max(100).default(1).describe('Lines before the text is ellipsized (TextView maxLines)')
 });
 
-function measureLength(text) {
-  return Array.from(text).length;
+function describeLayout(label, layout) {
+  const parts = [`${label}: ${layout.widthDp}dp wide`];
+  if (layout.lines !== undefined) {
+    parts.push(`${layout.lines} line(s)`);
+    if (layout.ellipsized) parts.push('ellipsized');
+    else if (layout.wraps) parts.push('wraps');
+  }
+  if (layout.fallbackGlyphs > 0) parts.push(`${layout.fallbackGlyphs} glyph(s) missing from font, estimated`);
+  return parts.join(', ');
+}
+
+async function renderedSummary(params) {
+  const font = params.fontPath ? await loadFont(params.fontPath) : null;
+  const options = {
+    font,
+    textSizeSp: params.textSizeSp,
+    fontScale: params.fontScale,
+    availableWidthDp: params.availableWidthDp,
+    maxLines: params.maxLines
+  };
+  const source = layoutText(params.sourceText, options);
+  const translated = layoutText(params.translatedText, options);
+  const percentChange = source.widthDp === 0 ? null : ((translated.widthDp - source.widthDp) / source.widthDp) * 100;
+  const exceeds = percentChange === null ? translated.widthDp > 0 : Math.abs(percentChange) > params.tolerancePercent;
+  const boxed = params.availableWidthDp !== undefined;
+
+  let verdict;
+  if (boxed && translated.ellipsized && !source.ellipsized) {
+    verdict = `⚠️ Translated text needs ${translated.lines} lines and is ellipsized at maxLines=${params.maxLines}; the source fits.`;
+  } else if (boxed && translated.ellipsized) {
+    verdict = '⚠️ Both texts are ellipsized at this width.';
+  } else if (boxed && translated.wraps && !source.wraps) {
+    verdict = '⚠️ Translated text wraps to more lines where the source fits on one (check layout height).';
+  } else if (exceeds) {
+    verdict = '⚠️ Rendered width difference exceeds tolerance (layout risk likely).';
+  } else {
+    verdict = '✅ Rendered width within tolerance.';
+  }
+
+  return [
+    verdict,
+    describeLayout('Source', source),
+    describeLayout('Translated', translated),
+    percentChange === null ? 'Width change: N/A (source width is 0)' : `Width change: ${percentChange.toFixed(2)}%`,
+    `Font: ${params.fontPath || 'built-in per-script widths'} at ${params.textSizeSp}sp${params.fontScale !== 1 ? ` x${params.fontScale}` : ''}`,
+    boxed ? `Box: ${params.availableWidthDp}dp wide, maxLines=${params.maxLines}` : 'Box: not given (pass availableWidthDp to estimate wrapping)',
+    `Tolerance: ±${params.tolerancePercent}%`
+  ].join('\n');
 }
 
 function registerTextLengthTool(server) {
@@ -27,10 +95,14 @@ function registerTextLengthTool(server) {
     {
       title: 'Estimate text length difference',
       description:
-        'Compare original and translated text lengths to detect layout risk; configurable tolerancePercent (default 30%).',
+        'Compare original and translated text lengths (characters, or rendered width in dp) to detect layout risk; configurable tolerancePercent (default 30%).',
       inputSchema: lengthDiffInputSchema
     },
     async params => {
+      if (params.mode === 'rendered') {
+        return { content: [{ type: 'text', text: await renderedSummary(params) }] };
+      }
+
       const sourceLength = measureLength(params.sourceText);
       const translatedLength = measureLength(params.translatedText);
       const delta = translatedLength - sourceLength;
@@ -0,0 +1,63 @@
+const z = require('zod/v4');
+const { loadStringResources } = require('../utils/stringResources');
+const { TRANSLATION_RULES, validateTranslations, sortIssues, summarizeIssues } = require('../utils/translationCheck');
+
+const translationToolInstructions = [
+  'Use validate-translations with a res/ directory to check every values-<locale> folder against values/: length deltas, missing/extra keys, placeholder mismatches, broken escapes and translated translatable="false" keys.',
+  'Issues come back sorted by risk (errors first, then the largest length growth); use locales, rules and maxIssues to narrow large projects.'
+].join('\n');
+
+const validateTranslationsSchema = z.object({
+  resDir: z.string().min(1).describe('Path to the module res/ directory containing values*/ folders'),
+  tolerancePercent: z
+    .number()
+    .min(1)
+    .max(500)
+    .default(30)
+    .describe('Allowed absolute percent length difference before flagging a translation'),
+  locales: z
+    .array(z.string().min(1))
+    .describe('Only check these locale qualifiers (e.g. ["de", "pt-rBR"]); default all')
+    .optional(),
+  rules: z.array(z.enum(TRANSLATION_RULES)).describe('Only run these rules (default: all)').optional(),
+  sortBy: z.enum(['risk', 'key', 'locale']).default('risk').describe('Issue order; risk puts errors and the biggest growth first'),
+  maxIssues: z.number().int().min(1).max(5000).default(200).describe('Maximum number of issues returned')
+});
+
+function registerTranslationTool(server) {
+  server.registerTool(
+    'validate-translations',
+    {
+      title: 'Validate string translations',
+      description:
+        'Parse <string>, <plurals> and <string-array> in res/values*/ and report translation problems per key and locale, riskiest first.',
+      inputSchema: validateTranslationsSchema
+    },
+    async params => {
+      const { locales, skippedFolders } = await loadStringResources(params.resDir);
+      const issues = sortIssues(
+        validateTranslations(locales, {
+          tolerancePercent: params.tolerancePercent,
+          locales: params.locales,
+          rules: params.rules
+        }),
+        params.sortBy
+      );
+      const result = {
+        defaultKeys: locales.get('').size,
+        locales: [...locales.keys()].filter(locale => locale !== ''),
+        summary: summarizeIssues(issues),
+        shown: Math.min(issues.length, params.maxIssues),
+        total: issues.length,
+        issues: issues.slice(0, params.maxIssues)
+      };
+      if (skippedFolders.length > 0) result.skippedFolders = skippedFolders;
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
+
+module.exports = {
+  registerTranslationTool,
+  translationToolInstructions
+};
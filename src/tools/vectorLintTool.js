@@ -0,0 +1,453 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const z = require('zod/v4');
+const svgpath = require('svgpath');
+const pathBounds = require('svg-path-bounds');
+const { parseSvg } = require('../../vendor/svg2vectordrawable/svgo-adapter');
+
+const vectorLintToolInstructions = [
+  'Use lint-vector-drawable to check VectorDrawable XML for long pathData (>800 chars), oversized sizes/viewports, no-op groups, invisible paths and single-color icons that could use android:tint.',
+  'Set optimize=true to merge compatible paths, lower precision for paths over the pathData budget and drop no-op groups; set write=true to overwrite the files.'
+].join('\n');
+
+// Android Studio lint (VectorPath) warns above this pathData length
+const PATH_DATA_WARN_LENGTH = 800;
+// Android Studio lint (VectorRaster) limit for vector sizes in dp
+const MAX_VECTOR_DP = 200;
+const MAX_VIEWPORT = 1024;
+const GROUP_TRANSFORM_DEFAULTS = {
+  'android:rotation': 0,
+  'android:pivotX': 0,
+  'android:pivotY': 0,
+  'android:scaleX': 1,
+  'android:scaleY': 1,
+  'android:translateX': 0,
+  'android:translateY': 0
+};
+
+const lintInputSchema = z
+  .object({
+    xml: z.string().min(1).describe('Inline VectorDrawable XML to analyze').optional(),
+    paths: z
+      .array(z.string().min(1))
+      .min(1)
+      .describe('VectorDrawable files or directories (scanned recursively for <vector> XML)')
+      .optional(),
+    optimize: z.boolean().default(false).describe('Produce optimized XML and report before/after sizes'),
+    write: z.boolean().default(false).describe('With optimize, overwrite the input files'),
+    precision: z
+      .number()
+      .int()
+      .min(0)
+      .max(6)
+      .optional()
+      .describe('With optimize, round every pathData to this many decimals'),
+    pathDataBudget: z
+      .number()
+      .int()
+      .min(100)
+      .max(100000)
+      .default(PATH_DATA_WARN_LENGTH)
+      .describe('With optimize, lower precision (down to minPrecision) for pathData longer than this'),
+    minPrecision: z.number().int().min(0).max(6).default(1).describe('Lowest precision used to meet pathDataBudget')
+  })
+  .refine(data => data.xml || data.paths, { message: 'Provide either xml or paths' });
+
+function attrValue(elem, name) {
+  return elem.hasAttr(name) ? elem.attr(name).value : undefined;
+}
+
+// Android hex colors (#RGB, #ARGB, #RRGGBB, #AARRGGBB); null for resource references
+function parseAndroidColor(value) {
+  if (typeof value !== 'string' || !value.startsWith('#')) return null;
+  let hex = value.slice(1).toUpperCase();
+  if (hex.length === 3 || hex.length === 4) {
+    hex = hex
+      .split('')
+      .map(char => char + char)
+      .join('');
+  }
+  if (hex.length === 6) hex = `FF${hex}`;
+  if (!/^[0-9A-F]{8}$/.test(hex)) return null;
+  return { rgb: `#${hex.slice(2)}`, alpha: parseInt(hex.slice(0, 2), 16) / 255 };
+}
+
+function hasGradient(elem, name) {
+  return elem.children.some(child => child.name === 'aapt:attr' && child.hasAttr('name', name));
+}
+
+function paintVisible(elem, colorAttr, alphaAttr) {
+  if (hasGradient(elem, colorAttr)) return true;
+  const value = attrValue(elem, colorAttr);
+  if (value === undefined) return false;
+  const alpha = Number(attrValue(elem, alphaAttr) ?? 1);
+  if (alpha === 0) return false;
+  const color = parseAndroidColor(value);
+  return color ? color.alpha > 0 : true;
+}
+
+function isInvisiblePath(elem) {
+  const fill = paintVisible(elem, 'android:fillColor', 'android:fillAlpha');
+  const strokeWidth = Number(attrValue(elem, 'android:strokeWidth') ?? 0);
+  const stroke = strokeWidth > 0 && paintVisible(elem, 'android:strokeColor', 'android:strokeAlpha');
+  return !fill && !stroke;
+}
+
+function isNoOpGroup(elem) {
+  if (elem.hasAttr('android:name')) return false; // may be an animation target
+  if (elem.children.some(child => child.name === 'clip-path')) return false;
+  return Object.keys(elem.attrs).every(name => {
+    if (!(name in GROUP_TRANSFORM_DEFAULTS)) return false;
+    return Number(elem.attrs[name].value) === GROUP_TRANSFORM_DEFAULTS[name];
+  });
+}
+
+function describe(elem, index) {
+  const name = attrValue(elem, 'android:name');
+  return name ? `${elem.name} "${name}"` : `${elem.name} #${index}`;
+}
+
+function analyze(vector) {
+  const findings = [];
+  const paths = vector.querySelectorAll('path');
+  const colors = new Set();
+  let unresolvedPaint = false;
+  let totalPathDataLength = 0;
+
+  paths.forEach((elem, index) => {
+    const pathData = attrValue(elem, 'android:pathData') || '';
+    totalPathDataLength += pathData.length;
+    if (pathData.length > PATH_DATA_WARN_LENGTH) {
+      findings.push({
+        severity: 'warning',
+        rule: 'long-path-data',
+        element: describe(elem, index),
+        message: `pathData is ${pathData.length} characters (Android Studio warns above ${PATH_DATA_WARN_LENGTH})`
+      });
+    }
+    if (isInvisiblePath(elem)) {
+      findings.push({
+        severity: 'warning',
+        rule: 'invisible-path',
+        element: describe(elem, index),
+        message: 'Path has no visible fill or stroke (zero alpha or missing color)'
+      });
+    }
+    for (const [colorAttr, alphaAttr] of [
+      ['android:fillColor', 'android:fillAlpha'],
+      ['android:strokeColor', 'android:strokeAlpha']
+    ]) {
+      if (hasGradient(elem, colorAttr)) {
+        unresolvedPaint = true;
+        continue;
+      }
+      const value = attrValue(elem, colorAttr);
+      if (value === undefined || !paintVisible(elem, colorAttr, alphaAttr)) continue;
+      const color = parseAndroidColor(value);
+      if (color) colors.add(color.rgb);
+      else unresolvedPaint = true;
+    }
+  });
+
+  vector.querySelectorAll('group').forEach((elem, index) => {
+    if (isNoOpGroup(elem)) {
+      findings.push({
+        severity: 'info',
+        rule: 'redundant-group',
+        element: describe(elem, index),
+        message: 'Group has no name, transform or clip-path and can be flattened'
+      });
+    }
+  });
+
+  const width = parseFloat(attrValue(vector, 'android:width'));
+  const height = parseFloat(attrValue(vector, 'android:height'));
+  if (width > MAX_VECTOR_DP || height > MAX_VECTOR_DP) {
+    findings.push({
+      severity: 'warning',
+      rule: 'oversized-vector',
+      element: 'vector',
+      message: `Size ${width}x${height}dp exceeds ${MAX_VECTOR_DP}dp; large vectors are slow to rasterize, consider a bitmap`
+    });
+  }
+  const viewportWidth = parseFloat(attrValue(vector, 'android:viewportWidth'));
+  const viewportHeight = parseFloat(attrValue(vector, 'android:viewportHeight'));
+  if (viewportWidth > MAX_VIEWPORT || viewportHeight > MAX_VIEWPORT) {
+    findings.push({
+      severity: 'info',
+      rule: 'oversized-viewport',
+      element: 'vector',
+      message: `Viewport ${viewportWidth}x${viewportHeight} is large; scaling it down shortens pathData`
+    });
+  }
+
+  if (colors.size === 1 && !unresolvedPaint && !vector.hasAttr('android:tint')) {
+    const [color] = colors;
+    findings.push({
+      severity: 'info',
+      rule: 'tintable-colors',
+      element: 'vector',
+      message: `All paths use ${color}; set android:tint="${color}" with a neutral (#FFFFFF) fill to theme it`
+    });
+  }
+
+  return {
+    pathCount: paths.length,
+    groupCount: vector.querySelectorAll('group').length,
+    totalPathDataLength,
+    colors: [...colors],
+    findings
+  };
+}
+
+function roundPathData(pathData, precision) {
+  return svgpath(pathData).round(precision).toString();
+}
+
+function fitPathData(pathData, params) {
+  let result = pathData;
+  if (params.precision !== undefined) {
+    result = roundPathData(result, params.precision);
+  }
+  const start = params.precision !== undefined ? params.precision - 1 : 3;
+  for (let precision = start; result.length > params.pathDataBudget && precision >= params.minPrecision; precision--) {
+    result = roundPathData(pathData, precision);
+  }
+  return result;
+}
+
+function styleKey(elem) {
+  if (elem.children.length > 0 || elem.hasAttr('android:name')) return null;
+  const entries = Object.keys(elem.attrs)
+    .filter(name => name !== 'android:pathData')
+    .sort()
+    .map(name => `${name}=${elem.attrs[name].value}`);
+  return entries.join(';');
+}
+
+function boundsOf(pathData, padding) {
+  try {
+    const [x1, y1, x2, y2] = pathBounds(pathData);
+    return [x1 - padding, y1 - padding, x2 + padding, y2 + padding];
+  } catch (error) {
+    return null;
+  }
+}
+
+function overlaps(a, b) {
+  return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+// A leading relative moveto is absolute at the start of a path, but not once appended
+function appendPathData(base, extra) {
+  const parsed = svgpath(extra);
+  if (parsed.segments.length > 0 && parsed.segments[0][0] === 'm') {
+    parsed.segments[0][0] = 'M';
+  }
+  return `${base} ${parsed.toString()}`;
+}
+
+// Merge adjacent sibling paths with identical styling. Only paths whose bounds do not
+// overlap are merged, so winding, alpha blending and stroke overlap stay unchanged.
+function mergePaths(parent, params, stats) {
+  const children = [];
+  let run = null;
+  for (const child of parent.children) {
+    const key = child.type === 'element' && child.name === 'path' ? styleKey(child) : null;
+    const pathData = key !== null ? attrValue(child, 'android:pathData') : null;
+    const bounds = pathData ? boundsOf(pathData, Number(attrValue(child, 'android:strokeWidth') ?? 0) / 2) : null;
+    if (run && key !== null && key === run.key && bounds && !run.bounds.some(other => overlaps(other, bounds))) {
+      const merged = appendPathData(attrValue(run.elem, 'android:pathData'), pathData);
+      if (merged.length <= params.pathDataBudget) {
+        run.elem.attr('android:pathData').value = merged;
+        run.bounds.push(bounds);
+        stats.mergedPaths++;
+        continue;
+      }
+    }
+    children.push(child);
+    run = key !== null && bounds ? { key, elem: child, bounds: [bounds] } : null;
+  }
+  parent.children = children;
+}
+
+function optimizeTree(elem, params, stats) {
+  for (const child of elem.children) {
+    if (child.type === 'element') optimizeTree(child, params, stats);
+  }
+
+  const children = [];
+  for (const child of elem.children) {
+    if (child.name === 'group' && isNoOpGroup(child)) {
+      child.children.forEach(grandChild => {
+        grandChild.parentNode = elem;
+        children.push(grandChild);
+      });
+      stats.removedGroups++;
+    } else if (child.name === 'path' && !child.hasAttr('android:name') && isInvisiblePath(child)) {
+      stats.removedPaths++;
+    } else {
+      children.push(child);
+    }
+  }
+  elem.children = children;
+
+  for (const child of elem.children) {
+    if ((child.name === 'path' || child.name === 'clip-path') && child.hasAttr('android:pathData')) {
+      const attr = child.attr('android:pathData');
+      attr.value = fitPathData(attr.value, params);
+    }
+  }
+  if (elem.name === 'vector' || elem.name === 'group') {
+    mergePaths(elem, params, stats);
+  }
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// The parser trims comment text; a multi-line comment gets its own lines back and its
+// first line the indent of the lines below it
+function serializeComment(value, indent) {
+  if (!value.includes('\n')) return `${indent}<!-- ${value} -->\n`;
+  const [first, ...rest] = value.split('\n');
+  const indents = rest.filter(line => line.trim()).map(line => /^\s*/.exec(line)[0]);
+  const firstIndent = indents.reduce((shortest, current) => (current.length < shortest.length ? current : shortest), indents[0] || '');
+  return `${indent}<!--\n${firstIndent}${first}\n${rest.join('\n')}\n${indent}-->\n`;
+}
+
+// Same layout as the converter output: one attribute per line, 4-space indent.
+// Comments (license headers, tools notes) are kept in place from the parsed tree.
+function serialize(elem, level) {
+  const indent = ' '.repeat(level * 4);
+  if (elem.type === 'comment') return serializeComment(elem.value, indent);
+  const names = Object.keys(elem.attrs);
+  const inlineAttrs = elem.name === 'aapt:attr';
+  const attrs = names
+    .map(name => {
+      const text = `${name}="${escapeAttr(elem.attrs[name].value)}"`;
+      return inlineAttrs ? ` ${text}` : `\n${indent}    ${text}`;
+    })
+    .join('');
+  const children = elem.children.filter(child => child.type === 'element' || child.type === 'comment');
+  if (children.length === 0) {
+    return `${indent}<${elem.name}${attrs}/>\n`;
+  }
+  return (
+    `${indent}<${elem.name}${attrs}>\n` +
+    children.map(child => serialize(child, level + 1)).join('') +
+    `${indent}</${elem.name}>\n`
+  );
+}
+
+// Manual walk: readdir's recursive option needs Node 18.17+
+async function walkXmlFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walkXmlFiles(fullPath)));
+    } else if (entry.isFile() && entry.name.endsWith('.xml')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+async function collectXmlFiles(inputPaths) {
+  const files = [];
+  for (const inputPath of inputPaths) {
+    const resolved = path.resolve(inputPath);
+    const stat = await fs.stat(resolved);
+    if (stat.isFile()) {
+      files.push(resolved);
+      continue;
+    }
+    files.push(...(await walkXmlFiles(resolved)));
+  }
+  return [...new Set(files)].sort();
+}
+
+function lintSource(source, params) {
+  const root = parseSvg(source);
+  const vector = root.querySelector('vector');
+  if (!vector) return null;
+  const report = analyze(vector);
+  if (!params.optimize) return { report };
+
+  const stats = { mergedPaths: 0, removedGroups: 0, removedPaths: 0 };
+  optimizeTree(vector, params, stats);
+  const declaration = /^\s*<\?xml[^>]*\?>/.exec(source);
+  const topLevel = root.children.filter(child => child === vector || child.type === 'comment');
+  const optimized =
+    (declaration ? `${declaration[0].trim()}\n` : '') + topLevel.map(child => serialize(child, 0)).join('');
+  const after = analyze(vector);
+  return {
+    report,
+    optimized,
+    optimization: {
+      ...stats,
+      bytesBefore: Buffer.byteLength(source),
+      bytesAfter: Buffer.byteLength(optimized),
+      pathCountAfter: after.pathCount,
+      totalPathDataLengthAfter: after.totalPathDataLength
+    }
+  };
+}
+
+function registerVectorLintTool(server) {
+  server.registerTool(
+    'lint-vector-drawable',
+    {
+      title: 'Lint / optimize VectorDrawable',
+      description:
+        'Analyze VectorDrawable XML (path count, pathData length, viewport size, redundant groups, invisible paths, tint candidates) and optionally optimize it.',
+      inputSchema: lintInputSchema
+    },
+    async params => {
+      const results = [];
+      const content = [];
+
+      if (params.xml) {
+        const result = lintSource(params.xml, params);
+        if (!result) throw new Error('No <vector> root element found');
+        results.push({ file: 'inline', ...result.report, optimization: result.optimization });
+        if (result.optimized) content.push({ type: 'text', text: result.optimized });
+      }
+
+      if (params.paths) {
+        const files = await collectXmlFiles(params.paths);
+        for (const file of files) {
+          let result;
+          try {
+            result = lintSource(await fs.readFile(file, 'utf8'), params);
+          } catch (error) {
+            results.push({ file, error: error.message });
+            continue;
+          }
+          if (!result) continue; // not a VectorDrawable
+          const entry = { file, ...result.report };
+          if (result.optimization) {
+            entry.optimization = result.optimization;
+            if (params.write && result.optimization.bytesAfter < result.optimization.bytesBefore) {
+              await fs.writeFile(file, result.optimized, 'utf8');
+              entry.optimization.written = true;
+            }
+          }
+          results.push(entry);
+        }
+      }
+
+      const findingCount = results.reduce((sum, entry) => sum + (entry.findings ? entry.findings.length : 0), 0);
+      const summary = `Checked ${results.length} vector(s), ${findingCount} finding(s).`;
+      content.unshift({ type: 'text', text: `${summary}\n${JSON.stringify(results, null, 2)}` });
+      return { content };
+    }
+  );
+}
+
+module.exports = {
+  registerVectorLintTool,
+  vectorLintToolInstructions
+};
@@ -0,0 +1,189 @@
+const { flatten, simpleClassName } = require('./uiHierarchy');
+const { pxToDp } = require('./display');
+
+const RULES = {
+  'missing-label': 'error',
+  'small-touch-target': 'warning',
+  'overlapping-clickables': 'warning',
+  'duplicate-description': 'warning',
+  'edittext-missing-label': 'error',
+  'clipped-text': 'warning'
+};
+
+function isClickable(node) {
+  return node.clickable || node.longClickable;
+}
+
+function isEditText(node) {
+  return /EditText$/.test(node.className);
+}
+
+function width(bounds) {
+  return bounds.right - bounds.left;
+}
+
+function height(bounds) {
+  return bounds.bottom - bounds.top;
+}
+
+// FrameLayout[0]/RecyclerView[0]/LinearLayout[1]
+function nodePath(node) {
+  const parts = [];
+  for (let current = node; current; current = current.parent) {
+    parts.unshift(`${simpleClassName(current.className)}[${current.index}]`);
+  }
+  return parts.join('/');
+}
+
+function isAncestor(ancestor, node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+// TalkBack reads a clickable container's non-clickable descendants as its label
+function hasLabel(node) {
+  if (node.text || node.contentDesc) return true;
+  return node.children.some(child => !isClickable(child) && hasLabel(child));
+}
+
+function intersection(a, b) {
+  const overlapWidth = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+  const overlapHeight = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+  return overlapWidth > 0 && overlapHeight > 0 ? overlapWidth * overlapHeight : 0;
+}
+
+function contains(outer, inner) {
+  return inner.left >= outer.left && inner.top >= outer.top && inner.right <= outer.right && inner.bottom <= outer.bottom;
+}
+
+function issue(rule, node, message, extra = {}) {
+  const element = { className: node.className };
+  if (node.resourceId) element.resourceId = node.resourceId;
+  if (node.text) element.text = node.text;
+  if (node.contentDesc) element.contentDesc = node.contentDesc;
+  return { rule, severity: RULES[rule], message, path: nodePath(node), bounds: node.bounds, element, ...extra };
+}
+
+const checks = {
+  'missing-label': (nodes) =>
+    nodes
+      .filter(node => isClickable(node) && !isEditText(node) && !hasLabel(node))
+      .map(node => issue('missing-label', node, 'Clickable element has no text or content-desc for screen readers')),
+
+  'small-touch-target': (nodes, options) =>
+    nodes
+      .filter(node => isClickable(node) && node.bounds && width(node.bounds) > 0 && height(node.bounds) > 0)
+      .map(node => ({
+        node,
+        widthDp: Math.round(pxToDp(width(node.bounds), options.density)),
+        heightDp: Math.round(pxToDp(height(node.bounds), options.density))
+      }))
+      .filter(({ widthDp, heightDp }) => widthDp < options.minTouchTargetDp || heightDp < options.minTouchTargetDp)
+      .map(({ node, widthDp, heightDp }) =>
+        issue(
+          'small-touch-target',
+          node,
+          `Touch target is ${widthDp}x${heightDp}dp, smaller than ${options.minTouchTargetDp}x${options.minTouchTargetDp}dp`,
+          { sizeDp: { width: widthDp, height: heightDp } }
+        )
+      ),
+
+  'overlapping-clickables': (nodes) => {
+    const clickables = nodes.filter(node => isClickable(node) && node.bounds);
+    const issues = [];
+    for (let i = 0; i < clickables.length; i++) {
+      for (let j = i + 1; j < clickables.length; j++) {
+        const a = clickables[i];
+        const b = clickables[j];
+        if (isAncestor(a, b) || isAncestor(b, a)) continue;
+        const area = intersection(a.bounds, b.bounds);
+        if (area === 0) continue;
+        issues.push(
+          issue('overlapping-clickables', b, `Clickable bounds overlap ${nodePath(a)} by ${area}px²`, {
+            overlapsWith: { path: nodePath(a), bounds: a.bounds }
+          })
+        );
+      }
+    }
+    return issues;
+  },
+
+  'duplicate-description': (nodes) => {
+    const issues = [];
+    const parents = new Set(nodes.map(node => node.parent));
+    for (const parent of parents) {
+      const siblings = parent ? parent.children : nodes.filter(node => !node.parent);
+      const seen = new Map();
+      for (const node of siblings) {
+        if (!node.contentDesc) continue;
+        if (seen.has(node.contentDesc)) {
+          issues.push(
+            issue('duplicate-description', node, `content-desc "${node.contentDesc}" repeats a sibling's`, {
+              duplicateOf: nodePath(seen.get(node.contentDesc))
+            })
+          );
+        } else {
+          seen.set(node.contentDesc, node);
+        }
+      }
+    }
+    return issues;
+  },
+
+  'edittext-missing-label': (nodes) =>
+    nodes
+      .filter(node => isEditText(node) && !node.hint && !node.contentDesc)
+      .map(node =>
+        issue(
+          'edittext-missing-label',
+          node,
+          node.text
+            ? 'EditText has no hint or content-desc; only the typed text describes it'
+            : 'EditText has no hint, text or content-desc'
+        )
+      ),
+
+  'clipped-text': (nodes) =>
+    nodes
+      .filter(node => node.text && node.bounds && node.parent && node.parent.bounds)
+      .filter(node => width(node.bounds) <= 0 || height(node.bounds) <= 0 || !contains(node.parent.bounds, node.bounds))
+      .map(node =>
+        issue('clipped-text', node, 'Text bounds are clipped by the parent; the text is likely truncated', {
+          parentBounds: node.parent.bounds
+        })
+      )
+};
+
+/**
+ * Run accessibility rules over a parsed uiautomator hierarchy.
+ * @param {object[]} roots parseUiHierarchy() output
+ * @param {{ density: number, minTouchTargetDp?: number, rules?: string[], packageName?: string }} options
+ * @returns {{ summary: object, issues: object[] }}
+ */
+function auditAccessibility(roots, options) {
+  const settings = { minTouchTargetDp: 48, ...options };
+  let nodes = flatten(roots);
+  if (settings.packageName) nodes = nodes.filter(node => node.packageName === settings.packageName);
+  const rules = settings.rules && settings.rules.length > 0 ? settings.rules : Object.keys(RULES);
+
+  const issues = rules.flatMap(rule => checks[rule](nodes, settings));
+  const byRule = {};
+  issues.forEach(item => (byRule[item.rule] = (byRule[item.rule] || 0) + 1));
+  return {
+    summary: {
+      nodes: nodes.length,
+      errors: issues.filter(item => item.severity === 'error').length,
+      warnings: issues.filter(item => item.severity === 'warning').length,
+      byRule
+    },
+    issues
+  };
+}
+
+module.exports = {
+  ACCESSIBILITY_RULES: Object.keys(RULES),
+  auditAccessibility,
+  nodePath
+};
@@ -0,0 +1,198 @@
+const { execFile, spawn } = require('node:child_process');
+const { randomBytes } = require('node:crypto');
+const { EventEmitter } = require('node:events');
+const { PassThrough } = require('node:stream');
+const { promisify } = require('node:util');
+const z = require('zod/v4');
+
+const execFileAsync = promisify(execFile);
+
+const serialSchema = z
+  .string()
+  .min(1)
+  .describe('Device serial from list-devices (defaults to ANDROID_SERIAL, or the only attached device)')
+  .optional();
+
+// Record/replay cassette from adbCassette.js; null runs adb normally
+let cassette = null;
+
+function setAdbCassette(value) {
+  cassette = value;
+}
+
+function getAdbPath() {
+  return process.env.ADB_PATH || 'adb';
+}
+
+function resolveSerial(serial) {
+  return serial || process.env.ANDROID_SERIAL || null;
+}
+
+// serial === false runs a host command (e.g. `adb devices`) without targeting a device
+function withSerial(args, serial) {
+  if (serial === false) return args;
+  const resolved = resolveSerial(serial);
+  return resolved ? ['-s', resolved, ...args] : args;
+}
+
+// Scratch file on the device, unique per call so concurrent callers never share one
+function deviceTempPath(name, extension) {
+  return `/data/local/tmp/mcp_${name}_${randomBytes(4).toString('hex')}.${extension}`;
+}
+
+// Turn the common adb device-selection failures into actionable messages
+function describeAdbFailure(stderr, serial) {
+  const target = serial ? `Device ${serial}` : 'Device';
+  if (/unauthorized/i.test(stderr)) {
+    return `${target} is unauthorized: unlock it and accept the USB debugging prompt, then retry.`;
+  }
+  if (/device offline|\boffline\b/i.test(stderr)) {
+    return `${target} is offline: reconnect it or restart adb (adb kill-server), then retry.`;
+  }
+  if (/more than one (device|emulator)/i.test(stderr)) {
+    return 'More than one device is attached: pass serial (see list-devices) or set ANDROID_SERIAL.';
+  }
+  if (/device '.*' not found|device not found/i.test(stderr)) {
+    return `${target} was not found: check list-devices for attached serials.`;
+  }
+  if (/no devices\/emulators found/i.test(stderr)) {
+    return 'No device is attached: connect a device or start an emulator.';
+  }
+  return null;
+}
+
+function toAdbError(error, args, serial) {
+  if (error && error.code === 'ENOENT') {
+    return new Error(`adb not found at "${getAdbPath()}": install platform-tools or set ADB_PATH.`);
+  }
+  const stderr = error && error.stderr ? String(error.stderr).trim() : '';
+  const hint = describeAdbFailure(stderr, resolveSerial(serial));
+  if (hint) return new Error(hint);
+  const message = [`adb ${args.join(' ')} failed`, error.message].filter(Boolean).join(': ');
+  return new Error(stderr ? `${message} | stderr: ${stderr}` : message);
+}
+
+async function execAdb(args, execOptions) {
+  if (cassette && cassette.mode === 'replay') return cassette.replay(args, execOptions.encoding);
+  const recorder = cassette;
+  const interaction = recorder && recorder.start(args);
+  try {
+    const result = await execFileAsync(getAdbPath(), args, execOptions);
+    if (recorder) recorder.complete(interaction, { ...result, exitCode: 0 });
+    return result;
+  } catch (error) {
+    // A missing adb binary says nothing about the device, so it is not worth replaying
+    if (recorder && error.code !== 'ENOENT') {
+      recorder.complete(interaction, {
+        stdout: error.stdout,
+        stderr: error.stderr,
+        exitCode: typeof error.code === 'number' ? error.code : null,
+        signal: error.signal,
+        error: error.message
+      });
+    }
+    throw error;
+  }
+}
+
+async function runAdbCommand(args, timeoutMs, options = {}) {
+  const { serial, ...execOptions } = options;
+  try {
+    const { stdout } = await execAdb(withSerial(args, serial), {
+      timeout: timeoutMs,
+      maxBuffer: 10 * 1024 * 1024,
+      ...execOptions
+    });
+    return stdout;
+  } catch (error) {
+    throw error.replayMiss ? error : toAdbError(error, args, serial);
+  }
+}
+
+async function runAdbCommandBinary(args, timeoutMs, options = {}) {
+  return runAdbCommand(args, timeoutMs, { encoding: 'buffer', maxBuffer: 20 * 1024 * 1024, ...options });
+}
+
+// Stands in for a streaming process: emits the recorded output, then stays open until killed
+function replayedChild({ stdout, stderr }) {
+  const child = new EventEmitter();
+  child.stdout = new PassThrough();
+  child.stderr = new PassThrough();
+  child.kill = () => {
+    child.stdout.end();
+    child.stderr.end();
+    child.emit('close', null, 'SIGTERM');
+    return true;
+  };
+  setImmediate(() => {
+    child.stdout.write(stdout);
+    child.stderr.write(stderr);
+  });
+  return child;
+}
+
+function recordStream(child, args) {
+  const recorder = cassette;
+  const interaction = recorder.start(args);
+  const stdout = [];
+  const stderr = [];
+  child.stdout.on('data', chunk => stdout.push(Buffer.from(chunk)));
+  child.stderr.on('data', chunk => stderr.push(Buffer.from(chunk)));
+  child.on('close', (exitCode, signal) => {
+    const output = { stdout: Buffer.concat(stdout), stderr: Buffer.concat(stderr) };
+    recorder.complete(interaction, { ...output, exitCode, signal, stream: true });
+  });
+}
+
+// Long-running commands (e.g. a streaming logcat); the caller owns the process
+function spawnAdb(args, options = {}) {
+  const fullArgs = withSerial(args, options.serial);
+  if (cassette && cassette.mode === 'replay') return replayedChild(cassette.replayStream(fullArgs));
+  const child = spawn(getAdbPath(), fullArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+  child.on('error', error => {
+    child.spawnError = toAdbError(error, args, options.serial);
+  });
+  if (cassette) recordStream(child, fullArgs);
+  return child;
+}
+
+// Parses `adb devices -l`, e.g.
+// emulator-5554  device product:sdk_gphone64 model:sdk_gphone64 device:emu64a transport_id:1
+function parseDeviceList(output) {
+  return output
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('List of devices') && !line.startsWith('*'))
+    .map(line => {
+      const [serial, state, ...rest] = line.split(/\s+/);
+      const device = { serial, state };
+      for (const token of rest) {
+        const separator = token.indexOf(':');
+        if (separator === -1) continue;
+        const key = token.slice(0, separator);
+        const value = token.slice(separator + 1);
+        if (key === 'transport_id') device.transportId = value;
+        else if (['model', 'product', 'device', 'usb'].includes(key)) device[key] = value;
+      }
+      return device;
+    });
+}
+
+async function listDevices(timeoutMs) {
+  const output = await runAdbCommand(['devices', '-l'], timeoutMs, { serial: false });
+  return parseDeviceList(output);
+}
+
+module.exports = {
+  serialSchema,
+  setAdbCassette,
+  getAdbPath,
+  resolveSerial,
+  deviceTempPath,
+  runAdbCommand,
+  runAdbCommandBinary,
+  spawnAdb,
+  describeAdbFailure,
+  parseDeviceList,
+  listDevices
+};
@@ -0,0 +1,199 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const CASSETTE_VERSION = 1;
+
+// Text output is stored readable; anything that is not valid UTF-8 (screencap PNGs) as base64
+function encodeOutput(value) {
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value || '', 'utf8');
+  const text = buffer.toString('utf8');
+  return Buffer.from(text, 'utf8').equals(buffer) ? { text } : { base64: buffer.toString('base64') };
+}
+
+function decodeOutput(output, encoding) {
+  const buffer = output.base64 !== undefined ? Buffer.from(output.base64, 'base64') : Buffer.from(output.text, 'utf8');
+  return encoding === 'buffer' ? buffer : buffer.toString(encoding || 'utf8');
+}
+
+// Loose matching ignores which device the call targeted
+function withoutSerial(args) {
+  return args[0] === '-s' ? args.slice(2) : args;
+}
+
+function formatArgs(args) {
+  return `adb ${args.join(' ')}`;
+}
+
+// Scratch paths from deviceTempPath (adb.js) get a new random id on every run
+const TEMP_PATH_ID = /(\/data\/local\/tmp\/mcp_\w+?)_[0-9a-f]{8}\b/g;
+
+function matchKey(args) {
+  return formatArgs(args).replace(TEMP_PATH_ID, '$1_*');
+}
+
+// Marked so adb.js reports it as-is instead of as a failed adb command
+function replayMiss(message) {
+  const error = new Error(message);
+  error.replayMiss = true;
+  return error;
+}
+
+/**
+ * Captures every adb call (args, stdout, stderr, exit code) as one JSON line, appended
+ * asynchronously when the call finishes, so a session cut short still leaves a usable file.
+ * Each line carries the call's start position (seq): concurrent calls finish in any order,
+ * and the player puts them back in the order they were made.
+ */
+class CassetteRecorder {
+  constructor(filePath) {
+    this.mode = 'record';
+    this.filePath = path.resolve(filePath);
+    this.nextSeq = 0;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, `${JSON.stringify({ version: CASSETTE_VERSION, recordedAt: new Date().toISOString() })}\n`);
+    this.out = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.out.on('error', error => console.error(`adb cassette ${this.filePath}: ${error.message}`));
+  }
+
+  // Called when the adb call starts; complete() writes it once the result is known
+  start(args) {
+    return { seq: this.nextSeq++, args };
+  }
+
+  complete(interaction, { stdout, stderr, exitCode, signal, error, stream }) {
+    Object.assign(interaction, { exitCode: exitCode ?? null, stdout: encodeOutput(stdout), stderr: encodeOutput(stderr) });
+    if (signal) interaction.signal = signal;
+    if (error) interaction.error = error;
+    if (stream) interaction.stream = true;
+    this.out.write(`${JSON.stringify(interaction)}\n`);
+  }
+
+  close() {
+    return new Promise(resolve => this.out.end(resolve));
+  }
+}
+
+// Header line, then one interaction per line; a torn last line (killed recorder) is dropped
+function readCassette(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+  const header = JSON.parse(lines[0]);
+  if (header.version !== CASSETTE_VERSION) {
+    throw new Error(`not a version ${CASSETTE_VERSION} adb cassette`);
+  }
+  const interactions = [];
+  lines.slice(1).forEach((line, index) => {
+    try {
+      interactions.push(JSON.parse(line));
+    } catch (error) {
+      if (index < lines.length - 2) throw new Error(`line ${index + 2}: ${error.message}`);
+    }
+  });
+  return interactions.sort((a, b) => a.seq - b.seq);
+}
+
+function interactionKey(args, stream) {
+  return `${matchKey(args)}${stream ? ' (stream)' : ''}`;
+}
+
+/**
+ * Serves recorded results instead of running adb.
+ * strict: every call must be recorded with identical args (serial included, scratch-file ids
+ * aside) and each recording is used once; calls with the same args replay in recorded order.
+ * Calls with different args may interleave differently from the recording, since concurrent
+ * calls (capture-bug-report) do not finish in a reproducible order.
+ * loose: any order, serial ignored; once every match is used the last one is served again,
+ * so polling tools (wait-for, run-ui-flow) can repeat a call.
+ */
+class CassettePlayer {
+  constructor(filePath, match = 'strict') {
+    this.mode = 'replay';
+    this.match = match;
+    this.filePath = path.resolve(filePath);
+    let interactions;
+    try {
+      interactions = readCassette(this.filePath);
+    } catch (error) {
+      throw new Error(`Cannot load adb cassette ${this.filePath}: ${error.message}`);
+    }
+    this.interactions = interactions.map(interaction => ({ ...interaction, used: false }));
+    // strict: per-args queues of recordings in call order
+    this.queues = new Map();
+    for (const interaction of this.interactions) {
+      const key = interactionKey(interaction.args, interaction.stream);
+      if (!this.queues.has(key)) this.queues.set(key, []);
+      this.queues.get(key).push(interaction);
+    }
+  }
+
+  take(args, stream) {
+    if (this.match === 'strict') {
+      const queue = this.queues.get(interactionKey(args, stream)) || [];
+      const next = queue.find(interaction => !interaction.used);
+      if (next) {
+        next.used = true;
+        return next;
+      }
+      const unused = this.interactions.find(interaction => !interaction.used);
+      const reason =
+        queue.length > 0
+          ? `it was recorded ${queue.length} time(s) and every recording was already used`
+          : unused
+            ? `it was never recorded; the first unused recorded call is "${formatArgs(unused.args)}"`
+            : 'it was never recorded and every recorded call was already used';
+      throw replayMiss(
+        `adb replay (strict): unrecorded call "${formatArgs(args)}": ${reason}. ` +
+          `Re-record ${this.filePath} or replay with match=loose.`
+      );
+    }
+
+    const key = matchKey(withoutSerial(args));
+    const candidates = this.interactions.filter(
+      interaction => matchKey(withoutSerial(interaction.args)) === key && Boolean(interaction.stream) === stream
+    );
+    const interaction = candidates.find(candidate => !candidate.used) || candidates[candidates.length - 1];
+    if (!interaction) {
+      const command = withoutSerial(args).slice(0, 2).join(' ');
+      const similar = [...new Set(this.interactions.map(item => formatArgs(withoutSerial(item.args))))]
+        .filter(recorded => recorded.startsWith(`adb ${command}`))
+        .slice(0, 3);
+      throw replayMiss(
+        `adb replay (loose): "${formatArgs(args)}" was never recorded in ${this.filePath}.` +
+          (similar.length > 0 ? ` Recorded calls like it: ${similar.map(item => `"${item}"`).join(', ')}.` : '')
+      );
+    }
+    interaction.used = true;
+    return interaction;
+  }
+
+  // Resolves { stdout } or throws an execFile-shaped error so callers map it like a real failure
+  replay(args, encoding) {
+    const interaction = this.take(args, false);
+    const stdout = decodeOutput(interaction.stdout, encoding);
+    const stderr = decodeOutput(interaction.stderr, encoding);
+    if (interaction.exitCode === 0) return { stdout, stderr };
+    const error = new Error(interaction.error || `Command failed: ${formatArgs(args)}`);
+    Object.assign(error, { code: interaction.exitCode, signal: interaction.signal || null, stdout, stderr });
+    throw error;
+  }
+
+  replayStream(args) {
+    const interaction = this.take(args, true);
+    return {
+      stdout: decodeOutput(interaction.stdout, 'buffer'),
+      stderr: decodeOutput(interaction.stderr, 'buffer')
+    };
+  }
+}
+
+function openCassette({ record, replay, match }) {
+  if (record) return new CassetteRecorder(record);
+  if (replay) return new CassettePlayer(replay, match);
+  return null;
+}
+
+module.exports = {
+  CASSETTE_VERSION,
+  CassetteRecorder,
+  CassettePlayer,
+  openCassette
+};
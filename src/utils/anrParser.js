@@ -0,0 +1,249 @@
+// Parser for ART ANR traces (/data/anr/anr_*, traces.txt, dropbox data_app_anr)
+const { runAdbCommand } = require('./adb');
+
+const PROCESS_START = /^----- pid (\d+) at (.+?) -----$/;
+const PROCESS_END = /^----- end \d+ -----$/;
+const THREAD_HEADER = /^"(.*)"( daemon)? prio=(\d+) (?:tid=(\d+) )?(.*)$/;
+const SYS_TID = /\bsysTid=(\d+)/;
+const WAITING_TO_LOCK = /^- waiting to lock <(0x[0-9a-f]+)> \(a ([^)]+)\)(?: held by thread (\d+))?/;
+const WAITING_ON = /^- (waiting on|sleeping on|parking to wait for) <(0x[0-9a-f]+)> \(a ([^)]+)\)/;
+const LOCKED = /^- locked <(0x[0-9a-f]+)> \(a ([^)]+)\)/;
+const MAX_STACK_FRAMES = 40;
+
+function splitProcesses(text) {
+  const processes = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    const trimmed = line.replace(/\r$/, '');
+    const start = PROCESS_START.exec(trimmed);
+    if (start) {
+      current = { pid: Number(start[1]), time: start[2], lines: [] };
+      processes.push(current);
+      continue;
+    }
+    if (PROCESS_END.test(trimmed)) {
+      current = null;
+      continue;
+    }
+    if (current) current.lines.push(trimmed);
+  }
+  return processes;
+}
+
+function parseThreads(lines) {
+  const threads = [];
+  let thread = null;
+  for (const line of lines) {
+    const header = THREAD_HEADER.exec(line);
+    if (header) {
+      thread = {
+        name: header[1],
+        daemon: Boolean(header[2]),
+        priority: Number(header[3]),
+        tid: header[4] !== undefined ? Number(header[4]) : null,
+        state: header[5].trim(),
+        stack: [],
+        locked: []
+      };
+      threads.push(thread);
+      continue;
+    }
+    if (!thread) continue;
+    const content = line.trim();
+    if (!content) {
+      thread = null;
+      continue;
+    }
+    if (content.startsWith('|')) {
+      const sysTid = SYS_TID.exec(content);
+      if (sysTid) thread.sysTid = Number(sysTid[1]);
+      if (content.startsWith('| held mutexes=') && content.length > '| held mutexes='.length) {
+        thread.heldMutexes = content.slice('| held mutexes='.length).trim();
+      }
+      continue;
+    }
+    const waitingToLock = WAITING_TO_LOCK.exec(content);
+    if (waitingToLock) {
+      thread.waitingToLock = {
+        monitor: waitingToLock[1],
+        className: waitingToLock[2],
+        heldByTid: waitingToLock[3] !== undefined ? Number(waitingToLock[3]) : null
+      };
+      continue;
+    }
+    const waitingOn = WAITING_ON.exec(content);
+    if (waitingOn) {
+      thread.waitingOn = { kind: waitingOn[1], monitor: waitingOn[2], className: waitingOn[3] };
+      continue;
+    }
+    const locked = LOCKED.exec(content);
+    if (locked) {
+      thread.locked.push({ monitor: locked[1], className: locked[2] });
+      continue;
+    }
+    if (thread.stack.length >= MAX_STACK_FRAMES) continue;
+    if (content.startsWith('at ')) thread.stack.push(content.slice(3));
+    else if (content.startsWith('native: ')) thread.stack.push(content);
+  }
+  return threads;
+}
+
+function isMainThread(thread) {
+  return thread.name === 'main' || thread.tid === 1;
+}
+
+function threadLabel(thread) {
+  return `"${thread.name}" (tid=${thread.tid}, ${thread.state})`;
+}
+
+function findLockHolder(thread, threadsByTid, holders) {
+  if (!thread.waitingToLock) return null;
+  const { heldByTid, monitor } = thread.waitingToLock;
+  if (heldByTid !== null && threadsByTid.has(heldByTid)) return threadsByTid.get(heldByTid);
+  return holders.get(monitor) || null;
+}
+
+// Each blocked thread waits on at most one holder, so cycles are found by walking the chain
+function findDeadlocks(threads, threadsByTid, holders) {
+  const deadlocks = [];
+  const seenCycles = new Set();
+  for (const start of threads) {
+    const path = [];
+    let thread = start;
+    while (thread && !path.includes(thread)) {
+      path.push(thread);
+      thread = findLockHolder(thread, threadsByTid, holders);
+    }
+    if (!thread) continue;
+    const cycle = path.slice(path.indexOf(thread));
+    const key = cycle
+      .map(member => member.tid)
+      .sort((a, b) => a - b)
+      .join(',');
+    if (seenCycles.has(key)) continue;
+    seenCycles.add(key);
+    deadlocks.push(
+      cycle.map(member => ({
+        name: member.name,
+        tid: member.tid,
+        waitingToLock: member.waitingToLock.monitor,
+        lockClass: member.waitingToLock.className
+      }))
+    );
+  }
+  return deadlocks;
+}
+
+function selectProcess(processes, packageName) {
+  if (packageName) {
+    const match = processes.find(process =>
+      process.lines.some(line => line.startsWith('Cmd line: ') && line.slice('Cmd line: '.length).trim() === packageName)
+    );
+    if (match) return match;
+  }
+  // The ANRing process is dumped first
+  return processes[0] || null;
+}
+
+function analyzeAnrTrace(text, packageName) {
+  const processes = splitProcesses(text);
+  const process = selectProcess(processes, packageName);
+  if (!process) return null;
+
+  const cmdLine = process.lines.find(line => line.startsWith('Cmd line: '));
+  const subject = /^Subject: (.*)$/m.exec(text);
+  const threads = parseThreads(process.lines);
+  const threadsByTid = new Map(threads.filter(thread => thread.tid !== null).map(thread => [thread.tid, thread]));
+  const holders = new Map();
+  threads.forEach(thread => thread.locked.forEach(lock => holders.set(lock.monitor, thread)));
+
+  const mainThread = threads.find(isMainThread) || null;
+  const ordered = mainThread ? [mainThread, ...threads.filter(thread => thread !== mainThread)] : threads;
+  const deadlocks = findDeadlocks(threads, threadsByTid, holders);
+
+  let blockedBy = null;
+  const summary = [];
+  if (subject) summary.push(`Reason: ${subject[1].trim()}`);
+  if (mainThread) {
+    const topFrame = mainThread.stack[0] || 'no frames';
+    summary.push(`Main thread ${threadLabel(mainThread)} at ${topFrame}`);
+    const holder = findLockHolder(mainThread, threadsByTid, holders);
+    if (holder) {
+      blockedBy = {
+        name: holder.name,
+        tid: holder.tid,
+        state: holder.state,
+        monitor: mainThread.waitingToLock.monitor,
+        lockClass: mainThread.waitingToLock.className,
+        topFrame: holder.stack[0] || null
+      };
+      summary.push(
+        `Main thread is blocked on <${blockedBy.monitor}> (a ${blockedBy.lockClass}) held by ${threadLabel(holder)}` +
+          (blockedBy.topFrame ? ` at ${blockedBy.topFrame}` : '')
+      );
+    } else if (mainThread.waitingOn) {
+      summary.push(`Main thread is ${mainThread.waitingOn.kind} <${mainThread.waitingOn.monitor}> (a ${mainThread.waitingOn.className})`);
+    }
+  } else {
+    summary.push('No main thread found in the trace.');
+  }
+  deadlocks.forEach(cycle => {
+    summary.push(`Deadlock: ${cycle.map(member => `"${member.name}"`).join(' -> ')} -> "${cycle[0].name}"`);
+  });
+
+  return {
+    summary: summary.join('\n'),
+    process: {
+      pid: process.pid,
+      name: cmdLine ? cmdLine.slice('Cmd line: '.length).trim() : null,
+      time: process.time
+    },
+    blockedBy,
+    deadlocks,
+    threadCount: threads.length,
+    threads: ordered
+  };
+}
+
+// `dumpsys dropbox --print` separates entries with a line of '=' characters; the last one is newest
+function lastDropboxEntry(output, packageName) {
+  let entries = output.split(/^={20,}$/m).filter(entry => /----- pid \d+ at /.test(entry));
+  if (packageName) {
+    const forPackage = entries.filter(entry => entry.includes(`Process: ${packageName}\n`));
+    if (forPackage.length > 0) entries = forPackage;
+  }
+  return entries.length > 0 ? entries[entries.length - 1] : null;
+}
+
+// Newest /data/anr file (anr_* on Android 11+, traces.txt before), else the dropbox copy
+async function readAnrTrace(packageName, timeoutMs, serial) {
+  let files = [];
+  try {
+    const listing = await runAdbCommand(['shell', 'ls', '-t', '/data/anr'], timeoutMs, { serial });
+    files = listing
+      .split(/\s+/)
+      .filter(name => name.startsWith('anr_') || name === 'traces.txt')
+      .slice(0, 5);
+  } catch (e) {
+    files = []; // /data/anr is often unreadable without root
+  }
+  for (const name of files) {
+    try {
+      const text = await runAdbCommand(['shell', 'cat', `/data/anr/${name}`], timeoutMs, { serial });
+      if (!packageName || text.includes(`Cmd line: ${packageName}`)) {
+        return { source: `/data/anr/${name}`, text };
+      }
+    } catch (e) {
+      // Try the next file, then dropbox
+    }
+  }
+  const dropbox = await runAdbCommand(['shell', 'dumpsys', 'dropbox', '--print', 'data_app_anr'], timeoutMs, { serial });
+  const entry = lastDropboxEntry(dropbox, packageName);
+  return entry ? { source: 'dumpsys dropbox data_app_anr', text: entry } : null;
+}
+
+module.exports = {
+  analyzeAnrTrace,
+  lastDropboxEntry,
+  readAnrTrace
+};
@@ -0,0 +1,146 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const RES_STRING_POOL_TYPE = 0x0001;
+const RES_XML_RESOURCE_MAP_TYPE = 0x0180;
+const RES_XML_START_ELEMENT_TYPE = 0x0102;
+const UTF8_FLAG = 0x100;
+const TYPE_STRING = 0x03;
+const NO_INDEX = 0xffffffff;
+// android:versionCode / android:versionName, used when attribute names are stripped
+const ATTRIBUTE_IDS = { 0x0101021b: 'versionCode', 0x0101021c: 'versionName' };
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Reads one entry from a zip without loading the whole archive
+async function readZipEntry(filePath, entryName) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const tailLength = Math.min(size, 65557);
+    const tail = await readAt(handle, size - tailLength, tailLength);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) throw new Error(`${path.basename(filePath)} is not a zip/APK file`);
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const directory = await readAt(handle, tail.readUInt32LE(eocd + 16), tail.readUInt32LE(eocd + 12));
+
+    for (let offset = 0, i = 0; i < entryCount && directory.readUInt32LE(offset) === CENTRAL_SIGNATURE; i++) {
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+      if (name === entryName) {
+        const method = directory.readUInt16LE(offset + 10);
+        const compressedSize = directory.readUInt32LE(offset + 20);
+        const localOffset = directory.readUInt32LE(offset + 42);
+        const local = await readAt(handle, localOffset, 30);
+        const dataOffset = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+        const data = await readAt(handle, dataOffset, compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`Unsupported zip compression method ${method} for ${entryName}`);
+      }
+      offset += 46 + nameLength + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+function readStringPool(buffer, start) {
+  const count = buffer.readUInt32LE(start + 8);
+  const utf8 = (buffer.readUInt32LE(start + 16) & UTF8_FLAG) !== 0;
+  const stringsStart = start + buffer.readUInt32LE(start + 20);
+  const offsets = start + buffer.readUInt16LE(start + 2);
+  const strings = [];
+  for (let i = 0; i < count; i++) {
+    let position = stringsStart + buffer.readUInt32LE(offsets + i * 4);
+    if (utf8) {
+      position += buffer[position] & 0x80 ? 2 : 1; // character count
+      let length = buffer[position];
+      if (length & 0x80) length = ((length & 0x7f) << 8) | buffer[++position];
+      position++;
+      strings.push(buffer.toString('utf8', position, position + length));
+    } else {
+      let length = buffer.readUInt16LE(position);
+      if (length & 0x8000) {
+        length = ((length & 0x7fff) << 16) | buffer.readUInt16LE(position + 2);
+        position += 2;
+      }
+      position += 2;
+      strings.push(buffer.toString('utf16le', position, position + length * 2));
+    }
+  }
+  return strings;
+}
+
+// Attributes of the root <manifest> element of a binary AndroidManifest.xml
+function parseManifestAttributes(buffer) {
+  let strings = [];
+  let resourceIds = [];
+  for (let offset = buffer.readUInt16LE(2); offset + 8 <= buffer.length; ) {
+    const type = buffer.readUInt16LE(offset);
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (size === 0) break;
+    if (type === RES_STRING_POOL_TYPE) {
+      strings = readStringPool(buffer, offset);
+    } else if (type === RES_XML_RESOURCE_MAP_TYPE) {
+      resourceIds = [];
+      for (let i = offset + headerSize; i < offset + size; i += 4) resourceIds.push(buffer.readUInt32LE(i));
+    } else if (type === RES_XML_START_ELEMENT_TYPE) {
+      const ext = offset + headerSize;
+      const attributeStart = buffer.readUInt16LE(ext + 8);
+      const attributeSize = buffer.readUInt16LE(ext + 10);
+      const attributeCount = buffer.readUInt16LE(ext + 12);
+      const attributes = {};
+      for (let i = 0; i < attributeCount; i++) {
+        const attr = ext + attributeStart + i * attributeSize;
+        const nameIndex = buffer.readUInt32LE(attr + 4);
+        const name = ATTRIBUTE_IDS[resourceIds[nameIndex]] || strings[nameIndex];
+        const raw = buffer.readUInt32LE(attr + 8);
+        const dataType = buffer[attr + 15];
+        const data = buffer.readUInt32LE(attr + 16);
+        if (raw !== NO_INDEX) attributes[name] = strings[raw];
+        else if (dataType === TYPE_STRING) attributes[name] = strings[data];
+        else attributes[name] = data;
+      }
+      return attributes;
+    }
+    offset += size;
+  }
+  throw new Error('AndroidManifest.xml has no root element');
+}
+
+/**
+ * Package name, version and split name from an APK's binary manifest.
+ * @param {string} apkPath
+ * @returns {Promise<{ packageName: string, versionCode: number|null, versionName: string|null, split: string|null }>}
+ */
+async function readApkManifest(apkPath) {
+  const manifest = await readZipEntry(path.resolve(apkPath), 'AndroidManifest.xml');
+  if (!manifest) throw new Error(`${path.basename(apkPath)} has no AndroidManifest.xml`);
+  const attributes = parseManifestAttributes(manifest);
+  return {
+    packageName: attributes.package,
+    versionCode: attributes.versionCode !== undefined ? Number(attributes.versionCode) : null,
+    versionName: attributes.versionName !== undefined ? String(attributes.versionName) : null,
+    split: attributes.split || null
+  };
+}
+
+module.exports = {
+  readApkManifest
+};
@@ -0,0 +1,194 @@
+const z = require('zod/v4');
+const { runAdbCommand } = require('./adb');
+const { readApkManifest } = require('./apkManifest');
+
+const FAILURE = /^(Failure\b.*|Error[: ].*|Exception occurred.*|Security exception.*)$/m;
+const EXCEPTION = /^[\w.]*Exception: (.*)$/m;
+const ACTIVITY_FLAGS = [
+  'clear-top',
+  'clear-task',
+  'single-top',
+  'no-history',
+  'no-animation',
+  'reorder-to-front',
+  'multiple-task',
+  'exclude-from-recents',
+  'reset-task-if-needed',
+  'task-on-home',
+  'brought-to-front'
+];
+const EXTRA_OPTIONS = { string: '--es', int: '--ei', boolean: '--ez', uri: '--eu' };
+const APPLICATION_ID = /^[A-Za-z][\w]*(\.[A-Za-z][\w]*)+$/;
+
+// Application ids end up in device shell command lines; rejecting anything else keeps them inert
+const packageNameSchema = z.string().regex(APPLICATION_ID, 'must be an application id such as com.example.app');
+
+// adb shell joins its arguments into one command line for the device shell
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+// pm/am often report failures on stdout with exit status 0
+function checkOutput(output, what) {
+  const match = EXCEPTION.exec(output) || FAILURE.exec(output);
+  if (match) throw new Error(`${what} failed: ${match[1].trim()}`);
+  return output.trim();
+}
+
+async function runShell(args, what, timeoutMs, serial) {
+  return checkOutput(await runAdbCommand(['shell', ...args], timeoutMs, { serial }), what);
+}
+
+function packageSection(dump, packageName) {
+  const start = dump.indexOf(`Package [${packageName}]`);
+  if (start === -1) return null;
+  const rest = dump.slice(start + 1);
+  const end = rest.search(/\n {0,2}\S/);
+  return end === -1 ? rest : rest.slice(0, end);
+}
+
+/**
+ * Version, SDK levels, install times and permission state from `dumpsys package <pkg>`.
+ * @returns {{ packageName: string, installed: boolean, versionCode?: number, versionName?: string, ... }}
+ */
+function parsePackageInfo(dump, packageName) {
+  const section = packageSection(dump, packageName);
+  if (!section) return { packageName, installed: false };
+  const value = pattern => {
+    const match = pattern.exec(section);
+    return match ? match[1] : undefined;
+  };
+  const info = {
+    packageName,
+    installed: true,
+    versionCode: Number(value(/versionCode=(\d+)/)),
+    versionName: value(/versionName=(.*)/),
+    minSdk: value(/minSdk=(\d+)/) !== undefined ? Number(value(/minSdk=(\d+)/)) : undefined,
+    targetSdk: value(/targetSdk=(\d+)/) !== undefined ? Number(value(/targetSdk=(\d+)/)) : undefined,
+    firstInstallTime: value(/firstInstallTime=(.*)/),
+    lastUpdateTime: value(/lastUpdateTime=(.*)/),
+    runtimePermissions: {}
+  };
+  let inRuntimeBlock = false;
+  for (const line of section.split('\n')) {
+    if (/^\s*runtime permissions:/.test(line)) {
+      inRuntimeBlock = true;
+      continue;
+    }
+    if (/^\s*[\w ]+permissions:/.test(line) || /^\s*User \d+:/.test(line)) inRuntimeBlock = false;
+    const permission = /^\s+([\w.]+): granted=(true|false)/.exec(line);
+    if (inRuntimeBlock && permission) info.runtimePermissions[permission[1]] = permission[2] === 'true';
+  }
+  return info;
+}
+
+async function getPackageInfo(packageName, timeoutMs, serial) {
+  const dump = await runAdbCommand(['shell', 'dumpsys', 'package', shellQuote(packageName)], timeoutMs, { serial });
+  return parsePackageInfo(dump, packageName);
+}
+
+// Launcher activity as "package/.Activity", or null when the package has none
+async function resolveLaunchActivity(packageName, timeoutMs, serial) {
+  const output = await runAdbCommand(
+    ['shell', 'cmd', 'package', 'resolve-activity', '--brief', '-a', 'android.intent.action.MAIN', '-c', 'android.intent.category.LAUNCHER', shellQuote(packageName)],
+    timeoutMs,
+    { serial }
+  ).catch(() => '');
+  const line = output.trim().split('\n').pop() || '';
+  return /^[\w.]+\/[\w.$]+$/.test(line.trim()) ? line.trim() : null;
+}
+
+async function describePackage(packageName, timeoutMs, serial) {
+  const info = await getPackageInfo(packageName, timeoutMs, serial);
+  if (info.installed) info.launchActivity = await resolveLaunchActivity(packageName, timeoutMs, serial);
+  return info;
+}
+
+async function installApks(apkPaths, options, timeoutMs, serial) {
+  const manifests = await Promise.all(apkPaths.map(apkPath => readApkManifest(apkPath)));
+  const base = manifests.find(manifest => !manifest.split) || manifests[0];
+  const args = [apkPaths.length > 1 ? 'install-multiple' : 'install'];
+  if (options.replace) args.push('-r');
+  if (options.allowDowngrade) args.push('-d');
+  if (options.grantPermissions) args.push('-g');
+  if (options.allowTestPackages) args.push('-t');
+  let output;
+  try {
+    output = await runAdbCommand([...args, ...apkPaths], timeoutMs, { serial });
+  } catch (error) {
+    const failure = /Failure \[([^\]]+)\]/.exec(error.message);
+    throw failure ? new Error(`Install of ${base.packageName} failed: ${failure[1]}`) : error;
+  }
+  checkOutput(output, `Install of ${base.packageName}`);
+  return {
+    packageName: base.packageName,
+    apk: { versionCode: base.versionCode, versionName: base.versionName },
+    splits: manifests.filter(manifest => manifest.split).map(manifest => manifest.split),
+    output: output.trim().split('\n').pop()
+  };
+}
+
+function toComponent(activity, packageName) {
+  if (activity.includes('/')) return activity;
+  if (!packageName) throw new Error('activity without a package ("com.app/.Main") needs packageName');
+  return `${packageName}/${activity}`;
+}
+
+function buildStartArgs(options, component) {
+  const args = ['am', 'start'];
+  if (options.wait) args.push('-W');
+  if (options.stopFirst) args.push('-S');
+  (options.flags || []).forEach(flag => args.push(`--activity-${flag}`));
+  const action = options.action || (options.deepLink ? 'android.intent.action.VIEW' : component && !options.activity ? 'android.intent.action.MAIN' : null);
+  if (action) args.push('-a', shellQuote(action));
+  if (options.deepLink) args.push('-d', shellQuote(options.deepLink));
+  const categories = options.categories || (component && !options.activity && !options.deepLink ? ['android.intent.category.LAUNCHER'] : []);
+  categories.forEach(category => args.push('-c', shellQuote(category)));
+  (options.extras || []).forEach(extra => args.push(EXTRA_OPTIONS[extra.type], shellQuote(extra.key), shellQuote(extra.value)));
+  if (component) args.push('-n', shellQuote(component));
+  // A trailing package restricts implicit intents (deep links) to that app
+  else if (options.packageName) args.push(shellQuote(options.packageName));
+  return args;
+}
+
+// am start -W: Status, LaunchState, Activity, TotalTime, WaitTime
+function parseStartOutput(output) {
+  const result = {};
+  for (const line of output.split('\n')) {
+    const match = /^\s*(Status|LaunchState|Activity|TotalTime|WaitTime|ThisTime|Warning):\s*(.*)$/.exec(line);
+    if (!match) continue;
+    const [, key, value] = match;
+    if (key === 'Status') result.status = value.trim();
+    else if (key === 'LaunchState') result.launchState = value.trim();
+    else if (key === 'Activity') result.activity = value.trim();
+    else if (key === 'Warning') result.warning = value.trim();
+    else result[`${key.charAt(0).toLowerCase()}${key.slice(1)}Ms`] = Number(value);
+  }
+  result.complete = /^Complete$/m.test(output);
+  return result;
+}
+
+async function startActivity(options, timeoutMs, serial) {
+  let component = options.activity ? toComponent(options.activity, options.packageName) : null;
+  if (!component && !options.deepLink && !options.action) {
+    if (!options.packageName) throw new Error('Provide packageName, activity, deepLink or action');
+    component = await resolveLaunchActivity(options.packageName, timeoutMs, serial);
+    if (!component) throw new Error(`${options.packageName} has no launcher activity (is it installed?)`);
+  }
+  const args = buildStartArgs(options, component);
+  const output = await runShell(args, 'am start', timeoutMs, serial);
+  return { command: `adb shell ${args.join(' ')}`, component, ...parseStartOutput(output), output };
+}
+
+module.exports = {
+  ACTIVITY_FLAGS,
+  packageNameSchema,
+  shellQuote,
+  runShell,
+  parsePackageInfo,
+  getPackageInfo,
+  resolveLaunchActivity,
+  describePackage,
+  installApks,
+  startActivity
+};
@@ -0,0 +1,118 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { EventEmitter } = require('node:events');
+
+// Artifact kinds exposed as android://<kind>/<id>; oldest entries are dropped past the limit
+const ARTIFACT_KINDS = {
+  screenshots: { title: 'Screenshots', mimeType: 'image/png', limit: 20 },
+  'ui-dumps': { title: 'UI hierarchy dumps', mimeType: 'application/xml', limit: 50 },
+  drawables: { title: 'Converted VectorDrawables', mimeType: 'application/xml', limit: 32 },
+  logcat: { title: 'Logcat pulls', mimeType: 'text/plain', limit: 20 }
+};
+
+let sequence = 0;
+
+/**
+ * A separate set of artifacts with its own change events. Each session gets one so HTTP
+ * clients cannot read each other's screenshots; artifacts.scope=shared hands every
+ * session the process-wide sharedArtifactScope instead.
+ */
+function createArtifactScope() {
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // one listener per connected session on the shared scope
+  return { artifacts: new Map(Object.keys(ARTIFACT_KINDS).map(kind => [kind, new Map()])), events };
+}
+
+const sharedArtifactScope = createArtifactScope();
+const currentScope = new AsyncLocalStorage();
+
+// Tool handlers run inside their session's scope, so recordArtifact callers need not pass it
+function runInArtifactScope(scope, fn) {
+  return currentScope.run(scope, fn);
+}
+
+function activeScope() {
+  return currentScope.getStore() || sharedArtifactScope;
+}
+
+function artifactUri(kind, id) {
+  return `android://${kind}/${id}`;
+}
+
+function kindOf(kind, scope) {
+  const entries = scope.artifacts.get(kind);
+  if (!entries) throw new Error(`Unknown artifact kind "${kind}". Known: ${Object.keys(ARTIFACT_KINDS).join(', ')}`);
+  return entries;
+}
+
+/**
+ * Stores an artifact and notifies listeners. Pass id for content-addressed artifacts
+ * (re-recording the same id updates it in place); otherwise a sequential id is assigned.
+ * data is a string for text artifacts or a Buffer for binary ones.
+ */
+function recordArtifact(kind, { id, name, description, data, mimeType }) {
+  const scope = activeScope();
+  const entries = kindOf(kind, scope);
+  const artifactId = id || String(++sequence);
+  const existed = entries.delete(artifactId);
+  const artifact = {
+    kind,
+    id: artifactId,
+    uri: artifactUri(kind, artifactId),
+    name: name || `${kind}-${artifactId}`,
+    description,
+    mimeType: mimeType || ARTIFACT_KINDS[kind].mimeType,
+    data,
+    size: Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data),
+    createdAt: new Date().toISOString()
+  };
+  entries.set(artifactId, artifact);
+
+  const removed = [];
+  while (entries.size > ARTIFACT_KINDS[kind].limit) {
+    const [oldestId, oldest] = entries.entries().next().value;
+    entries.delete(oldestId);
+    removed.push(oldest.uri);
+  }
+  scope.events.emit('change', { kind, uri: artifact.uri, type: existed ? 'updated' : 'added', removed });
+  return artifact;
+}
+
+// "latest" resolves to the newest artifact of the kind
+function getArtifact(kind, id, scope = activeScope()) {
+  const entries = kindOf(kind, scope);
+  if (id === 'latest') return [...entries.values()].pop() || null;
+  return entries.get(id) || null;
+}
+
+function listArtifacts(kind, scope = activeScope()) {
+  return [...kindOf(kind, scope).values()].reverse();
+}
+
+function onArtifactChange(listener, scope = activeScope()) {
+  scope.events.on('change', listener);
+  return () => scope.events.off('change', listener);
+}
+
+// resource_link content block pointing at a stored artifact, for tool results
+function artifactLink(artifact) {
+  return {
+    type: 'resource_link',
+    uri: artifact.uri,
+    name: artifact.name,
+    mimeType: artifact.mimeType,
+    description: artifact.description
+  };
+}
+
+module.exports = {
+  ARTIFACT_KINDS,
+  sharedArtifactScope,
+  createArtifactScope,
+  runInArtifactScope,
+  artifactUri,
+  recordArtifact,
+  getArtifact,
+  listArtifacts,
+  onArtifactChange,
+  artifactLink
+};
@@ -0,0 +1,240 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { runAdbCommand, runAdbCommandBinary, resolveSerial, deviceTempPath } = require('./adb');
+const { dumpUiXml } = require('./uiHierarchy');
+const { getWindowFocus } = require('./windowFocus');
+const { getPackageInfo } = require('./appManager');
+const { parseLogcat, groupCrashes } = require('./logcatParser');
+const { analyzeAnrTrace, readAnrTrace } = require('./anrParser');
+const { resolvePids } = require('./logcatSession');
+const { recordArtifact } = require('./artifactStore');
+const { createZip } = require('./zipWriter');
+
+const GETPROP_LINE = /^\[([^\]]+)\]: \[(.*)\]$/;
+const DEVICE_PROPS = {
+  manufacturer: 'ro.product.manufacturer',
+  model: 'ro.product.model',
+  device: 'ro.product.device',
+  androidVersion: 'ro.build.version.release',
+  sdk: 'ro.build.version.sdk',
+  securityPatch: 'ro.build.version.security_patch',
+  fingerprint: 'ro.build.fingerprint',
+  abi: 'ro.product.cpu.abi',
+  locale: 'persist.sys.locale'
+};
+
+// `adb shell getprop` prints one "[key]: [value]" per line
+function parseGetprop(output) {
+  const props = {};
+  for (const line of output.split('\n')) {
+    const match = GETPROP_LINE.exec(line.trim());
+    if (match) props[match[1]] = match[2];
+  }
+  return props;
+}
+
+async function getDeviceProps(timeoutMs, serial) {
+  const props = parseGetprop(await runAdbCommand(['shell', 'getprop'], timeoutMs, { serial }));
+  const device = {};
+  for (const [key, prop] of Object.entries(DEVICE_PROPS)) {
+    if (props[prop]) device[key] = key === 'sdk' ? Number(props[prop]) : props[prop];
+  }
+  return device;
+}
+
+async function recordScreen(seconds, timeoutMs, serial) {
+  const recordingPath = deviceTempPath('bug_report', 'mp4');
+  // screenrecord blocks for the whole clip, so the adb timeout has to cover it
+  await runAdbCommand(
+    ['shell', 'screenrecord', '--time-limit', String(seconds), recordingPath],
+    seconds * 1000 + timeoutMs,
+    { serial }
+  );
+  try {
+    return await runAdbCommandBinary(['exec-out', 'cat', recordingPath], timeoutMs, { serial });
+  } finally {
+    await runAdbCommand(['shell', 'rm', '-f', recordingPath], timeoutMs, { serial }).catch(() => {});
+  }
+}
+
+// Last error/fatal lines from the app (or the whole device without a package), for the summary
+function recentErrors(events, pids, limit = 15) {
+  return events
+    .filter(event => (event.level === 'E' || event.level === 'F') && (pids.length === 0 || pids.includes(event.pid)))
+    .slice(-limit)
+    .map(event => `${event.timestamp} ${event.level} ${event.tag}: ${event.message.split('\n')[0]}`);
+}
+
+function describeApp(app) {
+  if (!app.installed) return `${app.packageName} (not installed)`;
+  return [app.packageName, app.versionName, Number.isFinite(app.versionCode) ? `(${app.versionCode})` : null]
+    .filter(Boolean)
+    .join(' ');
+}
+
+// groupCrashes ranks by count; the summary leads with the crash that happened last
+function latestCrash(crashes) {
+  return crashes.reduce((latest, crash) => (crash.lastSeen > latest.lastSeen ? crash : latest));
+}
+
+function markdownSummary(report) {
+  const { device = {}, app, activity, crashes = [], anr, errors = [], title } = report;
+  const focus = activity && (activity.window || activity.app);
+  const rows = [
+    ['Captured', report.capturedAt],
+    ['Device', [device.manufacturer, device.model].filter(Boolean).join(' ') || undefined],
+    ['Android', device.androidVersion ? `${device.androidVersion} (SDK ${device.sdk})` : undefined],
+    ['Build', device.fingerprint],
+    ['Serial', report.serial],
+    ['App', app ? describeApp(app) : undefined],
+    ['Screen', focus ? focus.activity : undefined]
+  ].filter(([, value]) => value);
+
+  const lines = [`## ${title || 'Bug report'}`, '', '| | |', '|---|---|'];
+  rows.forEach(([label, value]) => lines.push(`| ${label} | \`${String(value).replace(/\|/g, '\\|')}\` |`));
+
+  if (crashes.length > 0) {
+    const crash = latestCrash(crashes);
+    const headline = `**${crash.exceptionType}** at \`${crash.topFrame}\` (${crash.count}x, last ${crash.lastSeen})`;
+    lines.push('', '### Crash', '', headline);
+    lines.push('', '```', crash.stack, '```');
+    if (crashes.length > 1) lines.push('', `${crashes.length - 1} other crash group(s) in crash.txt.`);
+  }
+  if (anr) lines.push('', '### ANR', '', '```', anr.summary, '```');
+  if (report.recentErrors && report.recentErrors.length > 0) {
+    lines.push('', '### Recent errors', '', '```', ...report.recentErrors, '```');
+  }
+
+  lines.push('', '### Attachments', '');
+  report.files.forEach(file => lines.push(`- \`${file.name}\`: ${file.description}`));
+  if (errors.length > 0) {
+    lines.push('', '### Not captured', '');
+    errors.forEach(error => lines.push(`- ${error.item}: ${error.message}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Captures screenshot, UI dump, focus, device props, app version, logcat (main, crash, ANR)
+ * and an optional screenrecord clip in parallel, then writes them with index.json and
+ * summary.md into a timestamped directory or zip. A failing item is listed, not fatal.
+ */
+async function captureBugReport(options, timeoutMs, serial) {
+  const { packageName, logcatLines, screenRecordSeconds, outputDir, zip, title } = options;
+  const capturedAt = new Date();
+  const files = [];
+  const errors = [];
+  const report = {
+    title,
+    capturedAt: capturedAt.toISOString(),
+    serial: resolveSerial(serial) || undefined,
+    packageName,
+    // Filled by the captures below; declared here so index.json keys keep this order
+    device: undefined,
+    app: undefined,
+    activity: undefined,
+    crashes: undefined,
+    anr: undefined,
+    recentErrors: undefined
+  };
+  const addFile = (name, data, description) => files.push({ name, data, description });
+
+  const items = {
+    screenshot: async () => {
+      const png = await runAdbCommandBinary(['exec-out', 'screencap', '-p'], timeoutMs, { serial });
+      addFile('screenshot.png', png, 'Screenshot');
+      recordArtifact('screenshots', { name: 'screenshot.png', description: 'Bug report screenshot', data: png });
+    },
+    uiHierarchy: async () => {
+      const xml = await dumpUiXml(timeoutMs, serial);
+      addFile('ui-hierarchy.xml', xml, 'uiautomator UI hierarchy');
+      recordArtifact('ui-dumps', { description: 'Bug report UI dump', data: xml });
+    },
+    activity: async () => {
+      report.activity = await getWindowFocus(timeoutMs, serial);
+    },
+    device: async () => {
+      report.device = await getDeviceProps(timeoutMs, serial);
+    },
+    logcat: async () => {
+      const [text, pids] = await Promise.all([
+        runAdbCommand(['logcat', '-d', '-v', 'threadtime', '-t', String(logcatLines)], timeoutMs, { serial }),
+        packageName ? resolvePids(packageName, serial) : []
+      ]);
+      addFile('logcat.txt', text, `Last ${logcatLines} logcat lines (default buffers, threadtime)`);
+      recordArtifact('logcat', { description: 'Bug report logcat', data: text });
+      report.recentErrors = recentErrors(parseLogcat(text), pids.map(Number));
+    },
+    crash: async () => {
+      const args = ['logcat', '-b', 'crash', '-d', '-v', 'threadtime', '-t', String(logcatLines)];
+      const text = await runAdbCommand(args, timeoutMs, { serial });
+      if (!text.trim()) return;
+      addFile('crash.txt', text, 'Crash buffer');
+      report.crashes = groupCrashes(parseLogcat(text), packageName);
+    },
+    anr: async () => {
+      const trace = await readAnrTrace(packageName, timeoutMs, serial);
+      if (!trace) return;
+      addFile('anr.txt', trace.text, `ANR trace from ${trace.source}`);
+      const analysis = analyzeAnrTrace(trace.text, packageName);
+      if (analysis) report.anr = { source: trace.source, summary: analysis.summary, blockedBy: analysis.blockedBy };
+    }
+  };
+  if (packageName) {
+    items.app = async () => {
+      const { runtimePermissions, ...info } = await getPackageInfo(packageName, timeoutMs, serial);
+      report.app = info;
+    };
+  }
+  if (screenRecordSeconds > 0) {
+    items.screenRecord = async () => {
+      const clip = await recordScreen(screenRecordSeconds, timeoutMs, serial);
+      addFile('screenrecord.mp4', clip, `${screenRecordSeconds}s screen recording`);
+    };
+  }
+
+  const names = Object.keys(items);
+  const results = await Promise.allSettled(names.map(name => items[name]()));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') errors.push({ item: names[index], message: result.reason.message });
+  });
+  if (errors.length === names.length) {
+    throw new Error(`Nothing could be captured: ${errors.map(error => `${error.item}: ${error.message}`).join('; ')}`);
+  }
+
+  // Stable file order regardless of which capture finished first
+  const order = ['screenshot.png', 'screenrecord.mp4', 'ui-hierarchy.xml', 'logcat.txt', 'crash.txt', 'anr.txt'];
+  files.sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+  report.files = files.map(({ name, data, description }) => ({
+    name,
+    description,
+    bytes: Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data)
+  }));
+  report.errors = errors;
+
+  const summary = markdownSummary(report);
+  const bundle = [
+    ...files,
+    { name: 'index.json', data: `${JSON.stringify(report, null, 2)}\n` },
+    { name: 'summary.md', data: summary }
+  ];
+  const stamp = capturedAt.toISOString().replace(/[:.]/g, '-');
+  const baseName = `bug-report-${stamp}`;
+  await fs.mkdir(path.resolve(outputDir), { recursive: true });
+  if (zip) {
+    report.path = path.join(path.resolve(outputDir), `${baseName}.zip`);
+    const entries = bundle.map(({ name, data }) => ({ name: `${baseName}/${name}`, data }));
+    await fs.writeFile(report.path, createZip(entries, capturedAt));
+  } else {
+    report.path = path.join(path.resolve(outputDir), baseName);
+    await fs.mkdir(report.path);
+    for (const { name, data } of bundle) await fs.writeFile(path.join(report.path, name), data);
+  }
+  return { report, summary };
+}
+
+module.exports = {
+  parseGetprop,
+  markdownSummary,
+  captureBugReport
+};
@@ -0,0 +1,56 @@
+const { runAdbCommand } = require('./adb');
+const { dumpUiHierarchy, resolveElement, describeElement } = require('./uiHierarchy');
+
+// Translates an inject-input style command into `adb shell input` arguments
+function buildInputArgs(command, args) {
+  const adbArgs = ['shell', 'input'];
+  switch (command) {
+    case 'tap':
+      if (args.length !== 2) throw new Error('tap requires x and y coordinates (or use selector/elementId/elementText)');
+      adbArgs.push('tap', args[0], args[1]);
+      break;
+    case 'text': {
+      if (args.length !== 1) throw new Error('text requires a single string argument');
+      const safeText = String(args[0]).replace(/\s/g, '%s');
+      adbArgs.push('text', safeText);
+      break;
+    }
+    case 'swipe':
+      if (args.length < 4) throw new Error('swipe requires at least x1, y1, x2, y2');
+      adbArgs.push('swipe', ...args);
+      break;
+    case 'back':
+      adbArgs.push('keyevent', '4');
+      break;
+    case 'home':
+      adbArgs.push('keyevent', '3');
+      break;
+    case 'keyevent':
+      if (args.length < 1) throw new Error('keyevent requires keycode');
+      adbArgs.push('keyevent', ...args);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+  return adbArgs.map(String);
+}
+
+async function injectInput(command, args, timeoutMs, serial) {
+  await runAdbCommand(buildInputArgs(command, args), timeoutMs, { serial });
+}
+
+// Dumps the UI and returns the single element matching selector (see resolveElement)
+async function locateElement(selector, nth, timeoutMs, serial) {
+  const nodes = await dumpUiHierarchy(timeoutMs, serial);
+  const element = resolveElement(nodes, selector, nth);
+  if (!element.center) {
+    throw new Error(`Matched element has no bounds: ${JSON.stringify(describeElement(element))}`);
+  }
+  return element;
+}
+
+module.exports = {
+  buildInputArgs,
+  injectInput,
+  locateElement
+};
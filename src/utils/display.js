@@ -0,0 +1,26 @@
+const { runAdbCommand } = require('./adb');
+
+// Physical density: 420
+// Override density: 440
+function parseWmDensity(output) {
+  const override = /Override density:\s*(\d+)/.exec(output);
+  const physical = /Physical density:\s*(\d+)/.exec(output);
+  const match = override || physical;
+  if (!match) throw new Error(`Could not parse wm density output: ${output.trim() || '(empty)'}`);
+  return Number(match[1]);
+}
+
+// Density in dpi; dp = px * 160 / dpi
+async function getDisplayDensity(timeoutMs, serial) {
+  return parseWmDensity(await runAdbCommand(['shell', 'wm', 'density'], timeoutMs, { serial }));
+}
+
+function pxToDp(px, density) {
+  return (px * 160) / density;
+}
+
+module.exports = {
+  parseWmDensity,
+  getDisplayDensity,
+  pxToDp
+};
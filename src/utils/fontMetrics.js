@@ -0,0 +1,137 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const fontCache = new Map();
+
+function readTableDirectory(buffer) {
+  const tag = buffer.toString('latin1', 0, 4);
+  if (tag === 'ttcf') throw new Error('Font collections (.ttc) are not supported; pass a single .ttf/.otf');
+  if (tag === 'wOFF' || tag === 'wOF2') throw new Error('WOFF fonts are not supported; pass a .ttf/.otf');
+  if (buffer.length < 12) throw new Error('Not a TrueType/OpenType font');
+  const version = buffer.readUInt32BE(0);
+  if (version !== 0x00010000 && tag !== 'OTTO' && tag !== 'true') throw new Error('Not a TrueType/OpenType font');
+  const tables = {};
+  const count = buffer.readUInt16BE(4);
+  for (let i = 0; i < count; i++) {
+    const record = 12 + i * 16;
+    tables[buffer.toString('latin1', record, record + 4)] = {
+      offset: buffer.readUInt32BE(record + 8),
+      length: buffer.readUInt32BE(record + 12)
+    };
+  }
+  for (const required of ['head', 'hhea', 'hmtx', 'cmap']) {
+    if (!tables[required]) throw new Error(`Font is missing the ${required} table`);
+    const { offset, length } = tables[required];
+    if (offset + length > buffer.length) {
+      throw new Error(`Not a TrueType/OpenType font (the ${required} table is cut off; truncated file?)`);
+    }
+  }
+  return tables;
+}
+
+// Returns codePoint -> glyph id lookup for the best Unicode subtable (format 12, else format 4)
+function readCmap(buffer, offset) {
+  const count = buffer.readUInt16BE(offset + 2);
+  const candidates = [];
+  for (let i = 0; i < count; i++) {
+    const record = offset + 4 + i * 8;
+    const platform = buffer.readUInt16BE(record);
+    const encoding = buffer.readUInt16BE(record + 2);
+    const subtable = offset + buffer.readUInt32BE(record + 4);
+    const format = buffer.readUInt16BE(subtable);
+    const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+    if (unicode && (format === 12 || format === 4)) candidates.push({ format, subtable });
+  }
+  candidates.sort((a, b) => b.format - a.format);
+  if (candidates.length === 0) throw new Error('Font has no Unicode cmap (format 4 or 12)');
+  const { format, subtable } = candidates[0];
+
+  if (format === 12) {
+    const groups = [];
+    const groupCount = buffer.readUInt32BE(subtable + 12);
+    for (let i = 0; i < groupCount; i++) {
+      const group = subtable + 16 + i * 12;
+      groups.push([buffer.readUInt32BE(group), buffer.readUInt32BE(group + 4), buffer.readUInt32BE(group + 8)]);
+    }
+    return codePoint => {
+      for (const [start, end, glyph] of groups) {
+        if (codePoint >= start && codePoint <= end) return glyph + (codePoint - start);
+      }
+      return 0;
+    };
+  }
+
+  const segments = buffer.readUInt16BE(subtable + 6) / 2;
+  const endCodes = subtable + 14;
+  const startCodes = endCodes + segments * 2 + 2;
+  const idDeltas = startCodes + segments * 2;
+  const idRangeOffsets = idDeltas + segments * 2;
+  return codePoint => {
+    if (codePoint > 0xffff) return 0;
+    for (let i = 0; i < segments; i++) {
+      if (codePoint > buffer.readUInt16BE(endCodes + i * 2)) continue;
+      const start = buffer.readUInt16BE(startCodes + i * 2);
+      if (codePoint < start) return 0;
+      const delta = buffer.readInt16BE(idDeltas + i * 2);
+      const rangeOffset = buffer.readUInt16BE(idRangeOffsets + i * 2);
+      if (rangeOffset === 0) return (codePoint + delta) & 0xffff;
+      const glyph = buffer.readUInt16BE(idRangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Parse the metrics needed for width estimation from a TTF/OTF buffer.
+ * @param {Buffer} buffer
+ * @returns {{ unitsPerEm: number, advanceEm: (codePoint: number) => number|null }}
+ *   advanceEm is null for code points the font has no glyph for
+ */
+function parseFont(buffer) {
+  try {
+    return readFont(buffer);
+  } catch (error) {
+    // Corrupt offsets surface as out-of-range reads deep inside a table
+    if (error instanceof RangeError) throw new Error('Not a TrueType/OpenType font (corrupt table data)');
+    throw error;
+  }
+}
+
+function readFont(buffer) {
+  const tables = readTableDirectory(buffer);
+  const unitsPerEm = buffer.readUInt16BE(tables.head.offset + 18);
+  const numberOfHMetrics = buffer.readUInt16BE(tables.hhea.offset + 34);
+  const glyphOf = readCmap(buffer, tables.cmap.offset);
+  const hmtx = tables.hmtx.offset;
+  const lastAdvance = buffer.readUInt16BE(hmtx + (numberOfHMetrics - 1) * 4);
+  return {
+    unitsPerEm,
+    advanceEm(codePoint) {
+      let advance;
+      try {
+        const glyph = glyphOf(codePoint);
+        if (glyph === 0) return null;
+        advance = glyph < numberOfHMetrics ? buffer.readUInt16BE(hmtx + glyph * 4) : lastAdvance;
+      } catch (error) {
+        // A corrupt cmap or hmtx entry: treat the glyph as missing so layout falls back to estimates
+        if (error instanceof RangeError) return null;
+        throw error;
+      }
+      return advance / unitsPerEm;
+    }
+  };
+}
+
+async function loadFont(fontPath) {
+  const resolved = path.resolve(fontPath);
+  if (!fontCache.has(resolved)) {
+    fontCache.set(resolved, parseFont(await fs.readFile(resolved)));
+  }
+  return fontCache.get(resolved);
+}
+
+module.exports = {
+  parseFont,
+  loadFont
+};
@@ -0,0 +1,56 @@
+/**
+ * Compare two RGBA images of the same size.
+ * Channels are compared premultiplied so differences under transparent pixels do not count.
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array|Uint8ClampedArray} expected
+ * @param {Uint8Array|Uint8ClampedArray} actual
+ * @param {{ threshold?: number }} options threshold (0-1) above which a pixel counts as changed
+ * @returns {{ score: number, changedPixels: number, changedPercent: number, diff: Uint8ClampedArray }}
+ *   score is the mean absolute channel difference (0 = identical, 1 = opposite);
+ *   diff highlights changed pixels in red over a faded copy of actual.
+ */
+function diffRgba(width, height, expected, actual, options = {}) {
+  const threshold = options.threshold === undefined ? 0.1 : options.threshold;
+  const total = width * height;
+  const diff = new Uint8ClampedArray(total * 4);
+  let sum = 0;
+  let changedPixels = 0;
+
+  for (let i = 0; i < total; i++) {
+    const offset = i * 4;
+    const alphaA = expected[offset + 3] / 255;
+    const alphaB = actual[offset + 3] / 255;
+    let pixelMax = Math.abs(alphaA - alphaB);
+    let pixelSum = pixelMax;
+    for (let channel = 0; channel < 3; channel++) {
+      const delta = Math.abs((expected[offset + channel] / 255) * alphaA - (actual[offset + channel] / 255) * alphaB);
+      pixelSum += delta;
+      pixelMax = Math.max(pixelMax, delta);
+    }
+    sum += pixelSum / 4;
+
+    if (pixelMax > threshold) {
+      changedPixels++;
+      diff[offset] = 255;
+      diff[offset + 3] = Math.round(128 + pixelMax * 127);
+    } else {
+      const grey = Math.round((actual[offset] + actual[offset + 1] + actual[offset + 2]) / 3);
+      diff[offset] = grey;
+      diff[offset + 1] = grey;
+      diff[offset + 2] = grey;
+      diff[offset + 3] = Math.round(actual[offset + 3] * 0.3);
+    }
+  }
+
+  return {
+    score: total === 0 ? 0 : sum / total,
+    changedPixels,
+    changedPercent: total === 0 ? 0 : (changedPixels / total) * 100,
+    diff
+  };
+}
+
+module.exports = {
+  diffRgba
+};
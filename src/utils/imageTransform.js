@@ -0,0 +1,62 @@
+/**
+ * Copy a rectangle out of an RGBA image. The rectangle is clamped to the image.
+ * @param {{ width: number, height: number, pixels: Uint8ClampedArray }} image
+ * @param {{ x: number, y: number, width: number, height: number }} rect
+ * @returns {{ width: number, height: number, pixels: Uint8ClampedArray, rect: object }}
+ */
+function cropRgba(image, rect) {
+  const left = Math.max(0, Math.min(image.width, Math.round(rect.x)));
+  const top = Math.max(0, Math.min(image.height, Math.round(rect.y)));
+  const right = Math.max(left, Math.min(image.width, Math.round(rect.x + rect.width)));
+  const bottom = Math.max(top, Math.min(image.height, Math.round(rect.y + rect.height)));
+  const width = right - left;
+  const height = bottom - top;
+  if (width === 0 || height === 0) {
+    throw new Error(`Crop ${JSON.stringify(rect)} is outside the ${image.width}x${image.height} screenshot`);
+  }
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const start = ((top + y) * image.width + left) * 4;
+    pixels.set(image.pixels.subarray(start, start + width * 4), y * width * 4);
+  }
+  return { width, height, pixels, rect: { x: left, y: top, width, height } };
+}
+
+/**
+ * Downscale an RGBA image so it is at most maxWidth wide (box filter, aspect ratio kept).
+ * Images that already fit are returned unchanged.
+ * @param {{ width: number, height: number, pixels: Uint8ClampedArray }} image
+ * @param {number} maxWidth
+ * @returns {{ width: number, height: number, pixels: Uint8ClampedArray }}
+ */
+function downscaleRgba(image, maxWidth) {
+  if (image.width <= maxWidth) return image;
+  const scale = image.width / maxWidth;
+  const width = maxWidth;
+  const height = Math.max(1, Math.round(image.height / scale));
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sourceTop = Math.floor(y * scale);
+    const sourceBottom = Math.min(image.height, Math.max(sourceTop + 1, Math.floor((y + 1) * scale)));
+    for (let x = 0; x < width; x++) {
+      const sourceLeft = Math.floor(x * scale);
+      const sourceRight = Math.min(image.width, Math.max(sourceLeft + 1, Math.floor((x + 1) * scale)));
+      const sums = [0, 0, 0, 0];
+      for (let sy = sourceTop; sy < sourceBottom; sy++) {
+        for (let sx = sourceLeft; sx < sourceRight; sx++) {
+          const offset = (sy * image.width + sx) * 4;
+          for (let channel = 0; channel < 4; channel++) sums[channel] += image.pixels[offset + channel];
+        }
+      }
+      const count = (sourceBottom - sourceTop) * (sourceRight - sourceLeft);
+      const out = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel++) pixels[out + channel] = Math.round(sums[channel] / count);
+    }
+  }
+  return { width, height, pixels };
+}
+
+module.exports = {
+  cropRgba,
+  downscaleRgba
+};
@@ -0,0 +1,143 @@
+// threadtime: "MM-DD HH:MM:SS.mmm  PID  TID L TAG: message"
+const THREADTIME_LINE = /^(\d\d-\d\d\s+\d\d:\d\d:\d\d\.\d+)\s+(\d+)\s+(\d+)\s+([VDIWEFS])\s+(.*?)\s*: ?(.*)$/;
+const CONTINUATION = /^(\s+at |\s*at [\w$.<>]+\(|Caused by: |Suppressed: |\s*\.\.\. \d+ more)/;
+const EXCEPTION_LINE = /^(?:Caused by: )?([a-zA-Z_$][\w$]*(?:\.[\w$]+)+(?:Exception|Error|Throwable|Failure)[\w$]*)(?::|$)/;
+const FRAME_LINE = /^\s*at ([\w$.<>]+)\((.*)\)/;
+const FRAMEWORK_PREFIXES = [
+  'java.',
+  'javax.',
+  'kotlin.',
+  'kotlinx.',
+  'android.',
+  'androidx.',
+  'com.android.',
+  'com.google.android.',
+  'dalvik.',
+  'libcore.',
+  'sun.',
+  'jdk.'
+];
+
+function parseThreadtimeLine(line) {
+  const match = THREADTIME_LINE.exec(line);
+  if (!match) return null;
+  return {
+    timestamp: match[1].replace(/\s+/, ' '),
+    pid: Number(match[2]),
+    tid: Number(match[3]),
+    level: match[4],
+    tag: match[5],
+    message: match[6]
+  };
+}
+
+// Two separate logs can share the whole header, so a line only joins the event before it
+// when it looks like part of a stack trace: a frame or "Caused by:" at any time, or an
+// indented line, a throwable header or the rest of a FATAL EXCEPTION block at the same time
+function continues(event, record) {
+  if (event.pid !== record.pid || event.tid !== record.tid || event.level !== record.level || event.tag !== record.tag) {
+    return false;
+  }
+  if (CONTINUATION.test(record.message)) return true;
+  if (event.timestamp !== record.timestamp) return false;
+  return /^\s/.test(record.message) || EXCEPTION_LINE.test(record.message) || event.message.startsWith('FATAL EXCEPTION');
+}
+
+// Multi-line logs (stack traces) arrive as one logcat line each; join them into one event
+function parseLogcat(text) {
+  const events = [];
+  let current = null;
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/\r$/, '');
+    if (!line || line.startsWith('--------- beginning of')) continue;
+    const record = parseThreadtimeLine(line);
+    if (!record) {
+      // Headerless line (other formats, session markers): keep it with the previous event
+      if (current) {
+        current.message += `\n${line}`;
+        current.raw.push(line);
+      }
+      continue;
+    }
+    if (current && continues(current, record)) {
+      current.message += `\n${record.message}`;
+      current.raw.push(line);
+      continue;
+    }
+    current = { ...record, raw: [line] };
+    events.push(current);
+  }
+  return events;
+}
+
+function isFrameworkFrame(method) {
+  return FRAMEWORK_PREFIXES.some(prefix => method.startsWith(prefix));
+}
+
+// Exception type, top app frame and stack for a crash-like event, or null
+function describeCrash(event, packageName) {
+  const lines = event.message.split('\n');
+  let exceptionIndex = lines.findIndex(line => EXCEPTION_LINE.test(line.trim()));
+  let exceptionType;
+  if (exceptionIndex !== -1) {
+    exceptionType = EXCEPTION_LINE.exec(lines[exceptionIndex].trim())[1];
+  } else if (lines[0].startsWith('FATAL EXCEPTION')) {
+    // Fatal crashes name the throwable on the line before the first frame, whatever its name
+    exceptionIndex = lines.findIndex(line => FRAME_LINE.test(line)) - 1;
+    if (exceptionIndex < 1) return null;
+    exceptionType = lines[exceptionIndex].trim().split(':')[0];
+  } else {
+    return null;
+  }
+  const frames = lines.map(line => FRAME_LINE.exec(line)).filter(Boolean);
+  if (frames.length === 0 && event.tag !== 'AndroidRuntime') return null;
+
+  const isAppFrame = packageName
+    ? frame => frame[1].startsWith(`${packageName}.`)
+    : frame => !isFrameworkFrame(frame[1]);
+  const appFrame = frames.find(isAppFrame) || frames[0];
+  const processMatch = /Process: ([\w.:]+)/.exec(event.message);
+  return {
+    exceptionType,
+    topFrame: appFrame ? `${appFrame[1]}(${appFrame[2]})` : null,
+    message: lines[exceptionIndex].trim(),
+    process: processMatch ? processMatch[1] : undefined
+  };
+}
+
+// Group crashes by exception type + top app frame so repeats collapse into one entry
+function groupCrashes(events, packageName) {
+  const groups = new Map();
+  for (const event of events) {
+    if (event.level !== 'E' && event.level !== 'F' && event.level !== 'W') continue;
+    const crash = describeCrash(event, packageName);
+    if (!crash) continue;
+    const key = `${crash.exceptionType}@${crash.topFrame}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        exceptionType: crash.exceptionType,
+        topFrame: crash.topFrame,
+        count: 0,
+        firstSeen: event.timestamp,
+        lastSeen: event.timestamp,
+        pids: [],
+        process: crash.process,
+        message: crash.message,
+        stack: event.message.split('\n').slice(0, 30).join('\n')
+      };
+      groups.set(key, group);
+    }
+    group.count++;
+    group.lastSeen = event.timestamp;
+    if (!group.pids.includes(event.pid)) group.pids.push(event.pid);
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  parseThreadtimeLine,
+  parseLogcat,
+  describeCrash,
+  groupCrashes
+};
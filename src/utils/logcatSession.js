@@ -0,0 +1,256 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { randomUUID } = require('node:crypto');
+const { spawnAdb, runAdbCommand, describeAdbFailure } = require('./adb');
+const { shellQuote } = require('./appManager');
+const { parseThreadtimeLine } = require('./logcatParser');
+
+const PID_REFRESH_MS = 2000;
+// Ended (timed out or exited) sessions stay pollable this long, then are forgotten
+const ENDED_SESSION_TTL_MS = 60000;
+
+/**
+ * The logcat sessions one MCP session started. Each server gets its own scope so a client
+ * can only poll or stop its own streams, and closing the server stops them all.
+ */
+function createLogcatScope() {
+  return { sessions: new Map() };
+}
+
+const defaultScope = createLogcatScope();
+const currentScope = new AsyncLocalStorage();
+
+// Tool handlers run inside their server's scope; the default scope serves everything else
+function runInLogcatScope(scope, fn) {
+  return currentScope.run(scope, fn);
+}
+
+function activeSessions() {
+  return (currentScope.getStore() || defaultScope).sessions;
+}
+
+function stopLogcatScope(scope) {
+  for (const session of scope.sessions.values()) {
+    session.stop();
+    clearTimeout(session.endTimer);
+  }
+  scope.sessions.clear();
+}
+
+async function resolvePids(packageName, serial) {
+  try {
+    const output = await runAdbCommand(['shell', 'pidof', shellQuote(packageName)], 5000, { serial });
+    return output.split(/\s+/).filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class LogcatSession {
+  constructor(options, onEnd) {
+    this.id = randomUUID().slice(0, 8);
+    this.options = options;
+    this.onEnd = onEnd;
+    // Ring buffer: line seq is kept in slot seq % bufferSize, seqs are consecutive
+    this.lines = new Array(options.bufferSize);
+    this.nextSeq = 1;
+    this.cursor = 0;
+    this.pids = new Set(options.pid ? [String(options.pid)] : []);
+    this.state = 'running';
+    this.stderr = '';
+    this.partial = '';
+    this.keepingCurrent = false;
+    this.startedAt = new Date().toISOString();
+    // ActivityManager announces restarts as "Start proc 1234:com.example/u0a12"
+    this.startProcPattern = options.packageName
+      ? new RegExp(`Start proc (\\d+):${escapeRegExp(options.packageName)}[/:\\s]`)
+      : null;
+  }
+
+  async start() {
+    const { packageName, tag, priority, serial } = this.options;
+    if (packageName && this.pids.size === 0) {
+      (await resolvePids(packageName, serial)).forEach(pid => this.pids.add(pid));
+      if (this.state !== 'running') return; // stopped while resolving
+    }
+
+    // Without a fixed pid, filter by pid here so a restarted app keeps being tracked
+    const args = ['logcat', '-v', 'threadtime', '-T', '1'];
+    if (this.options.pid) args.push(`--pid=${this.options.pid}`);
+    if (tag) args.push('-s', `${tag}:${priority}`);
+    else args.push(`*:${priority}`);
+
+    this.child = spawnAdb(args, { serial });
+    this.child.stdout.setEncoding('utf8');
+    this.child.stdout.on('data', chunk => this.onData(chunk));
+    this.child.stderr.on('data', chunk => {
+      this.stderr = (this.stderr + chunk).slice(-2000);
+    });
+    this.child.on('close', code => {
+      if (this.state === 'running') {
+        this.state = 'exited';
+        this.exitCode = code;
+      }
+      this.clearTimers();
+      this.ended();
+    });
+
+    if (packageName && !this.options.pid) {
+      this.pidTimer = setInterval(() => this.refreshPids(), PID_REFRESH_MS);
+      this.pidTimer.unref();
+    }
+    this.touch();
+  }
+
+  async refreshPids() {
+    const pids = await resolvePids(this.options.packageName, this.options.serial);
+    pids.forEach(pid => this.trackPid(pid));
+  }
+
+  trackPid(pid) {
+    if (this.pids.has(pid)) return;
+    this.pids.add(pid);
+    this.push(`--- ${this.options.packageName} is now running as pid ${pid} ---`);
+  }
+
+  onData(chunk) {
+    const text = this.partial + chunk;
+    const lines = text.split('\n');
+    this.partial = lines.pop();
+    for (const raw of lines) {
+      const line = raw.replace(/\r$/, '');
+      if (!line) continue;
+      if (this.startProcPattern) {
+        const started = this.startProcPattern.exec(line);
+        if (started) this.trackPid(started[1]);
+      }
+      if (this.options.packageName && !this.options.pid) {
+        const record = parseThreadtimeLine(line);
+        // Keep continuation lines (no header) only when they follow a kept line
+        if (record ? !this.pids.has(String(record.pid)) : !this.keepingCurrent) {
+          this.keepingCurrent = false;
+          continue;
+        }
+        this.keepingCurrent = true;
+      }
+      this.push(line);
+    }
+  }
+
+  push(text) {
+    this.lines[this.nextSeq % this.options.bufferSize] = text;
+    this.nextSeq++;
+  }
+
+  get buffered() {
+    return Math.min(this.nextSeq - 1, this.options.bufferSize);
+  }
+
+  // Idle timeout: every poll extends the session's life
+  touch() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.stop('timeout'), this.options.sessionTimeoutMs);
+    this.idleTimer.unref();
+  }
+
+  poll(cursor, maxLines) {
+    if (this.state === 'running') this.touch();
+    const from = cursor !== undefined ? cursor : this.cursor;
+    const oldest = this.nextSeq - this.buffered;
+    const missed = Math.max(0, oldest - from - 1);
+    const first = Math.max(from + 1, oldest);
+    const pending = Math.max(0, this.nextSeq - first);
+    const lines = [];
+    for (let seq = first; seq < first + Math.min(pending, maxLines); seq++) {
+      lines.push(this.lines[seq % this.options.bufferSize]);
+    }
+    const nextCursor = lines.length > 0 ? first + lines.length - 1 : Math.max(from, oldest - 1);
+    this.cursor = nextCursor;
+    return {
+      lines,
+      cursor: nextCursor,
+      missed,
+      hasMore: pending > lines.length
+    };
+  }
+
+  clearTimers() {
+    clearTimeout(this.idleTimer);
+    clearInterval(this.pidTimer);
+  }
+
+  stop(reason = 'stopped') {
+    this.clearTimers();
+    if (this.state === 'running') {
+      this.state = reason;
+      // Not spawned yet when stopped while resolving pids; start() then bails out
+      if (this.child) {
+        this.child.kill();
+        this.child.stdout.destroy();
+        this.child.stderr.destroy();
+      }
+    }
+    this.ended();
+  }
+
+  ended() {
+    if (this.endTimer) return;
+    this.endTimer = setTimeout(() => this.onEnd(this), ENDED_SESSION_TTL_MS);
+    this.endTimer.unref();
+  }
+
+  describe() {
+    const info = {
+      sessionId: this.id,
+      state: this.state,
+      startedAt: this.startedAt,
+      buffered: this.buffered,
+      received: this.nextSeq - 1,
+      cursor: this.cursor
+    };
+    if (this.options.packageName) info.pids = [...this.pids];
+    if (this.child && this.child.spawnError) info.error = this.child.spawnError.message;
+    else if (this.state === 'exited' && this.stderr) {
+      info.error = describeAdbFailure(this.stderr, this.options.serial) || this.stderr.trim();
+    }
+    return info;
+  }
+}
+
+async function startLogcatSession(options) {
+  const sessions = activeSessions();
+  const session = new LogcatSession(options, ended => sessions.delete(ended.id));
+  sessions.set(session.id, session);
+  await session.start();
+  return session;
+}
+
+function getLogcatSession(sessionId) {
+  const sessions = activeSessions();
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Unknown logcat session "${sessionId}". Active sessions: ${[...sessions.keys()].join(', ') || 'none'}`);
+  }
+  return session;
+}
+
+function stopLogcatSession(sessionId) {
+  const session = getLogcatSession(sessionId);
+  session.stop();
+  clearTimeout(session.endTimer);
+  activeSessions().delete(sessionId);
+  return session;
+}
+
+module.exports = {
+  createLogcatScope,
+  runInLogcatScope,
+  stopLogcatScope,
+  resolvePids,
+  startLogcatSession,
+  getLogcatSession,
+  stopLogcatSession
+};
@@ -0,0 +1,144 @@
+// Nearest-rank percentile over an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarizeTimings(values) {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return {
+    runs: sorted.length,
+    min: sorted[0],
+    median: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    max: sorted[sorted.length - 1],
+    mean: Math.round(mean)
+  };
+}
+
+// "Java Heap" -> javaHeap, "SwapPss Dirty" -> swapPssDirty, "TOTAL PSS" -> totalPss
+function camelCase(label) {
+  return label
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => (word === word.toUpperCase() ? word.toLowerCase() : word))
+    .map((word, index) => (index === 0 ? word[0].toLowerCase() : word[0].toUpperCase()) + word.slice(1))
+    .join('');
+}
+
+const GFX_COUNTERS = {
+  'Number Missed Vsync': 'missedVsync',
+  'Number High input latency': 'highInputLatency',
+  'Number Slow UI thread': 'slowUiThread',
+  'Number Slow bitmap uploads': 'slowBitmapUploads',
+  'Number Slow issue draw commands': 'slowIssueDrawCommands',
+  'Number Frame deadline missed': 'frameDeadlineMissed'
+};
+
+/**
+ * Frame statistics from `dumpsys gfxinfo <pkg>` (first process section).
+ * @returns {{ totalFrames: number, jankyFrames: number, jankyPercent: number, percentilesMs: object, gpuPercentilesMs?: object, counters: object }}
+ */
+function parseGfxinfo(output, packageName) {
+  if (/No process found for/i.test(output)) throw new Error(`${packageName} is not running; launch it before collecting frame stats`);
+  const number = pattern => {
+    const match = pattern.exec(output);
+    return match ? Number(match[1]) : null;
+  };
+  const totalFrames = number(/Total frames rendered:\s*(\d+)/);
+  if (totalFrames === null) throw new Error('Could not find "Total frames rendered" in dumpsys gfxinfo output');
+
+  const result = {
+    totalFrames,
+    jankyFrames: number(/^\s*Janky frames:\s*(\d+)/m),
+    jankyPercent: number(/^\s*Janky frames:\s*\d+\s*\(([\d.]+)%\)/m)
+  };
+  const legacy = number(/Janky frames \(legacy\):\s*\d+\s*\(([\d.]+)%\)/);
+  if (legacy !== null) result.legacyJankyPercent = legacy;
+  result.percentilesMs = {};
+  result.gpuPercentilesMs = {};
+  for (const [, gpu, rank, value] of output.matchAll(/^\s*(GPU )?(\d+)th percentile:\s*([\d.]+)ms/gm)) {
+    const target = gpu ? result.gpuPercentilesMs : result.percentilesMs;
+    if (target[`p${rank}`] === undefined) target[`p${rank}`] = Number(value);
+  }
+  if (Object.keys(result.gpuPercentilesMs).length === 0) delete result.gpuPercentilesMs;
+  result.counters = {};
+  for (const [label, key] of Object.entries(GFX_COUNTERS)) {
+    const value = number(new RegExp(`${label}:\\s*(\\d+)`));
+    if (value !== null) result.counters[key] = value;
+  }
+  return result;
+}
+
+// "Pss Private Private SwapPss Rss" over "Total Dirty Clean Dirty Total" -> pssTotal, privateDirty, ...
+function meminfoColumns(top, bottom) {
+  const upper = top.trim().split(/\s+/);
+  const lower = bottom.trim().split(/\s+/);
+  return lower.map((word, index) => camelCase(`${upper[index] || ''} ${word}`));
+}
+
+/**
+ * PSS breakdown from `dumpsys meminfo <pkg>`; sizes are in KB.
+ * @returns {{ pid: number, process: string, totalPssKb: number, summaryKb: object, categories: object[], objects: object }}
+ */
+function parseMeminfo(output, packageName) {
+  if (/No process found for/i.test(output)) throw new Error(`${packageName} is not running; launch it before reading meminfo`);
+  const header = /\*\* MEMINFO in pid (\d+) \[([^\]]+)\] \*\*/.exec(output);
+  if (!header) throw new Error('Could not find the MEMINFO section in dumpsys meminfo output');
+  const lines = output.slice(header.index).split('\n');
+
+  const result = { pid: Number(header[1]), process: header[2], categories: [], summaryKb: {}, summaryRssKb: {}, objects: {} };
+  const dashes = lines.findIndex(line => /^\s*-{4,}(\s+-{4,})+\s*$/.test(line));
+  const columns = dashes >= 2 ? meminfoColumns(lines[dashes - 2], lines[dashes - 1]) : ['pssTotal'];
+  let section = 'table';
+  let rssColumn = -1;
+  for (const line of lines.slice(dashes + 1)) {
+    if (/^\s*App Summary/.test(line)) section = 'summary';
+    else if (/^\s*Objects/.test(line)) section = 'objects';
+    else if (/^\s*(SQL|DATABASES|Asset Allocations)/.test(line)) section = 'other';
+
+    if (section === 'table') {
+      const row = /^\s*(\S.*?)\s+(\d+(?:\s+\d+)*)\s*$/.exec(line);
+      if (!row) continue;
+      const values = row[2].split(/\s+/).map(Number);
+      const category = { name: row[1] };
+      values.forEach((value, index) => {
+        if (columns[index]) category[columns[index]] = value;
+      });
+      if (row[1] === 'TOTAL') {
+        result.totalPssKb = values[0];
+        section = 'after-table';
+      } else {
+        result.categories.push(category);
+      }
+    } else if (section === 'summary') {
+      if (line.includes('Rss(KB)')) rssColumn = line.indexOf('Rss(KB)');
+      const totals = [...line.matchAll(/(TOTAL[\w ]*?):\s+(\d+)/g)];
+      totals.forEach(([, label, value]) => (result[`${camelCase(label)}Kb`] = Number(value)));
+      const row = totals.length === 0 && /^\s*([A-Za-z][\w ]*?):((?:\s+\d+)+)\s*$/.exec(line);
+      if (!row) continue;
+      // A category can be blank in one column, so assign values by position under the Pss/Rss headers
+      for (const value of row[2].matchAll(/\d+/g)) {
+        const column = line.indexOf(':') + 1 + value.index;
+        const target = rssColumn !== -1 && column >= rssColumn - 2 ? result.summaryRssKb : result.summaryKb;
+        target[camelCase(row[1])] = Number(value[0]);
+      }
+    } else if (section === 'objects') {
+      for (const [, label, value] of line.matchAll(/([A-Za-z][\w ]*?):\s+(\d+)/g)) {
+        result.objects[camelCase(label)] = Number(value);
+      }
+    }
+  }
+  if (Object.keys(result.summaryRssKb).length === 0) delete result.summaryRssKb;
+  result.categories.sort((a, b) => (b.pssTotal || 0) - (a.pssTotal || 0));
+  return result;
+}
+
+module.exports = {
+  summarizeTimings,
+  parseGfxinfo,
+  parseMeminfo
+};
@@ -0,0 +1,204 @@
+const zlib = require('node:zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const crcTable = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  crcTable[n] = c >>> 0;
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode 8-bit RGBA pixels (non-premultiplied) as a PNG buffer.
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array|Uint8ClampedArray} rgba width * height * 4 bytes
+ * @returns {Buffer}
+ */
+function encodePng(width, height, rgba) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type RGBA
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverses the per-scanline filters in place; returns one Buffer per row
+function unfilter(data, height, stride, bytesPerPixel) {
+  const rows = [];
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const start = y * (stride + 1);
+    const filter = data[start];
+    const row = data.subarray(start + 1, start + 1 + stride);
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+      const up = previous[x];
+      const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      if (filter === 1) row[x] += left;
+      else if (filter === 2) row[x] += up;
+      else if (filter === 3) row[x] += (left + up) >> 1;
+      else if (filter === 4) row[x] += paeth(left, up, upLeft);
+      else if (filter !== 0) throw new Error(`Invalid PNG filter type ${filter} on row ${y}`);
+    }
+    rows.push(row);
+    previous = row;
+  }
+  return rows;
+}
+
+/**
+ * Decode a non-interlaced PNG (any bit depth / color type) to 8-bit RGBA.
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, pixels: Uint8ClampedArray }}
+ */
+function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file (bad signature)');
+  }
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header) throw new Error('PNG is missing IHDR');
+  const { width, height, bitDepth, colorType } = header;
+  if (!CHANNELS[colorType]) throw new Error(`Unsupported PNG color type ${colorType}`);
+  if (header.interlace !== 0) throw new Error('Interlaced PNGs are not supported');
+  if (colorType === 3 && !palette) throw new Error('Palette PNG is missing PLTE');
+
+  const bitsPerPixel = CHANNELS[colorType] * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const rows = unfilter(zlib.inflateSync(Buffer.concat(idat)), height, stride, Math.max(1, bitsPerPixel >> 3));
+  const maxSample = (1 << bitDepth) - 1;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = rows[y];
+    // Sample n of this row scaled to 0-255 (16-bit keeps the high byte; palette indexes stay raw)
+    const sample = (n, raw = false) => {
+      if (bitDepth === 8) return row[n];
+      if (bitDepth === 16) return raw ? row.readUInt16BE(n * 2) : row[n * 2];
+      const bit = n * bitDepth;
+      const value = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+      return raw ? value : Math.round((value * 255) / maxSample);
+    };
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let r;
+      let g;
+      let b;
+      let a = 255;
+      if (colorType === 0) {
+        r = g = b = sample(x);
+        if (transparency && sample(x, true) === transparency.readUInt16BE(0)) a = 0;
+      } else if (colorType === 2) {
+        r = sample(x * 3);
+        g = sample(x * 3 + 1);
+        b = sample(x * 3 + 2);
+        if (
+          transparency &&
+          sample(x * 3, true) === transparency.readUInt16BE(0) &&
+          sample(x * 3 + 1, true) === transparency.readUInt16BE(2) &&
+          sample(x * 3 + 2, true) === transparency.readUInt16BE(4)
+        ) {
+          a = 0;
+        }
+      } else if (colorType === 3) {
+        const index = sample(x, true);
+        r = palette[index * 3];
+        g = palette[index * 3 + 1];
+        b = palette[index * 3 + 2];
+        if (transparency && index < transparency.length) a = transparency[index];
+      } else if (colorType === 4) {
+        r = g = b = sample(x * 2);
+        a = sample(x * 2 + 1);
+      } else {
+        r = sample(x * 4);
+        g = sample(x * 4 + 1);
+        b = sample(x * 4 + 2);
+        a = sample(x * 4 + 3);
+      }
+      pixels[out] = r;
+      pixels[out + 1] = g;
+      pixels[out + 2] = b;
+      pixels[out + 3] = a;
+    }
+  }
+  return { width, height, pixels };
+}
+
+module.exports = {
+  encodePng,
+  decodePng
+};
@@ -0,0 +1,182 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const MAX_CACHED_MAPPINGS = 5;
+const mappingCache = new Map(); // sha256 -> parsed mapping
+
+// "com.example.Foo -> a.b.c:"
+const CLASS_LINE = /^(\S+) -> (\S+):$/;
+// "    1:3:void method(int):10:12 -> a", "    void method() -> b", "    int field -> c"
+const MEMBER_LINE = /^\s+(?:(\d+):(\d+):)?(\S+) ([^\s(]+)(\([^)]*\))?(?::(\d+)(?::(\d+))?)? -> (\S+)$/;
+const SOURCE_FILE_COMMENT = /^\s*#\s*(\{.*"id"\s*:\s*"sourceFile".*\})\s*$/;
+const FRAME = /^(.*?\bat )([\w$.]+)\.([\w$<>-]+)\(([^)]*)\)(.*)$/;
+const CLASS_TOKEN = /(?<![\w$.])([a-zA-Z_$][\w$]*(?:\.[a-zA-Z_$][\w$]*)+)(?![\w$(])/g;
+
+function parseMapping(text) {
+  const classes = new Map(); // obfuscated name -> class entry
+  const sourceFiles = new Map(); // original name -> source file
+  let current = null;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const comment = SOURCE_FILE_COMMENT.exec(line);
+    if (comment) {
+      try {
+        const { fileName } = JSON.parse(comment[1]);
+        if (current && fileName) {
+          current.sourceFile = fileName;
+          sourceFiles.set(current.original, fileName);
+        }
+      } catch (error) {
+        // Ignore malformed metadata; the default source file name is used instead
+      }
+      continue;
+    }
+    if (line.trimStart().startsWith('#')) continue;
+
+    const classMatch = CLASS_LINE.exec(line);
+    if (classMatch) {
+      current = { original: classMatch[1], obfuscated: classMatch[2], methods: new Map() };
+      classes.set(current.obfuscated, current);
+      continue;
+    }
+    const member = current && MEMBER_LINE.exec(line);
+    if (!member || !member[5]) continue; // fields are not needed for stack traces
+    const [, obfStart, obfEnd, returnType, originalName, args, origStart, origEnd, obfuscatedName] = member;
+    const entry = {
+      obfStart: obfStart !== undefined ? Number(obfStart) : null,
+      obfEnd: obfEnd !== undefined ? Number(obfEnd) : null,
+      origStart: origStart !== undefined ? Number(origStart) : null,
+      origEnd: origEnd !== undefined ? Number(origEnd) : null,
+      returnType,
+      originalName,
+      args
+    };
+    if (!current.methods.has(obfuscatedName)) current.methods.set(obfuscatedName, []);
+    current.methods.get(obfuscatedName).push(entry);
+  }
+  return { classes, sourceFiles };
+}
+
+async function loadMapping(mappingPath) {
+  const content = await fs.readFile(path.resolve(mappingPath));
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  let mapping = mappingCache.get(hash);
+  if (mapping) {
+    // Refresh LRU position
+    mappingCache.delete(hash);
+  } else {
+    mapping = parseMapping(content.toString('utf8'));
+  }
+  mappingCache.set(hash, mapping);
+  if (mappingCache.size > MAX_CACHED_MAPPINGS) {
+    mappingCache.delete(mappingCache.keys().next().value);
+  }
+  return mapping;
+}
+
+function originalLine(entry, line) {
+  if (entry.origStart === null) return line;
+  if (line === null || entry.obfStart === null) return entry.origStart;
+  // A range that keeps its length maps line by line; otherwise everything maps to its start
+  if (entry.origEnd !== null && entry.origEnd - entry.origStart === entry.obfEnd - entry.obfStart) {
+    return entry.origStart + (line - entry.obfStart);
+  }
+  return entry.origStart;
+}
+
+function defaultSourceFile(className) {
+  const simpleName = className.slice(className.lastIndexOf('.') + 1).split('$')[0];
+  return `${simpleName}.java`;
+}
+
+function toFrame(mapping, classEntry, entry, line) {
+  let className = classEntry.original;
+  let methodName = entry.originalName;
+  // Inlined methods from other classes are written fully qualified
+  const lastDot = methodName.lastIndexOf('.');
+  if (lastDot !== -1) {
+    className = methodName.slice(0, lastDot);
+    methodName = methodName.slice(lastDot + 1);
+  }
+  const sourceFile = mapping.sourceFiles.get(className) || defaultSourceFile(className);
+  const lineNumber = originalLine(entry, line);
+  return `${className}.${methodName}(${sourceFile}${lineNumber !== null ? `:${lineNumber}` : ''})`;
+}
+
+// Returns alternative frame chains (outermost list = ambiguity, inner list = inline chain)
+function retraceFrame(mapping, className, methodName, line) {
+  const classEntry = mapping.classes.get(className);
+  if (!classEntry) return null;
+  const entries = classEntry.methods.get(methodName);
+  if (!entries) {
+    // Kept (unrenamed) method: only the class needs mapping
+    return [[toFrame(mapping, classEntry, { originalName: methodName, origStart: null }, line)]];
+  }
+
+  if (line !== null) {
+    const inRange = entries.filter(entry => entry.obfStart !== null && entry.obfStart <= line && line <= entry.obfEnd);
+    if (inRange.length > 0) {
+      // Entries sharing the same obfuscated range form one inline chain, innermost first
+      const chains = new Map();
+      for (const entry of inRange) {
+        const key = `${entry.obfStart}:${entry.obfEnd}`;
+        if (!chains.has(key)) chains.set(key, []);
+        chains.get(key).push(toFrame(mapping, classEntry, entry, line));
+      }
+      return [...chains.values()];
+    }
+  }
+
+  // No usable line: every distinct original method is a candidate
+  const seen = new Set();
+  const alternatives = [];
+  for (const entry of entries) {
+    const frame = toFrame(mapping, classEntry, { ...entry, origStart: null }, null);
+    if (seen.has(frame)) continue;
+    seen.add(frame);
+    alternatives.push([frame]);
+  }
+  return alternatives;
+}
+
+function retraceClassNames(mapping, text) {
+  return text.replace(CLASS_TOKEN, token => {
+    const classEntry = mapping.classes.get(token);
+    return classEntry ? classEntry.original : token;
+  });
+}
+
+// Deobfuscates a stack trace, keeping any per-line prefix (e.g. a logcat threadtime header)
+function retraceText(mapping, text) {
+  const output = [];
+  for (const line of text.split('\n')) {
+    const frame = FRAME.exec(line);
+    if (!frame) {
+      output.push(retraceClassNames(mapping, line));
+      continue;
+    }
+    const [, prefix, className, methodName, location, suffix] = frame;
+    const lineMatch = /:(\d+)$/.exec(location);
+    const lineNumber = lineMatch ? Number(lineMatch[1]) : null;
+    const alternatives = retraceFrame(mapping, className, methodName, lineNumber);
+    if (!alternatives) {
+      output.push(line);
+      continue;
+    }
+    const indent = prefix.slice(0, prefix.length - 'at '.length);
+    alternatives.forEach((chain, index) => {
+      chain.forEach((retraced, depth) => {
+        const marker = index > 0 && depth === 0 ? '<OR> ' : '';
+        output.push(`${indent}${marker}at ${retraced}${depth === 0 ? suffix : ''}`);
+      });
+    });
+  }
+  return output.join('\n');
+}
+
+module.exports = {
+  parseMapping,
+  loadMapping,
+  retraceText
+};
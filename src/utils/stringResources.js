@@ -0,0 +1,206 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const COMMENT = /<!--[\s\S]*?-->/g;
+const CDATA = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+const MARKUP_TAG = /<\/?[\w:.-]+(?:\s[^<>]*)?\/?>/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const RESOURCE = /<(string-array|plurals|string)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+const ITEM = /<item\b([^>]*?)(?:\/>|>([\s\S]*?)<\/item\s*>)/g;
+const BAD_AMPERSAND = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/;
+// Java Formatter specifiers as aapt and String.format see them; the space flag is left out so "50 % off" is not a placeholder
+const PLACEHOLDER = /%(?:(\d+)\$)?[-#+0,(]*\d*(?:\.\d+)?([tT][a-zA-Z]|[a-zA-Z%])/g;
+const VALID_ESCAPES = new Set(['\\', "'", '"', 'n', 't', '@', '?', 'u']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function parseAttributes(raw) {
+  const attrs = {};
+  for (const [, key, doubleQuoted, singleQuoted] of raw.matchAll(ATTRIBUTE)) {
+    attrs[key] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+  }
+  return attrs;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (match, entity) => {
+    if (ENTITIES[entity]) return ENTITIES[entity];
+    return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+  });
+}
+
+// Text as aapt sees it before resolving backslash escapes: markup removed, entities and CDATA resolved
+function unwrapMarkup(raw) {
+  const sections = [];
+  const withoutCdata = raw.replace(CDATA, (match, content) => {
+    sections.push(content);
+    return `\u0000${sections.length - 1}\u0000`;
+  });
+  return decodeEntities(withoutCdata.replace(MARKUP_TAG, '')).replace(/\u0000(\d+)\u0000/g, (match, index) => sections[index]);
+}
+
+// Visible text: escapes resolved, unescaped quotes dropped, whitespace collapsed outside quotes
+function displayText(raw) {
+  const text = unwrapMarkup(raw).trim();
+  let result = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && i + 1 < text.length) {
+      const next = text[++i];
+      if (next === 'n') result += '\n';
+      else if (next === 't') result += '\t';
+      else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) {
+        result += String.fromCharCode(parseInt(text.slice(i + 1, i + 5), 16));
+        i += 4;
+      } else result += next;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (/\s/.test(char) && !quoted) {
+      if (!result.endsWith(' ')) result += ' ';
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+// Length in code points, so emoji and other astral characters count once
+function measureLength(text) {
+  return Array.from(text).length;
+}
+
+/**
+ * Problems aapt2 would reject or silently change in a raw string value.
+ * @returns {{ severity: string, message: string }[]}
+ */
+function findEscapeProblems(raw) {
+  const problems = [];
+  const outsideCdata = raw.replace(CDATA, '');
+  if (BAD_AMPERSAND.test(outsideCdata)) {
+    problems.push({ severity: 'error', message: 'Unescaped "&" (use &amp;)' });
+  }
+  if (outsideCdata.replace(MARKUP_TAG, '').includes('<')) {
+    problems.push({ severity: 'error', message: 'Unescaped "<" or unbalanced markup (use &lt;)' });
+  }
+
+  const text = unwrapMarkup(raw).trim();
+  if (/^[@?]/.test(text) && !/^[@?][\w.:+]*\/[\w.]+$/.test(text)) {
+    problems.push({ severity: 'error', message: `Leading "${text[0]}" is read as a resource reference (escape it as \\${text[0]})` });
+  }
+  const fullyQuoted = text.length >= 2 && text.startsWith('"') && text.endsWith('"');
+  let apostrophe = false;
+  let quote = false;
+  let badEscape = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      const next = text[i + 1];
+      if (next === undefined || !VALID_ESCAPES.has(next)) badEscape = badEscape || `\\${next || ''}`;
+      i++;
+    } else if (char === "'" && !fullyQuoted) {
+      apostrophe = true;
+    } else if (char === '"' && !(fullyQuoted && (i === 0 || i === text.length - 1))) {
+      quote = true;
+    }
+  }
+  if (apostrophe) problems.push({ severity: 'error', message: "Unescaped apostrophe (use \\' or wrap the string in double quotes)" });
+  if (quote) problems.push({ severity: 'warning', message: 'Unescaped double quote is dropped by aapt (use \\")' });
+  if (badEscape) problems.push({ severity: 'warning', message: `Unknown escape sequence ${badEscape}` });
+  return problems;
+}
+
+/**
+ * Format placeholders normalized to "position$conversion" (%s and %S count as the same).
+ * @returns {{ placeholders: string[], mixed: boolean }} mixed: positional and sequential specifiers together
+ */
+function extractPlaceholders(raw) {
+  const text = unwrapMarkup(raw);
+  const found = new Set();
+  let next = 1;
+  let positional = 0;
+  let sequential = 0;
+  for (const [, position, conversion] of text.matchAll(PLACEHOLDER)) {
+    if (conversion === '%' || conversion === 'n') continue;
+    if (position) positional++;
+    else sequential++;
+    found.add(`${position || next++}$${conversion.toLowerCase()}`);
+  }
+  return { placeholders: [...found].sort(), mixed: positional > 0 && sequential > 0 };
+}
+
+function parseResourcesXml(xml, file) {
+  const entries = [];
+  for (const [, type, rawAttrs, body = ''] of xml.replace(COMMENT, '').matchAll(RESOURCE)) {
+    const attrs = parseAttributes(rawAttrs);
+    if (!attrs.name) continue;
+    const entry = {
+      name: attrs.name,
+      type,
+      file,
+      translatable: attrs.translatable !== 'false',
+      ignoreMissing: /MissingTranslation/.test(attrs['tools:ignore'] || '')
+    };
+    if (type === 'string') {
+      entry.value = body;
+    } else {
+      entry.items = [...body.matchAll(ITEM)].map(([, itemAttrs, value = ''], index) => ({
+        key: type === 'plurals' ? parseAttributes(itemAttrs).quantity || `#${index}` : String(index),
+        value
+      }));
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// "values" -> '', "values-fr" -> 'fr', "values-pt-rBR" -> 'pt-rBR', "values-b+sr+Latn" -> 'b+sr+Latn'; null if not a pure locale folder
+function localeOfFolder(name) {
+  if (name === 'values') return '';
+  const qualifiers = name.slice('values-'.length).split('-');
+  if (qualifiers.length === 1 && /^b\+[a-zA-Z]/.test(qualifiers[0])) return qualifiers[0];
+  if (!/^[a-z]{2,3}$/.test(qualifiers[0])) return null;
+  if (qualifiers.length === 1) return qualifiers[0];
+  if (qualifiers.length === 2 && /^r([A-Z]{2}|\d{3})$/.test(qualifiers[1])) return qualifiers.join('-');
+  return null;
+}
+
+/**
+ * Read every values / values-<locale> folder under a res directory.
+ * @returns {Promise<{ locales: Map<string, Map<string, object>>, skippedFolders: string[] }>} locale '' is the default
+ */
+async function loadStringResources(resDir) {
+  const root = path.resolve(resDir);
+  const folders = (await fs.readdir(root, { withFileTypes: true }))
+    .filter(item => item.isDirectory() && (item.name === 'values' || item.name.startsWith('values-')))
+    .map(item => item.name)
+    .sort();
+  const locales = new Map();
+  const skippedFolders = [];
+  for (const folder of folders) {
+    const locale = localeOfFolder(folder);
+    if (locale === null) {
+      skippedFolders.push(folder);
+      continue;
+    }
+    const entries = locales.get(locale) || new Map();
+    const files = (await fs.readdir(path.join(root, folder))).filter(file => file.endsWith('.xml')).sort();
+    for (const file of files) {
+      const xml = await fs.readFile(path.join(root, folder, file), 'utf8');
+      if (!xml.includes('<resources')) continue;
+      parseResourcesXml(xml, path.join(folder, file)).forEach(entry => entries.set(entry.name, entry));
+    }
+    locales.set(locale, entries);
+  }
+  if (!locales.has('')) throw new Error(`No default values/ folder found in ${root}`);
+  return { locales, skippedFolders };
+}
+
+module.exports = {
+  displayText,
+  measureLength,
+  findEscapeProblems,
+  extractPlaceholders,
+  parseResourcesXml,
+  localeOfFolder,
+  loadStringResources
+};
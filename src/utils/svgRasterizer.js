@@ -0,0 +1,905 @@
+const svgpath = require('svgpath');
+const { parseSvg } = require('../../vendor/svg2vectordrawable/svgo-adapter');
+const { JS2XML } = require('../../vendor/svg2vectordrawable/svg-to-vectordrawable');
+
+// Small pure-JS SVG rasterizer covering the subset VectorDrawables can express:
+// paths and basic shapes, solid and gradient paints, strokes, transforms,
+// clip paths (masks are treated as clips) and opacity.
+
+const colorParser = new JS2XML();
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const SUBSAMPLES = 4;
+const MAX_PIXELS = 4096 * 4096;
+
+const inheritedProps = [
+  'fill',
+  'fill-opacity',
+  'fill-rule',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-linecap',
+  'stroke-linejoin',
+  'stroke-miterlimit',
+  'stroke-dasharray',
+  'stroke-dashoffset',
+  'clip-rule',
+  'visibility'
+];
+
+const defaultStyle = {
+  fill: '#000000',
+  'fill-opacity': '1',
+  'fill-rule': 'nonzero',
+  stroke: 'none',
+  'stroke-width': '1',
+  'stroke-opacity': '1',
+  'stroke-linecap': 'butt',
+  'stroke-linejoin': 'miter',
+  'stroke-miterlimit': '4',
+  'stroke-dasharray': 'none',
+  'stroke-dashoffset': '0',
+  'clip-rule': 'nonzero',
+  visibility: 'visible'
+};
+
+const ignoredElements = ['defs', 'clipPath', 'mask', 'linearGradient', 'radialGradient', 'style', 'title', 'desc', 'metadata', 'symbol'];
+
+// --- Matrices are [a, b, c, d, e, f] as in SVG matrix()
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+function transformPoint(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) return null;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+function matrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) || 1;
+}
+
+function parseTransform(value) {
+  let matrix = IDENTITY;
+  if (!value) return matrix;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(value))) {
+    const args = match[2]
+      .trim()
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(Number);
+    let next = IDENTITY;
+    switch (match[1]) {
+      case 'matrix':
+        if (args.length === 6) next = args;
+        break;
+      case 'translate':
+        next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        next = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = ((args[0] || 0) * Math.PI) / 180;
+        next = [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0];
+        if (args.length >= 3) {
+          next = multiply(multiply([1, 0, 0, 1, args[1], args[2]], next), [1, 0, 0, 1, -args[1], -args[2]]);
+        }
+        break;
+      }
+      case 'skewX':
+        next = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        next = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        break;
+    }
+    matrix = multiply(matrix, next);
+  }
+  return matrix;
+}
+
+// --- Geometry
+
+function parseLength(value, reference = 0) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (text.endsWith('%')) return (parseFloat(text) / 100) * reference;
+  const number = parseFloat(text);
+  return Number.isNaN(number) ? null : number;
+}
+
+function parseColor(value) {
+  if (!value || value === 'none' || value === 'transparent') return null;
+  const argb = colorParser.svgHexToAndroid(value === 'currentColor' ? '#000000' : value);
+  return [
+    parseInt(argb.substr(3, 2), 16) / 255,
+    parseInt(argb.substr(5, 2), 16) / 255,
+    parseInt(argb.substr(7, 2), 16) / 255,
+    parseInt(argb.substr(1, 2), 16) / 255
+  ];
+}
+
+function shapeToPathData(elem, viewport) {
+  const num = (name, reference) => parseLength(elem.hasAttr(name) ? elem.attr(name).value : null, reference) || 0;
+  switch (elem.name) {
+    case 'path':
+      return elem.hasAttr('d') ? elem.attr('d').value : '';
+    case 'rect': {
+      const x = num('x', viewport.width);
+      const y = num('y', viewport.height);
+      const width = num('width', viewport.width);
+      const height = num('height', viewport.height);
+      if (width <= 0 || height <= 0) return '';
+      let rx = elem.hasAttr('rx') ? num('rx', viewport.width) : null;
+      let ry = elem.hasAttr('ry') ? num('ry', viewport.height) : null;
+      if (rx === null) rx = ry || 0;
+      if (ry === null) ry = rx;
+      rx = Math.min(rx, width / 2);
+      ry = Math.min(ry, height / 2);
+      if (!rx || !ry) return `M${x} ${y}H${x + width}V${y + height}H${x}Z`;
+      return (
+        `M${x + rx} ${y}H${x + width - rx}A${rx} ${ry} 0 0 1 ${x + width} ${y + ry}` +
+        `V${y + height - ry}A${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height}` +
+        `H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + height - ry}` +
+        `V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`
+      );
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = num('cx', viewport.width);
+      const cy = num('cy', viewport.height);
+      const rx = elem.name === 'circle' ? num('r', viewport.width) : num('rx', viewport.width);
+      const ry = elem.name === 'circle' ? rx : num('ry', viewport.height);
+      if (rx <= 0 || ry <= 0) return '';
+      return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+    }
+    case 'line':
+      return `M${num('x1')} ${num('y1')}L${num('x2')} ${num('y2')}`;
+    case 'polyline':
+    case 'polygon': {
+      const points = (elem.hasAttr('points') ? elem.attr('points').value : '')
+        .trim()
+        .split(/[\s,]+/)
+        .map(Number);
+      if (points.length < 4) return '';
+      let d = `M${points[0]} ${points[1]}`;
+      for (let i = 2; i + 1 < points.length; i += 2) d += `L${points[i]} ${points[i + 1]}`;
+      return elem.name === 'polygon' ? `${d}Z` : d;
+    }
+    default:
+      return '';
+  }
+}
+
+// Flatten path data into polylines: [{ points: [[x, y]...], closed }]
+function flattenPath(d, scale) {
+  const subpaths = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+  const steps = length => Math.max(2, Math.min(100, Math.ceil((length * scale) / 3)));
+  const start = (px, py) => {
+    current = { points: [[px, py]], closed: false };
+    subpaths.push(current);
+  };
+  const lineTo = (px, py) => {
+    if (!current) start(x, y);
+    current.points.push([px, py]);
+  };
+
+  let segments;
+  try {
+    segments = svgpath(d).abs().unarc().unshort().segments;
+  } catch (error) {
+    return [];
+  }
+
+  for (const segment of segments) {
+    const [command, ...args] = segment;
+    switch (command) {
+      case 'M':
+        start(args[0], args[1]);
+        [x, y] = args;
+        break;
+      case 'L':
+        lineTo(args[0], args[1]);
+        [x, y] = args;
+        break;
+      case 'H':
+        lineTo(args[0], y);
+        x = args[0];
+        break;
+      case 'V':
+        lineTo(x, args[0]);
+        y = args[0];
+        break;
+      case 'C': {
+        const [x1, y1, x2, y2, x3, y3] = args;
+        const n = steps(Math.hypot(x1 - x, y1 - y) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x3 - x2, y3 - y2));
+        for (let i = 1; i <= n; i++) {
+          const t = i / n;
+          const mt = 1 - t;
+          lineTo(
+            mt * mt * mt * x + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * x3,
+            mt * mt * mt * y + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * y3
+          );
+        }
+        x = x3;
+        y = y3;
+        break;
+      }
+      case 'Q': {
+        const [x1, y1, x2, y2] = args;
+        const n = steps(Math.hypot(x1 - x, y1 - y) + Math.hypot(x2 - x1, y2 - y1));
+        for (let i = 1; i <= n; i++) {
+          const t = i / n;
+          const mt = 1 - t;
+          lineTo(mt * mt * x + 2 * mt * t * x1 + t * t * x2, mt * mt * y + 2 * mt * t * y1 + t * t * y2);
+        }
+        x = x2;
+        y = y2;
+        break;
+      }
+      case 'Z':
+      case 'z':
+        if (current) {
+          current.closed = true;
+          [x, y] = current.points[0];
+          current = null;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+  return subpaths.filter(subpath => subpath.points.length > 0);
+}
+
+function polylineLength(points, closed) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+  }
+  if (closed && points.length > 1) {
+    const last = points[points.length - 1];
+    length += Math.hypot(points[0][0] - last[0], points[0][1] - last[1]);
+  }
+  return length;
+}
+
+function applyDashes(subpaths, dashes, offset) {
+  const total = dashes.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return subpaths;
+  const result = [];
+  for (const subpath of subpaths) {
+    const points = subpath.closed ? [...subpath.points, subpath.points[0]] : subpath.points;
+    let index = 0;
+    let remaining = dashes[0];
+    let on = true;
+    let position = ((offset % total) + total) % total;
+    // Skip into the pattern by the dash offset
+    while (position > 0) {
+      if (position >= remaining) {
+        position -= remaining;
+        index = (index + 1) % dashes.length;
+        remaining = dashes[index];
+        on = !on;
+      } else {
+        remaining -= position;
+        position = 0;
+      }
+    }
+    let dash = on ? [points[0]] : null;
+    for (let i = 1; i < points.length; i++) {
+      let [x0, y0] = points[i - 1];
+      const [x1, y1] = points[i];
+      let segmentLength = Math.hypot(x1 - x0, y1 - y0);
+      while (segmentLength > remaining) {
+        const t = remaining / segmentLength;
+        const px = x0 + (x1 - x0) * t;
+        const py = y0 + (y1 - y0) * t;
+        if (on) {
+          dash.push([px, py]);
+          result.push({ points: dash, closed: false });
+          dash = null;
+        } else {
+          dash = [[px, py]];
+        }
+        on = !on;
+        segmentLength -= remaining;
+        x0 = px;
+        y0 = py;
+        index = (index + 1) % dashes.length;
+        remaining = dashes[index];
+      }
+      remaining -= segmentLength;
+      if (on) dash.push([x1, y1]);
+    }
+    if (on && dash && dash.length > 1) result.push({ points: dash, closed: false });
+  }
+  return result;
+}
+
+function circlePolygon(cx, cy, radius, scale) {
+  const n = Math.max(8, Math.min(64, Math.ceil(radius * scale * 2)));
+  const points = [];
+  for (let i = 0; i < n; i++) {
+    const angle = (i / n) * Math.PI * 2;
+    points.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+  }
+  return points;
+}
+
+// Outline a stroke as a union of quads, joins and caps (filled with nonzero).
+function strokeOutline(subpaths, style, scale) {
+  const halfWidth = style.width / 2;
+  const polygons = [];
+  for (const subpath of subpaths) {
+    const points = subpath.points.filter(
+      (point, i) => i === 0 || point[0] !== subpath.points[i - 1][0] || point[1] !== subpath.points[i - 1][1]
+    );
+    if (subpath.closed && points.length > 2) {
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (first[0] === last[0] && first[1] === last[1]) points.pop();
+    }
+    if (points.length < 2) {
+      if (points.length === 1 && style.linecap === 'round') {
+        polygons.push(circlePolygon(points[0][0], points[0][1], halfWidth, scale));
+      }
+      continue;
+    }
+
+    const closed = subpath.closed && points.length > 2;
+    const count = closed ? points.length : points.length - 1;
+    const normals = [];
+    for (let i = 0; i < count; i++) {
+      const [x0, y0] = points[i];
+      const [x1, y1] = points[(i + 1) % points.length];
+      const length = Math.hypot(x1 - x0, y1 - y0);
+      const dx = (x1 - x0) / length;
+      const dy = (y1 - y0) / length;
+      normals.push([-dy * halfWidth, dx * halfWidth, dx, dy]);
+      let sx0 = x0;
+      let sy0 = y0;
+      let sx1 = x1;
+      let sy1 = y1;
+      if (!closed && style.linecap === 'square') {
+        if (i === 0) {
+          sx0 -= dx * halfWidth;
+          sy0 -= dy * halfWidth;
+        }
+        if (i === count - 1) {
+          sx1 += dx * halfWidth;
+          sy1 += dy * halfWidth;
+        }
+      }
+      const [nx, ny] = normals[i];
+      polygons.push([
+        [sx0 + nx, sy0 + ny],
+        [sx1 + nx, sy1 + ny],
+        [sx1 - nx, sy1 - ny],
+        [sx0 - nx, sy0 - ny]
+      ]);
+    }
+
+    const joinAt = (point, prev, next) => {
+      const [px, py] = point;
+      if (style.linejoin === 'round') {
+        polygons.push(circlePolygon(px, py, halfWidth, scale));
+        return;
+      }
+      const cos = (prev[0] * next[0] + prev[1] * next[1]) / (halfWidth * halfWidth);
+      for (const sign of [1, -1]) {
+        const a = [px + sign * prev[0], py + sign * prev[1]];
+        const b = [px + sign * next[0], py + sign * next[1]];
+        const ratio = 1 / Math.sqrt(Math.max(1e-9, (1 + cos) / 2));
+        if (style.linejoin === 'miter' && ratio <= style.miterlimit) {
+          const mx = prev[0] + next[0];
+          const my = prev[1] + next[1];
+          const length = Math.hypot(mx, my) || 1;
+          const reach = halfWidth * ratio;
+          polygons.push([[px, py], a, [px + (sign * mx * reach) / length, py + (sign * my * reach) / length], b]);
+        } else {
+          polygons.push([[px, py], a, b]);
+        }
+      }
+    };
+    for (let i = 1; i < count; i++) joinAt(points[i], normals[i - 1], normals[i]);
+    if (closed) joinAt(points[0], normals[count - 1], normals[0]);
+
+    if (!closed && style.linecap === 'round') {
+      polygons.push(circlePolygon(points[0][0], points[0][1], halfWidth, scale));
+      const last = points[points.length - 1];
+      polygons.push(circlePolygon(last[0], last[1], halfWidth, scale));
+    }
+  }
+
+  // Orient every piece the same way so nonzero filling unions them
+  return polygons.map(polygon => (signedArea(polygon) < 0 ? polygon.reverse() : polygon));
+}
+
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % points.length];
+    area += x0 * y1 - x1 * y0;
+  }
+  return area / 2;
+}
+
+// --- Scanline coverage
+
+function rasterizePolygons(polygons, width, height, fillRule) {
+  const coverage = new Float32Array(width * height);
+  const edges = [];
+  for (const polygon of polygons) {
+    for (let i = 0; i < polygon.length; i++) {
+      const [x0, y0] = polygon[i];
+      const [x1, y1] = polygon[(i + 1) % polygon.length];
+      if (y0 === y1 || !Number.isFinite(x0 + y0 + x1 + y1)) continue;
+      const down = y1 > y0;
+      edges.push({
+        yMin: down ? y0 : y1,
+        yMax: down ? y1 : y0,
+        xAtMin: down ? x0 : x1,
+        slope: (x1 - x0) / (y1 - y0),
+        dir: down ? 1 : -1
+      });
+    }
+  }
+  if (edges.length === 0) return coverage;
+  edges.sort((a, b) => a.yMin - b.yMin);
+
+  const evenOdd = fillRule === 'evenodd';
+  const weight = 1 / SUBSAMPLES;
+  const row = new Float32Array(width + 1);
+  let active = [];
+  let nextEdge = 0;
+  const firstRow = Math.max(0, Math.floor(edges[0].yMin));
+  const lastRow = Math.min(height - 1, Math.ceil(Math.max(...edges.map(edge => edge.yMax))));
+
+  for (let py = firstRow; py <= lastRow; py++) {
+    row.fill(0);
+    let touched = false;
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = py + (s + 0.5) / SUBSAMPLES;
+      while (nextEdge < edges.length && edges[nextEdge].yMin <= sy) {
+        active.push(edges[nextEdge++]);
+      }
+      active = active.filter(edge => edge.yMax > sy);
+      const crossings = [];
+      for (const edge of active) {
+        if (edge.yMin <= sy) crossings.push([edge.xAtMin + (sy - edge.yMin) * edge.slope, edge.dir]);
+      }
+      if (crossings.length < 2) continue;
+      crossings.sort((a, b) => a[0] - b[0]);
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += crossings[i][1];
+        const inside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+        if (!inside) continue;
+        const xa = Math.max(0, crossings[i][0]);
+        const xb = Math.min(width, crossings[i + 1][0]);
+        if (xb <= xa) continue;
+        touched = true;
+        const ia = Math.floor(xa);
+        const ib = Math.floor(xb);
+        if (ia === ib) {
+          row[ia] += (xb - xa) * weight;
+        } else {
+          row[ia] += (ia + 1 - xa) * weight;
+          for (let x = ia + 1; x < ib; x++) row[x] += weight;
+          row[ib] += (xb - ib) * weight;
+        }
+      }
+    }
+    if (!touched) continue;
+    const offset = py * width;
+    for (let x = 0; x < width; x++) {
+      if (row[x] > 0) coverage[offset + x] = Math.min(1, row[x]);
+    }
+  }
+  return coverage;
+}
+
+// --- Paint
+
+function collectStops(gradient, ids) {
+  let source = gradient;
+  const seen = new Set();
+  while (source && !source.children.some(child => child.name === 'stop')) {
+    const href = source.hasAttr('xlink:href') ? source.attr('xlink:href').value : source.hasAttr('href') ? source.attr('href').value : null;
+    if (!href || seen.has(href)) break;
+    seen.add(href);
+    source = ids.get(href.replace(/^#/, ''));
+  }
+  if (!source) return [];
+  let lastOffset = 0;
+  return source.children
+    .filter(child => child.name === 'stop')
+    .map(stop => {
+      const style = readStyle(stop);
+      const rawOffset = style.offset !== undefined ? style.offset : '0';
+      let offset = String(rawOffset).endsWith('%') ? parseFloat(rawOffset) / 100 : parseFloat(rawOffset) || 0;
+      offset = Math.max(lastOffset, Math.min(1, offset));
+      lastOffset = offset;
+      const color = parseColor(style['stop-color'] || '#000000') || [0, 0, 0, 0];
+      const opacity = style['stop-opacity'] !== undefined ? parseFloat(style['stop-opacity']) : 1;
+      return { offset, color: [color[0], color[1], color[2], color[3] * opacity] };
+    });
+}
+
+function sampleStops(stops, t) {
+  if (t <= stops[0].offset) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    if (t <= stops[i].offset) {
+      const a = stops[i - 1];
+      const b = stops[i];
+      const span = b.offset - a.offset;
+      const k = span > 0 ? (t - a.offset) / span : 1;
+      return a.color.map((value, channel) => value + (b.color[channel] - value) * k);
+    }
+  }
+  return stops[stops.length - 1].color;
+}
+
+function spread(t, method) {
+  if (method === 'repeat') return t - Math.floor(t);
+  if (method === 'reflect') {
+    const period = ((t % 2) + 2) % 2;
+    return period > 1 ? 2 - period : period;
+  }
+  return Math.max(0, Math.min(1, t));
+}
+
+function makePaint(value, context, bbox, ctm) {
+  if (!value || value === 'none') return null;
+  const ref = /^url\(\s*['"]?#([^'")]+)['"]?\s*\)/.exec(value);
+  if (!ref) {
+    const color = parseColor(value);
+    return color ? () => color : null;
+  }
+  const gradient = context.ids.get(ref[1]);
+  if (!gradient || (gradient.name !== 'linearGradient' && gradient.name !== 'radialGradient')) {
+    context.warnings.add(`Unsupported paint server ${value}`);
+    return null;
+  }
+  const stops = collectStops(gradient, context.ids);
+  if (stops.length === 0) return null;
+  if (stops.length === 1) return () => stops[0].color;
+
+  const attr = name => (gradient.hasAttr(name) ? gradient.attr(name).value : undefined);
+  const userSpace = attr('gradientUnits') === 'userSpaceOnUse';
+  const { width: vw, height: vh } = context.viewport;
+  const diagonal = Math.sqrt((vw * vw + vh * vh) / 2);
+  const length = (name, fallback, reference) => {
+    const raw = attr(name) !== undefined ? attr(name) : fallback;
+    if (!userSpace) {
+      return String(raw).endsWith('%') ? parseFloat(raw) / 100 : parseFloat(raw);
+    }
+    return parseLength(raw, reference);
+  };
+
+  let gradientMatrix = parseTransform(attr('gradientTransform'));
+  if (!userSpace) {
+    gradientMatrix = multiply([bbox.width, 0, 0, bbox.height, bbox.x, bbox.y], gradientMatrix);
+  }
+  const inverse = invert(multiply(ctm, gradientMatrix));
+  if (!inverse) return () => stops[stops.length - 1].color;
+  const method = attr('spreadMethod') || 'pad';
+
+  if (gradient.name === 'linearGradient') {
+    const x1 = length('x1', '0%', vw);
+    const y1 = length('y1', '0%', vh);
+    const x2 = length('x2', '100%', vw);
+    const y2 = length('y2', '0%', vh);
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const denominator = dx * dx + dy * dy || 1;
+    return (px, py) => {
+      const [gx, gy] = transformPoint(inverse, px, py);
+      return sampleStops(stops, spread(((gx - x1) * dx + (gy - y1) * dy) / denominator, method));
+    };
+  }
+  const cx = length('cx', '50%', vw);
+  const cy = length('cy', '50%', vh);
+  const r = length('r', '50%', diagonal) || 1e-6;
+  return (px, py) => {
+    const [gx, gy] = transformPoint(inverse, px, py);
+    return sampleStops(stops, spread(Math.hypot(gx - cx, gy - cy) / r, method));
+  };
+}
+
+function compositeCoverage(canvas, coverage, paint, opacity, clip) {
+  const { width, data } = canvas;
+  for (let i = 0; i < coverage.length; i++) {
+    let alpha = coverage[i];
+    if (alpha <= 0) continue;
+    if (clip) alpha *= clip[i];
+    if (alpha <= 0) continue;
+    const x = i % width;
+    const y = (i - x) / width;
+    const color = paint(x + 0.5, y + 0.5);
+    const sourceAlpha = color[3] * alpha * opacity;
+    if (sourceAlpha <= 0) continue;
+    const offset = i * 4;
+    const keep = 1 - sourceAlpha;
+    data[offset] = color[0] * sourceAlpha + data[offset] * keep;
+    data[offset + 1] = color[1] * sourceAlpha + data[offset + 1] * keep;
+    data[offset + 2] = color[2] * sourceAlpha + data[offset + 2] * keep;
+    data[offset + 3] = sourceAlpha + data[offset + 3] * keep;
+  }
+}
+
+// --- Tree walk
+
+function readStyle(elem) {
+  const style = {};
+  elem.eachAttr(attr => {
+    style[attr.name] = attr.value;
+  });
+  if (elem.hasAttr('style')) {
+    for (const declaration of elem.attr('style').value.split(';')) {
+      const index = declaration.indexOf(':');
+      if (index > 0) {
+        style[declaration.slice(0, index).trim()] = declaration.slice(index + 1).trim();
+      }
+    }
+  }
+  return style;
+}
+
+function toDevicePolygons(subpaths, matrix) {
+  return subpaths.map(subpath => subpath.points.map(([x, y]) => transformPoint(matrix, x, y)));
+}
+
+function boundingBox(subpaths) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const subpath of subpaths) {
+    for (const [x, y] of subpath.points) {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+  }
+  if (minX === Infinity) return { x: 0, y: 0, width: 0, height: 0 };
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+function resolveClip(value, context, ctm, clip) {
+  const ref = value && /^url\(\s*['"]?#([^'")]+)['"]?\s*\)/.exec(value);
+  if (!ref) return clip;
+  const clipElem = context.ids.get(ref[1]);
+  if (!clipElem) return clip;
+  const { width, height } = context.canvas;
+  const clipMatrix = multiply(ctm, parseTransform(clipElem.hasAttr('transform') ? clipElem.attr('transform').value : ''));
+  const mask = new Float32Array(width * height);
+  const shapes = [];
+  clipElem._traverse(node => {
+    if (node !== clipElem && node.type === 'element' && node.name !== 'g') shapes.push(node);
+  });
+  for (const shape of shapes) {
+    const d = shapeToPathData(shape, context.viewport);
+    if (!d) continue;
+    const style = readStyle(shape);
+    const matrix = multiply(clipMatrix, parseTransform(style.transform));
+    const coverage = rasterizePolygons(
+      toDevicePolygons(flattenPath(d, matrixScale(matrix)), matrix),
+      width,
+      height,
+      style['clip-rule'] || style['fill-rule'] || 'nonzero'
+    );
+    for (let i = 0; i < mask.length; i++) mask[i] = Math.max(mask[i], coverage[i]);
+  }
+  if (clip) {
+    for (let i = 0; i < mask.length; i++) mask[i] *= clip[i];
+  }
+  return mask;
+}
+
+function drawShape(elem, style, state, context) {
+  const d = shapeToPathData(elem, context.viewport);
+  if (!d) return;
+  const { canvas } = context;
+  const scale = matrixScale(state.matrix);
+  const subpaths = flattenPath(d, scale);
+  if (subpaths.length === 0) return;
+  const bbox = boundingBox(subpaths);
+
+  const fill = makePaint(style.fill, context, bbox, state.matrix);
+  if (fill) {
+    const coverage = rasterizePolygons(
+      toDevicePolygons(subpaths, state.matrix),
+      canvas.width,
+      canvas.height,
+      style['fill-rule']
+    );
+    compositeCoverage(canvas, coverage, fill, state.opacity * (parseFloat(style['fill-opacity']) || 0), state.clip);
+  }
+
+  const strokeWidth = parseLength(style['stroke-width'], context.viewport.width);
+  const stroke = strokeWidth > 0 ? makePaint(style.stroke, context, bbox, state.matrix) : null;
+  if (stroke) {
+    let lines = subpaths;
+    if (style['stroke-dasharray'] && style['stroke-dasharray'] !== 'none') {
+      let dashes = style['stroke-dasharray']
+        .split(/[\s,]+/)
+        .map(Number)
+        .filter(value => Number.isFinite(value) && value >= 0);
+      if (dashes.length % 2 === 1) dashes = [...dashes, ...dashes];
+      let dashScale = 1;
+      if (elem.hasAttr('pathLength')) {
+        const total = subpaths.reduce((sum, subpath) => sum + polylineLength(subpath.points, subpath.closed), 0);
+        dashScale = total / (parseFloat(elem.attr('pathLength').value) || total || 1);
+      }
+      lines = applyDashes(
+        subpaths,
+        dashes.map(value => value * dashScale),
+        (parseFloat(style['stroke-dashoffset']) || 0) * dashScale
+      );
+    }
+    const outline = strokeOutline(
+      lines,
+      {
+        width: strokeWidth,
+        linecap: style['stroke-linecap'],
+        linejoin: style['stroke-linejoin'],
+        miterlimit: parseFloat(style['stroke-miterlimit']) || 4
+      },
+      scale
+    );
+    const coverage = rasterizePolygons(
+      outline.map(polygon => polygon.map(([x, y]) => transformPoint(state.matrix, x, y))),
+      canvas.width,
+      canvas.height,
+      'nonzero'
+    );
+    compositeCoverage(canvas, coverage, stroke, state.opacity * (parseFloat(style['stroke-opacity']) || 0), state.clip);
+  }
+}
+
+function renderNode(elem, inherited, state, context, depth = 0) {
+  if (elem.type !== 'element' || depth > 64) return;
+  if (ignoredElements.includes(elem.name)) return;
+  const own = readStyle(elem);
+  if (own.display === 'none') return;
+
+  const style = { ...inherited };
+  for (const prop of inheritedProps) {
+    if (own[prop] !== undefined && own[prop] !== 'inherit') style[prop] = own[prop];
+  }
+  const opacity = own.opacity !== undefined ? parseFloat(own.opacity) : 1;
+  let matrix = multiply(state.matrix, parseTransform(own.transform));
+  let clip = resolveClip(own['clip-path'], context, matrix, state.clip);
+  // Masks are approximated by their geometry, like the VectorDrawable converter does
+  clip = resolveClip(own.mask, context, matrix, clip);
+  const next = { matrix, opacity: state.opacity * (Number.isNaN(opacity) ? 1 : opacity), clip };
+
+  switch (elem.name) {
+    case 'svg':
+    case 'g':
+    case 'a':
+      for (const child of elem.children) renderNode(child, style, next, context, depth + 1);
+      break;
+    case 'use': {
+      const href = own['xlink:href'] || own.href;
+      const target = href && context.ids.get(href.replace(/^#/, ''));
+      if (!target) break;
+      next.matrix = multiply(
+        matrix,
+        [1, 0, 0, 1, parseLength(own.x, context.viewport.width) || 0, parseLength(own.y, context.viewport.height) || 0]
+      );
+      if (target.name === 'symbol') {
+        for (const child of target.children) renderNode(child, style, next, context, depth + 1);
+      } else {
+        renderNode(target, style, next, context, depth + 1);
+      }
+      break;
+    }
+    case 'path':
+    case 'rect':
+    case 'circle':
+    case 'ellipse':
+    case 'line':
+    case 'polyline':
+    case 'polygon':
+      if (style.visibility !== 'hidden') drawShape(elem, style, next, context);
+      break;
+    default:
+      context.warnings.add(`<${elem.name}> is not rendered`);
+  }
+}
+
+/**
+ * Rasterize SVG markup to RGBA pixels.
+ * @param {string} svgCode
+ * @param {{ scale?: number, width?: number, height?: number }} options
+ *   Output size is the SVG size times scale, unless width and height are given.
+ * @returns {{ width: number, height: number, pixels: Uint8ClampedArray, warnings: string[] }}
+ */
+function renderSvg(svgCode, options = {}) {
+  const root = parseSvg(svgCode).querySelector('svg');
+  if (!root) {
+    throw new Error('No <svg> root element found');
+  }
+  const rootStyle = readStyle(root);
+  const viewBox = (rootStyle.viewBox || '').trim().split(/[\s,]+/).map(Number);
+  const hasViewBox = viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0;
+  const intrinsicWidth = parseLength(rootStyle.width, hasViewBox ? viewBox[2] : 0) || (hasViewBox ? viewBox[2] : 24);
+  const intrinsicHeight = parseLength(rootStyle.height, hasViewBox ? viewBox[3] : 0) || (hasViewBox ? viewBox[3] : 24);
+  const scale = options.scale || 1;
+  const width = Math.max(1, Math.round(options.width || intrinsicWidth * scale));
+  const height = Math.max(1, Math.round(options.height || intrinsicHeight * scale));
+  // The canvas costs 20 bytes per pixel, so an oversized width/viewport would exhaust memory
+  if (!(width * height <= MAX_PIXELS)) {
+    throw new Error(
+      `Render size ${width}x${height} exceeds the ${MAX_PIXELS} pixel limit (4096x4096); ` +
+        'lower the scale/density or the drawable width and height'
+    );
+  }
+
+  const [vx, vy, vw, vh] = hasViewBox ? viewBox : [0, 0, intrinsicWidth, intrinsicHeight];
+  // preserveAspectRatio="xMidYMid meet"
+  const fit = Math.min(width / vw, height / vh);
+  const matrix = [fit, 0, 0, fit, (width - vw * fit) / 2 - vx * fit, (height - vh * fit) / 2 - vy * fit];
+
+  const ids = new Map();
+  root._traverse(node => {
+    if (node.type === 'element' && node.hasAttr('id')) ids.set(node.attr('id').value, node);
+  });
+  const context = {
+    ids,
+    viewport: { width: vw, height: vh },
+    canvas: { width, height, data: new Float32Array(width * height * 4) },
+    warnings: new Set()
+  };
+  const rootState = { matrix, opacity: 1, clip: null };
+  renderNode(root, defaultStyle, rootState, context);
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const { data } = context.canvas;
+  for (let i = 0; i < width * height; i++) {
+    const alpha = data[i * 4 + 3];
+    if (alpha <= 0) continue;
+    pixels[i * 4] = Math.round((data[i * 4] / alpha) * 255);
+    pixels[i * 4 + 1] = Math.round((data[i * 4 + 1] / alpha) * 255);
+    pixels[i * 4 + 2] = Math.round((data[i * 4 + 2] / alpha) * 255);
+    pixels[i * 4 + 3] = Math.round(alpha * 255);
+  }
+  return { width, height, pixels, warnings: [...context.warnings] };
+}
+
+module.exports = {
+  renderSvg
+};
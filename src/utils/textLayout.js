@@ -0,0 +1,130 @@
+const EMOJI_EM = 1.2;
+// Approximate advance widths in em (Roboto / Noto averages) used when no font file is given
+const SCRIPT_WIDTHS = [
+  { pattern: /[\p{M}\u200B-\u200F\u2060\uFE00-\uFE0F]/u, em: 0 },
+  { pattern: /\p{Extended_Pictographic}/u, em: EMOJI_EM },
+  { pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303F\uFF01-\uFF60\uFFE0-\uFFE6]/u, em: 1 },
+  { pattern: /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u, em: 0.6 },
+  { pattern: /[\p{Script=Devanagari}\p{Script=Bengali}\p{Script=Tamil}\p{Script=Telugu}\p{Script=Kannada}\p{Script=Malayalam}\p{Script=Gujarati}\p{Script=Gurmukhi}]/u, em: 0.65 },
+  { pattern: /[\p{Script=Arabic}\p{Script=Hebrew}]/u, em: 0.5 },
+  { pattern: /\s/u, em: 0.25 },
+  { pattern: /[iljIf.,:;!|'`]/u, em: 0.25 },
+  { pattern: /[mwMW]/u, em: 0.85 },
+  { pattern: /[\p{Lu}]/u, em: 0.66 },
+  { pattern: /[\p{Ll}\p{N}]/u, em: 0.54 },
+  { pattern: /[\p{P}\p{S}]/u, em: 0.4 }
+];
+const DEFAULT_EM = 0.6;
+// Scripts written without spaces may break between any two clusters
+const SPACELESS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}\u3000-\u303F\uFF01-\uFF60]/u;
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function tableAdvanceEm(char) {
+  const entry = SCRIPT_WIDTHS.find(item => item.pattern.test(char));
+  return entry ? entry.em : DEFAULT_EM;
+}
+
+function clusterAdvanceEm(cluster, font, stats) {
+  // Emoji ZWJ sequences render as a single glyph
+  if (/\p{Extended_Pictographic}/u.test(cluster) && !font) return EMOJI_EM;
+  let em = 0;
+  for (const char of cluster) {
+    const fromFont = font ? font.advanceEm(char.codePointAt(0)) : null;
+    if (fromFont === null && font && !/[\p{M}\u200B-\u200F\u2060\uFE00-\uFE0F]/u.test(char)) stats.fallbackGlyphs++;
+    em += fromFont !== null ? fromFont : tableAdvanceEm(char);
+  }
+  return em;
+}
+
+// Words for spaced scripts, single clusters for spaceless ones, whitespace runs and hard line breaks
+function tokenize(text, measure) {
+  const tokens = [];
+  let word = null;
+  const flush = () => {
+    if (word) tokens.push(word);
+    word = null;
+  };
+  for (const { segment } of graphemes.segment(text)) {
+    if (segment === '\n' || segment === '\r\n') {
+      flush();
+      tokens.push({ type: 'newline' });
+    } else if (/^\s+$/u.test(segment)) {
+      flush();
+      tokens.push({ type: 'space', width: measure(segment) });
+    } else if (SPACELESS.test(segment)) {
+      flush();
+      const width = measure(segment);
+      tokens.push({ type: 'word', width, clusters: [width] });
+    } else {
+      const width = measure(segment);
+      word = word || { type: 'word', width: 0, clusters: [] };
+      word.width += width;
+      word.clusters.push(width);
+    }
+  }
+  flush();
+  return tokens;
+}
+
+// Greedy line breaking; trailing spaces do not count towards the line width
+function breakLines(tokens, available) {
+  let widest = 0;
+  let lineWidth = 0;
+  let pendingSpace = 0;
+  let lines = 1;
+  const newLine = () => {
+    widest = Math.max(widest, lineWidth);
+    lines++;
+    lineWidth = 0;
+    pendingSpace = 0;
+  };
+  for (const token of tokens) {
+    if (token.type === 'newline') {
+      newLine();
+    } else if (token.type === 'space') {
+      pendingSpace += token.width;
+    } else if (available === undefined || lineWidth + pendingSpace + token.width <= available) {
+      lineWidth += (lineWidth > 0 ? pendingSpace : 0) + token.width;
+      pendingSpace = 0;
+    } else if (token.width <= available) {
+      newLine();
+      lineWidth = token.width;
+    } else {
+      // A word longer than the line is broken between clusters
+      if (lineWidth > 0) newLine();
+      for (const width of token.clusters) {
+        if (lineWidth > 0 && lineWidth + width > available) newLine();
+        lineWidth += width;
+      }
+    }
+  }
+  return { lines, widest: Math.max(widest, lineWidth) };
+}
+
+/**
+ * Estimate how text lays out in a TextView-like box.
+ * @param {string} text
+ * @param {{ textSizeSp: number, fontScale?: number, font?: object, availableWidthDp?: number, maxLines?: number }} options
+ * @returns {{ widthDp: number, lines?: number, wraps?: boolean, ellipsized?: boolean, fallbackGlyphs: number }}
+ *   widthDp is the unwrapped width of the longest hard line
+ */
+function layoutText(text, options) {
+  const stats = { fallbackGlyphs: 0 };
+  const sizeDp = options.textSizeSp * (options.fontScale || 1);
+  const tokens = tokenize(text, cluster => clusterAdvanceEm(cluster, options.font, stats) * sizeDp);
+  const result = { widthDp: Number(breakLines(tokens).widest.toFixed(1)), fallbackGlyphs: stats.fallbackGlyphs };
+  if (options.availableWidthDp !== undefined) {
+    const { lines, widest } = breakLines(tokens, options.availableWidthDp);
+    Object.assign(result, {
+      lines,
+      wraps: lines > 1,
+      ellipsized: lines > (options.maxLines || 1),
+      widestLineDp: Number(widest.toFixed(1))
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  layoutText
+};
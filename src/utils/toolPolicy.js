@@ -0,0 +1,141 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const z = require('zod/v4');
+const { runInArtifactScope } = require('./artifactStore');
+const { runInLogcatScope } = require('./logcatSession');
+
+// Tool params that name a local file or directory the tool reads or writes
+const PATH_PARAMS = [
+  'svgPath',
+  'xmlPath',
+  'outputPath',
+  'outputDir',
+  'baselinePath',
+  'diffOutputPath',
+  'flowPath',
+  'mappingPath',
+  'stackTracePath',
+  'fontPath',
+  'apkPaths',
+  'paths',
+  'resDir',
+  'source'
+];
+const GLOB_CHARS = /[*?[\]{}]/;
+
+function isToolEnabled(name, tools) {
+  if (tools.enabled && !tools.enabled.includes(name)) return false;
+  return !tools.disabled.includes(name);
+}
+
+// realpath of the deepest existing ancestor, so symlinks cannot escape a root for files not yet written
+function realResolve(target) {
+  const resolved = path.resolve(target);
+  let existing = resolved;
+  const rest = [];
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) break;
+    rest.unshift(path.basename(existing));
+    existing = parent;
+  }
+  try {
+    return path.join(fs.realpathSync(existing), ...rest);
+  } catch {
+    return resolved;
+  }
+}
+
+function isInside(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// For globs (batch source, lint paths) only the wildcard-free prefix is a real location
+function staticPrefix(value) {
+  const segments = value.split(/[\\/]/);
+  const index = segments.findIndex(segment => GLOB_CHARS.test(segment));
+  return index === -1 ? value : segments.slice(0, index).join(path.sep) || '.';
+}
+
+function collectPaths(params) {
+  const found = [];
+  for (const key of PATH_PARAMS) {
+    const value = params[key];
+    if (typeof value === 'string') {
+      found.push({ key, value: staticPrefix(value) });
+    } else if (Array.isArray(value)) {
+      value.forEach(item => found.push({ key, value: staticPrefix(item) }));
+    }
+  }
+  // drawableDir is relative to resDir, so check where it really lands
+  if (typeof params.resDir === 'string' && typeof params.drawableDir === 'string') {
+    found.push({ key: 'drawableDir', value: path.join(params.resDir, params.drawableDir) });
+  }
+  return found;
+}
+
+/**
+ * Throws when any path-like param resolves outside allowedRoots.
+ * A null roots list means no restriction.
+ */
+function assertPathsAllowed(params, roots) {
+  if (!roots || !params) return;
+  for (const { key, value } of collectPaths(params)) {
+    const resolved = realResolve(value);
+    if (!roots.some(root => isInside(resolved, root))) {
+      throw new Error(
+        `Path ${JSON.stringify(value)} (${key}) is outside the allowed roots: ${roots.join(', ')}. ` +
+          'Use a path under one of them or change allowedRoots in the server config.'
+      );
+    }
+  }
+}
+
+// Swaps the timeoutMs default for the configured one, clamped to the tool's own min/max
+function withTimeoutDefault(inputSchema, timeoutMs) {
+  const field = inputSchema && inputSchema.shape && inputSchema.shape.timeoutMs;
+  if (!(field instanceof z.ZodDefault)) return inputSchema;
+  const inner = field.unwrap();
+  const min = inner.minValue ?? -Infinity;
+  const max = inner.maxValue ?? Infinity;
+  const value = Math.min(max, Math.max(min, timeoutMs));
+  return inputSchema.safeExtend({ timeoutMs: inner.default(value) });
+}
+
+/**
+ * Wraps an McpServer so tool modules register through the config: disabled tools are
+ * skipped, timeoutMs defaults follow the configured timeouts and path params are
+ * checked against allowedRoots before the handler runs. Handlers run inside
+ * artifactScope and logcatScope, so the artifacts they record and the logcat sessions
+ * they start belong to this server's session.
+ * Everything else passes through.
+ */
+function applyToolPolicy(server, config, artifactScope, logcatScope) {
+  const roots = config.allowedRoots ? config.allowedRoots.map(realResolve) : null;
+
+  const registerTool = (name, toolConfig, handler) => {
+    if (!isToolEnabled(name, config.tools)) return null;
+    const timeoutMs = config.timeouts.tools[name] ?? config.timeouts.defaultMs;
+    const inputSchema = timeoutMs ? withTimeoutDefault(toolConfig.inputSchema, timeoutMs) : toolConfig.inputSchema;
+    return server.registerTool(name, { ...toolConfig, inputSchema }, async (params, extra) => {
+      assertPathsAllowed(params, roots);
+      return runInArtifactScope(artifactScope, () => runInLogcatScope(logcatScope, () => handler(params, extra)));
+    });
+  };
+
+  return new Proxy(server, {
+    get(target, property) {
+      if (property === 'registerTool') return registerTool;
+      const value = Reflect.get(target, property);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+module.exports = {
+  PATH_PARAMS,
+  isToolEnabled,
+  assertPathsAllowed,
+  applyToolPolicy
+};
@@ -0,0 +1,189 @@
+const { displayText, measureLength, findEscapeProblems, extractPlaceholders } = require('./stringResources');
+
+const TRANSLATION_RULES = [
+  'length-delta',
+  'missing-translation',
+  'extra-translation',
+  'placeholder-mismatch',
+  'broken-escape',
+  'translated-untranslatable',
+  'structure-mismatch'
+];
+const SEVERITY_RISK = { error: 100, warning: 10 };
+
+function localeLabel(locale) {
+  return locale || 'default';
+}
+
+// Growth is what breaks layouts, so longer translations rank above shorter ones; capped below errors
+function lengthRisk(percentChange) {
+  return percentChange > 0 ? Math.min(percentChange, 400) / 5 : Math.min(-percentChange, 100) / 10;
+}
+
+function valuePairs(source, translation) {
+  if (source.type === 'string') return [{ item: null, source: source.value, translation: translation.value }];
+  const sourceItems = new Map(source.items.map(item => [item.key, item.value]));
+  return translation.items.map(item => ({
+    item: item.key,
+    // Locales have different plural categories; compare extra quantities against "other"
+    source: sourceItems.has(item.key) ? sourceItems.get(item.key) : sourceItems.get('other'),
+    translation: item.value
+  }));
+}
+
+function allPlaceholders(entry) {
+  const values = entry.type === 'string' ? [entry.value] : entry.items.map(item => item.value);
+  return new Set(values.flatMap(value => extractPlaceholders(value).placeholders));
+}
+
+/**
+ * Compare every locale against the default values/ folder.
+ * @param {Map<string, Map<string, object>>} locales loadStringResources().locales
+ * @param {{ tolerancePercent: number, locales?: string[], rules?: string[] }} options
+ * @returns {object[]} issues with rule, severity, locale, key, item, message and risk
+ */
+function validateTranslations(locales, options) {
+  const rules = new Set(options.rules && options.rules.length > 0 ? options.rules : TRANSLATION_RULES);
+  const defaults = locales.get('');
+  const issues = [];
+  const report = (rule, severity, locale, entry, message, extra = {}) => {
+    if (!rules.has(rule)) return;
+    const { risk = 0, ...details } = extra;
+    issues.push({
+      rule,
+      severity,
+      locale: localeLabel(locale),
+      key: entry.name,
+      type: entry.type,
+      message,
+      ...details,
+      file: entry.file,
+      risk: Math.round(SEVERITY_RISK[severity] + risk)
+    });
+  };
+  const checkValue = (locale, entry, item, raw) => {
+    for (const problem of findEscapeProblems(raw)) {
+      report('broken-escape', problem.severity, locale, entry, problem.message, { item, value: raw });
+    }
+  };
+
+  for (const entry of defaults.values()) {
+    const values = entry.type === 'string' ? [{ key: null, value: entry.value }] : entry.items;
+    for (const { key, value } of values) {
+      checkValue('', entry, key, value);
+      if (extractPlaceholders(value).mixed) {
+        report('placeholder-mismatch', 'warning', '', entry, 'Mixes positional (%1$s) and sequential (%s) placeholders', {
+          item: key,
+          value
+        });
+      }
+    }
+  }
+
+  const targetLocales = [...locales.keys()].filter(
+    locale => locale !== '' && (!options.locales || options.locales.length === 0 || options.locales.includes(locale))
+  );
+  for (const locale of targetLocales) {
+    const translations = locales.get(locale);
+    for (const source of defaults.values()) {
+      if (source.translatable && !source.ignoreMissing && !translations.has(source.name)) {
+        report('missing-translation', 'warning', locale, source, 'No translation for this key');
+      }
+    }
+
+    for (const translation of translations.values()) {
+      const source = defaults.get(translation.name);
+      if (!source) {
+        report('extra-translation', 'error', locale, translation, 'Key does not exist in the default values/ folder');
+        continue;
+      }
+      if (!source.translatable) {
+        report('translated-untranslatable', 'warning', locale, translation, 'Key is translatable="false" in the default locale but translated here');
+      }
+      if (source.type !== translation.type) {
+        report('structure-mismatch', 'error', locale, translation, `Defined as <${translation.type}> here but <${source.type}> in the default locale`);
+        continue;
+      }
+      if (source.type === 'string-array' && source.items.length !== translation.items.length) {
+        report('structure-mismatch', 'error', locale, translation, `Has ${translation.items.length} items, default has ${source.items.length}`);
+      }
+      if (source.type === 'plurals' && !translation.items.some(item => item.key === 'other')) {
+        report('structure-mismatch', 'error', locale, translation, 'Missing the required quantity="other" item');
+      }
+
+      const sourcePlaceholders = source.type === 'plurals' ? allPlaceholders(source) : null;
+      for (const pair of valuePairs(source, translation)) {
+        checkValue(locale, translation, pair.item, pair.translation);
+        if (pair.source === undefined) continue;
+
+        const expected = extractPlaceholders(pair.source).placeholders;
+        const actual = extractPlaceholders(pair.translation).placeholders;
+        // Plural items such as "one" may legitimately drop the count, so only "other" must keep every placeholder
+        const missing = source.type === 'plurals' && pair.item !== 'other' ? [] : expected.filter(value => !actual.includes(value));
+        const extra = actual.filter(value => !(sourcePlaceholders ? sourcePlaceholders.has(value) : expected.includes(value)));
+        if (missing.length > 0 || extra.length > 0) {
+          const parts = [];
+          if (missing.length > 0) parts.push(`missing ${missing.map(value => `%${value}`).join(', ')}`);
+          if (extra.length > 0) parts.push(`unexpected ${extra.map(value => `%${value}`).join(', ')}`);
+          report('placeholder-mismatch', 'error', locale, translation, `Placeholders differ: ${parts.join('; ')}`, {
+            item: pair.item,
+            source: pair.source,
+            translation: pair.translation
+          });
+        }
+
+        const sourceLength = measureLength(displayText(pair.source));
+        const translatedLength = measureLength(displayText(pair.translation));
+        if (sourceLength === 0) continue;
+        const percentChange = ((translatedLength - sourceLength) / sourceLength) * 100;
+        if (Math.abs(percentChange) > options.tolerancePercent) {
+          report(
+            'length-delta',
+            'warning',
+            locale,
+            translation,
+            `${percentChange > 0 ? 'Longer' : 'Shorter'} by ${Math.abs(percentChange).toFixed(0)}% (tolerance ±${options.tolerancePercent}%)`,
+            {
+              item: pair.item,
+              sourceLength,
+              translatedLength,
+              percentChange: Number(percentChange.toFixed(1)),
+              source: displayText(pair.source),
+              translation: displayText(pair.translation),
+              risk: lengthRisk(percentChange)
+            }
+          );
+        }
+      }
+    }
+  }
+  return issues;
+}
+
+const SORTERS = {
+  risk: (a, b) => b.risk - a.risk || a.key.localeCompare(b.key) || a.locale.localeCompare(b.locale),
+  key: (a, b) => a.key.localeCompare(b.key) || a.locale.localeCompare(b.locale) || b.risk - a.risk,
+  locale: (a, b) => a.locale.localeCompare(b.locale) || b.risk - a.risk || a.key.localeCompare(b.key)
+};
+
+function sortIssues(issues, sortBy) {
+  return [...issues].sort(SORTERS[sortBy]);
+}
+
+function summarizeIssues(issues) {
+  const summary = { errors: 0, warnings: 0, byRule: {}, byLocale: {} };
+  for (const item of issues) {
+    summary[item.severity === 'error' ? 'errors' : 'warnings']++;
+    summary.byRule[item.rule] = (summary.byRule[item.rule] || 0) + 1;
+    const locale = (summary.byLocale[item.locale] = summary.byLocale[item.locale] || { errors: 0, warnings: 0 });
+    locale[item.severity === 'error' ? 'errors' : 'warnings']++;
+  }
+  return summary;
+}
+
+module.exports = {
+  TRANSLATION_RULES,
+  validateTranslations,
+  sortIssues,
+  summarizeIssues
+};
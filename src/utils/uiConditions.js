@@ -0,0 +1,214 @@
+const z = require('zod/v4');
+const {
+  selectorSchema,
+  findElements,
+  selectorError,
+  describeElement,
+  dumpUiXml,
+  dumpUiHierarchy,
+  parseUiHierarchy
+} = require('./uiHierarchy');
+const { getWindowFocus, activityMatches } = require('./windowFocus');
+
+const WAIT_CONDITIONS = ['appears', 'disappears', 'textChanges', 'activity', 'idle'];
+const MIN_POLL_TIMEOUT_MS = 1000;
+const ASSERTABLE_ATTRIBUTES = ['text', 'contentDesc', 'resourceId', 'className', 'enabled', 'checked', 'selected', 'focused', 'clickable'];
+
+const waitConditionShape = {
+  condition: z
+    .enum(WAIT_CONDITIONS)
+    .describe('appears/disappears: selector matches or not; textChanges: matched text differs from its first value (or equals text); activity: focus is activity; idle: two consecutive dumps are identical'),
+  selector: selectorSchema.optional().describe('Element for appears/disappears/textChanges'),
+  text: z.string().describe('For textChanges: wait until the text equals this instead of any change').optional(),
+  activity: z
+    .string()
+    .min(1)
+    .describe('For activity: "MainActivity", "com.app.MainActivity" or "com.app/.MainActivity"')
+    .optional(),
+  timeoutMs: z.number().int().min(500).max(120000).default(10000).describe('Give up after this long'),
+  intervalMs: z.number().int().min(100).max(10000).default(500).describe('Delay between polls')
+};
+
+const expectationSchema = z.object({
+  exists: z.boolean().describe('false asserts that nothing matches').optional(),
+  count: z.number().int().min(0).describe('Exact number of matches').optional(),
+  text: z.string().optional(),
+  textMatches: z.string().min(1).describe('Regex the text must match').optional(),
+  contentDesc: z.string().optional(),
+  resourceId: z.string().optional(),
+  className: z.string().optional(),
+  enabled: z.boolean().optional(),
+  checked: z.boolean().optional(),
+  selected: z.boolean().optional(),
+  focused: z.boolean().optional(),
+  clickable: z.boolean().optional()
+});
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function firstText(matches) {
+  return matches.length > 0 ? matches[0].text : null;
+}
+
+// One observation of the device for the given condition; { satisfied, state }
+async function observe(condition, context) {
+  const { options, adbTimeoutMs, serial } = context;
+  if (condition === 'activity') {
+    const focus = await getWindowFocus(adbTimeoutMs, serial);
+    return {
+      satisfied: activityMatches(focus, options.activity),
+      state: { focus: focus.window || focus.app }
+    };
+  }
+
+  const xml = await dumpUiXml(adbTimeoutMs, serial);
+  if (condition === 'idle') {
+    // uiautomator output carries no timestamps, so identical XML means an unchanged screen
+    const satisfied = context.previousXml !== undefined && context.previousXml === xml;
+    context.previousXml = xml;
+    return { satisfied, state: { unchangedDumps: satisfied ? 2 : 1 } };
+  }
+
+  const matches = findElements(parseUiHierarchy(xml), options.selector);
+  const state = { count: matches.length, elements: matches.slice(0, 5).map(describeElement) };
+  if (condition === 'appears') return { satisfied: matches.length > 0, state };
+  if (condition === 'disappears') return { satisfied: matches.length === 0, state };
+
+  // textChanges
+  const text = firstText(matches);
+  state.text = text;
+  if (options.text !== undefined) return { satisfied: text === options.text, state };
+  if (context.initialText === undefined) {
+    context.initialText = text;
+    return { satisfied: false, state };
+  }
+  state.initialText = context.initialText;
+  return { satisfied: text !== context.initialText, state };
+}
+
+async function waitForCondition(options, serial) {
+  const { condition } = options;
+  if (['appears', 'disappears', 'textChanges'].includes(condition) && !options.selector) {
+    throw new Error(`condition=${condition} requires a selector`);
+  }
+  if (condition === 'activity' && !options.activity) {
+    throw new Error('condition=activity requires activity');
+  }
+
+  // A bad regex can never match, so report it rather than polling until the timeout
+  const invalid = options.selector ? selectorError(options.selector) : null;
+  if (invalid) {
+    return { condition, satisfied: false, elapsedMs: 0, polls: 0, error: invalid };
+  }
+
+  const startedAt = Date.now();
+  const maxAdbTimeoutMs = Math.min(Math.max(options.timeoutMs, 5000), 20000);
+  const context = { options, serial };
+  let polls = 0;
+  let last = null;
+  let lastError;
+  for (;;) {
+    polls++;
+    // A single poll never runs past the overall timeout
+    const remainingMs = options.timeoutMs - (Date.now() - startedAt);
+    context.adbTimeoutMs = Math.max(MIN_POLL_TIMEOUT_MS, Math.min(maxAdbTimeoutMs, remainingMs));
+    let observation = null;
+    try {
+      observation = await observe(condition, context);
+      last = observation;
+      lastError = undefined;
+    } catch (error) {
+      // A dump fails transiently mid-animation ("could not get idle state"); the next poll may succeed
+      lastError = error.message;
+    }
+    const satisfied = Boolean(observation && observation.satisfied);
+    const elapsedMs = Date.now() - startedAt;
+    if (satisfied || elapsedMs + options.intervalMs > options.timeoutMs) {
+      const result = { condition, satisfied, elapsedMs, polls, state: last ? last.state : undefined };
+      if (lastError) result.lastError = lastError;
+      return result;
+    }
+    await sleep(options.intervalMs);
+  }
+}
+
+function check(attribute, expected, actual, passed = expected === actual) {
+  return { attribute, expected, actual, passed };
+}
+
+// An invalid pattern fails its own check instead of the whole assertion
+function regexCheck(attribute, pattern, actual) {
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch (error) {
+    return check(attribute, pattern, `invalid regex: ${error.message}`, false);
+  }
+  return check(attribute, pattern, actual, regex.test(actual));
+}
+
+function assertElements(nodes, selector, expect, nth) {
+  const invalid = selectorError(selector);
+  if (invalid) {
+    const failed = check('selector', 'a valid selector', invalid, false);
+    return { passed: false, matchCount: 0, element: null, checks: [failed], mismatches: [failed] };
+  }
+  const matches = findElements(nodes, selector);
+  const checks = [];
+  if (expect.exists !== undefined) checks.push(check('exists', expect.exists, matches.length > 0));
+  if (expect.count !== undefined) checks.push(check('count', expect.count, matches.length));
+
+  const attributeKeys = ASSERTABLE_ATTRIBUTES.filter(key => expect[key] !== undefined);
+  if (attributeKeys.length > 0 || expect.textMatches !== undefined) {
+    const element = matches[nth !== undefined ? nth : 0];
+    if (!element) {
+      checks.push(check('match', nth !== undefined ? `element #${nth}` : 'an element', `${matches.length} match(es)`, false));
+    } else if (nth === undefined && matches.length > 1) {
+      checks.push(check('match', 'exactly one element (or pass nth)', `${matches.length} matches`, false));
+    } else {
+      attributeKeys.forEach(key => checks.push(check(key, expect[key], element[key])));
+      if (expect.textMatches !== undefined) {
+        checks.push(regexCheck('textMatches', expect.textMatches, element.text));
+      }
+    }
+  }
+  if (checks.length === 0) checks.push(check('exists', true, matches.length > 0));
+
+  const mismatches = checks.filter(item => !item.passed);
+  return {
+    passed: mismatches.length === 0,
+    matchCount: matches.length,
+    element: matches.length > 0 ? describeElement(matches[nth !== undefined ? Math.min(nth, matches.length - 1) : 0]) : null,
+    checks,
+    mismatches
+  };
+}
+
+// Element and/or focused-activity assertions combined into one pass/fail result
+async function assertUiState({ selector, expect = {}, nth, activity }, timeoutMs, serial) {
+  let result = { passed: true, checks: [], mismatches: [] };
+  if (selector) {
+    // No dump needed when the selector itself is invalid; assertElements reports it
+    const nodes = selectorError(selector) ? [] : await dumpUiHierarchy(timeoutMs, serial);
+    result = assertElements(nodes, selector, expect, nth);
+  }
+  if (activity) {
+    const focus = await getWindowFocus(timeoutMs, serial);
+    const current = focus.window || focus.app;
+    const activityCheck = check('activity', activity, current ? current.component : null, activityMatches(focus, activity));
+    result.checks.push(activityCheck);
+    if (!activityCheck.passed) result.mismatches.push(activityCheck);
+    result.passed = result.mismatches.length === 0;
+  }
+  return result;
+}
+
+module.exports = {
+  waitConditionShape,
+  expectationSchema,
+  waitForCondition,
+  assertElements,
+  assertUiState
+};
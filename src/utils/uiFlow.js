@@ -0,0 +1,275 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const z = require('zod/v4');
+const { runAdbCommand, runAdbCommandBinary } = require('./adb');
+const { selectorSchema, dumpUiXml } = require('./uiHierarchy');
+const { injectInput, locateElement } = require('./deviceInput');
+const { waitConditionShape, expectationSchema, waitForCondition, assertUiState } = require('./uiConditions');
+const { parseYaml } = require('./yamlLite');
+const { packageNameSchema, shellQuote } = require('./appManager');
+
+const ADB_TIMEOUT_MS = 15000;
+const point = z.tuple([z.number(), z.number()]);
+
+const stepSchemas = {
+  tap: z.union([
+    z.object({ selector: selectorSchema, nth: z.number().int().min(0).optional() }),
+    z.object({ x: z.number(), y: z.number() })
+  ]),
+  type: z.union([
+    z.string(),
+    z.object({ text: z.string(), selector: selectorSchema.optional(), nth: z.number().int().min(0).optional() })
+  ]),
+  swipe: z.object({ from: point, to: point, durationMs: z.number().int().min(0).default(300) }),
+  key: z.union([z.string().min(1), z.number().int()]),
+  wait: z.union([z.number().int().min(0).max(120000), z.object(waitConditionShape)]),
+  assert: z
+    .object({
+      selector: selectorSchema.optional(),
+      expect: expectationSchema.default({}),
+      nth: z.number().int().min(0).optional(),
+      activity: z.string().min(1).optional()
+    })
+    .refine(data => data.selector || data.activity, { message: 'assert needs selector and/or activity' }),
+  screenshot: z.union([z.string().min(1), z.literal(true)]),
+  dumpUi: z.union([z.string().min(1), z.literal(true)]),
+  logcat: z
+    .object({
+      packageName: packageNameSchema.optional(),
+      priority: z.enum(['V', 'D', 'I', 'W', 'E', 'F']).default('V'),
+      maxLines: z.number().int().min(1).max(5000).default(500),
+      clear: z.boolean().default(false)
+    })
+    // prefault: the {} is parsed, so a bare "- logcat:" still gets the inner defaults
+    .prefault({})
+};
+const STEP_OPTIONS = ['name', 'continueOnFailure'];
+
+const flowSchema = z.object({
+  name: z.string().min(1).default('flow'),
+  continueOnFailure: z.boolean().default(false),
+  capture: z.enum(['every-step', 'on-failure', 'none']).default('every-step'),
+  steps: z.array(z.record(z.string(), z.unknown())).min(1)
+});
+
+function parseFlowSource(source) {
+  const trimmed = source.trim();
+  if (trimmed.startsWith('{')) return JSON.parse(trimmed);
+  return parseYaml(source);
+}
+
+function formatZodError(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+}
+
+// Validates every step up front so a typo fails before anything runs on the device
+function compileFlow(raw) {
+  const parsedFlow = flowSchema.safeParse(raw);
+  if (!parsedFlow.success) throw new Error(`Invalid flow: ${formatZodError(parsedFlow.error)}`);
+  const flow = parsedFlow.data;
+  const steps = flow.steps.map((step, index) => {
+    const actions = Object.keys(step).filter(key => !STEP_OPTIONS.includes(key));
+    if (actions.length !== 1 || !stepSchemas[actions[0]]) {
+      throw new Error(
+        `Step ${index + 1}: expected exactly one of ${Object.keys(stepSchemas).join(', ')} (got ${actions.join(', ') || 'none'})`
+      );
+    }
+    const action = actions[0];
+    const parsed = stepSchemas[action].safeParse(step[action] === null ? undefined : step[action]);
+    if (!parsed.success) throw new Error(`Step ${index + 1} (${action}): ${formatZodError(parsed.error)}`);
+    return {
+      index: index + 1,
+      action,
+      config: parsed.data,
+      name: typeof step.name === 'string' ? step.name : undefined,
+      continueOnFailure: typeof step.continueOnFailure === 'boolean' ? step.continueOnFailure : undefined
+    };
+  });
+  return { ...flow, steps };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function keycode(key) {
+  if (typeof key === 'number' || /^\d+$/.test(key)) return String(key);
+  const upper = key.toUpperCase();
+  return upper.startsWith('KEYCODE_') ? upper : `KEYCODE_${upper}`;
+}
+
+// Step-numbered file name inside the run directory; path separators never survive
+function artifactName(step, label) {
+  return `${String(step.index).padStart(2, '0')}-${label.replace(/[^\w.-]+/g, '_')}`;
+}
+
+function artifactBase(step) {
+  return artifactName(step, step.name || step.action);
+}
+
+async function saveScreenshot(runDir, fileName, serial) {
+  const png = await runAdbCommandBinary(['exec-out', 'screencap', '-p'], ADB_TIMEOUT_MS, { serial });
+  const filePath = path.join(runDir, fileName);
+  await fs.writeFile(filePath, png);
+  return filePath;
+}
+
+async function saveUiDump(runDir, fileName, serial) {
+  const filePath = path.join(runDir, fileName);
+  await fs.writeFile(filePath, await dumpUiXml(ADB_TIMEOUT_MS, serial), 'utf8');
+  return filePath;
+}
+
+async function tapElement(selector, nth, serial) {
+  const element = await locateElement(selector, nth, ADB_TIMEOUT_MS, serial);
+  await injectInput('tap', [element.center.x, element.center.y], ADB_TIMEOUT_MS, serial);
+  return { x: element.center.x, y: element.center.y };
+}
+
+// Runs one step; returns details for the report or throws with the failure reason
+async function executeStep(step, runDir, serial) {
+  const { action, config } = step;
+  switch (action) {
+    case 'tap':
+      if (config.selector) return { tapped: await tapElement(config.selector, config.nth, serial) };
+      await injectInput('tap', [config.x, config.y], ADB_TIMEOUT_MS, serial);
+      return { tapped: { x: config.x, y: config.y } };
+    case 'type': {
+      const options = typeof config === 'string' ? { text: config } : config;
+      const details = {};
+      if (options.selector) details.tapped = await tapElement(options.selector, options.nth, serial);
+      await injectInput('text', [options.text], ADB_TIMEOUT_MS, serial);
+      return details;
+    }
+    case 'swipe':
+      await injectInput('swipe', [...config.from, ...config.to, config.durationMs], ADB_TIMEOUT_MS, serial);
+      return {};
+    case 'key':
+      await injectInput('keyevent', [keycode(config)], ADB_TIMEOUT_MS, serial);
+      return { keycode: keycode(config) };
+    case 'wait': {
+      if (typeof config === 'number') {
+        await sleep(config);
+        return { sleptMs: config };
+      }
+      const result = await waitForCondition(config, serial);
+      if (!result.satisfied) {
+        const reason =
+          result.error ||
+          `not satisfied after ${result.elapsedMs}ms${result.lastError ? ` (last poll failed: ${result.lastError})` : ''}`;
+        const error = new Error(`wait ${config.condition} ${reason}`);
+        error.details = result;
+        throw error;
+      }
+      return result;
+    }
+    case 'assert': {
+      const result = await assertUiState(config, ADB_TIMEOUT_MS, serial);
+      if (!result.passed) {
+        const summary = result.mismatches
+          .map(item => `${item.attribute}: expected ${JSON.stringify(item.expected)}, got ${JSON.stringify(item.actual)}`)
+          .join('; ');
+        const error = new Error(`assert failed: ${summary}`);
+        error.details = result;
+        throw error;
+      }
+      return { checks: result.checks.length };
+    }
+    case 'screenshot': {
+      const name = config === true ? artifactBase(step) : artifactName(step, config);
+      return { artifact: await saveScreenshot(runDir, `${name.replace(/\.png$/, '')}.png`, serial) };
+    }
+    case 'dumpUi': {
+      const name = config === true ? artifactBase(step) : artifactName(step, config);
+      return { artifact: await saveUiDump(runDir, `${name.replace(/\.xml$/, '')}.xml`, serial) };
+    }
+    case 'logcat': {
+      const args = ['logcat', '-d', '-v', 'threadtime', '-t', String(config.maxLines), `*:${config.priority}`];
+      if (config.packageName) {
+        const pid = (await runAdbCommand(['shell', 'pidof', '-s', shellQuote(config.packageName)], ADB_TIMEOUT_MS, { serial }).catch(() => '')).trim();
+        if (pid) args.push(`--pid=${pid}`);
+      }
+      const filePath = path.join(runDir, `${artifactBase(step)}.txt`);
+      await fs.writeFile(filePath, await runAdbCommand(args, ADB_TIMEOUT_MS, { serial }), 'utf8');
+      if (config.clear) await runAdbCommand(['logcat', '-c'], ADB_TIMEOUT_MS, { serial });
+      return { artifact: filePath };
+    }
+    default:
+      throw new Error(`Unknown step action: ${action}`);
+  }
+}
+
+async function captureStepArtifacts(step, runDir, serial) {
+  const artifacts = {};
+  const base = artifactBase(step);
+  try {
+    artifacts.screenshot = await saveScreenshot(runDir, `${base}.png`, serial);
+  } catch (error) {
+    artifacts.screenshotError = error.message;
+  }
+  try {
+    artifacts.uiDump = await saveUiDump(runDir, `${base}.xml`, serial);
+  } catch (error) {
+    artifacts.uiDumpError = error.message;
+  }
+  return artifacts;
+}
+
+async function runFlow(flow, options) {
+  const { outputDir, serial, source } = options;
+  const continueOnFailure = options.continueOnFailure ?? flow.continueOnFailure;
+  const capture = options.capture ?? flow.capture;
+  const startedAt = new Date();
+  const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+  const runDir = path.join(path.resolve(outputDir), `${flow.name.replace(/[^\w.-]+/g, '_')}-${stamp}`);
+  await fs.mkdir(runDir, { recursive: true });
+
+  const results = [];
+  let stopped = false;
+  for (const step of flow.steps) {
+    const result = { index: step.index, action: step.action };
+    if (step.name) result.name = step.name;
+    if (stopped) {
+      results.push({ ...result, status: 'skipped' });
+      continue;
+    }
+    const stepStart = Date.now();
+    try {
+      result.details = await executeStep(step, runDir, serial);
+      result.status = 'passed';
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+      if (error.details) result.details = error.details;
+    }
+    result.durationMs = Date.now() - stepStart;
+    if (capture === 'every-step' || (capture === 'on-failure' && result.status === 'failed')) {
+      result.artifacts = await captureStepArtifacts(step, runDir, serial);
+    }
+    results.push(result);
+    if (result.status === 'failed' && !(step.continueOnFailure ?? continueOnFailure)) {
+      stopped = true;
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  const report = {
+    flow: flow.name,
+    source: source || 'inline',
+    serial: serial || null,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    passed: count('failed') === 0,
+    summary: { passed: count('passed'), failed: count('failed'), skipped: count('skipped') },
+    runDir,
+    steps: results
+  };
+  await fs.writeFile(path.join(runDir, 'report.json'), JSON.stringify(report, null, 2), 'utf8');
+  return report;
+}
+
+module.exports = {
+  parseFlowSource,
+  compileFlow,
+  runFlow
+};
@@ -0,0 +1,358 @@
+const z = require('zod/v4');
+const { runAdbCommand, deviceTempPath } = require('./adb');
+
+const TAG = /<(\/?)([\w:-]+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>/g;
+const ATTRIBUTE = /([\w:-]+)="([^"]*)"/g;
+const DUMP_ATTEMPTS = 2;
+const DUMP_RETRY_DELAY_MS = 300;
+const BOOLEAN_ATTRS = {
+  checkable: 'checkable',
+  checked: 'checked',
+  clickable: 'clickable',
+  enabled: 'enabled',
+  focusable: 'focusable',
+  focused: 'focused',
+  scrollable: 'scrollable',
+  'long-clickable': 'longClickable',
+  password: 'password',
+  selected: 'selected'
+};
+
+const baseSelectorShape = {
+  resourceId: z.string().min(1).describe('resource-id, full ("com.app:id/login") or short ("login")').optional(),
+  text: z.string().describe('Exact text').optional(),
+  textContains: z.string().min(1).describe('Text contains (case-insensitive)').optional(),
+  textMatches: z.string().min(1).describe('Text matches regex').optional(),
+  contentDesc: z.string().describe('Exact content-desc').optional(),
+  contentDescContains: z.string().min(1).describe('content-desc contains (case-insensitive)').optional(),
+  contentDescMatches: z.string().min(1).describe('content-desc matches regex').optional(),
+  className: z.string().min(1).describe('Class, full ("android.widget.Button") or simple ("Button")').optional(),
+  packageName: z.string().min(1).describe('Owning package').optional(),
+  clickable: z.boolean().optional(),
+  enabled: z.boolean().optional(),
+  checked: z.boolean().optional(),
+  selected: z.boolean().optional(),
+  focused: z.boolean().optional(),
+  scrollable: z.boolean().optional(),
+  index: z.number().int().min(0).describe('Position among siblings (uiautomator index attribute)').optional()
+};
+
+const relationSelectorSchema = z.object(baseSelectorShape);
+
+const selectorSchema = z
+  .object({
+    ...baseSelectorShape,
+    ancestor: relationSelectorSchema.describe('Element must be inside an element matching this selector').optional(),
+    descendant: relationSelectorSchema.describe('Element must contain an element matching this selector').optional()
+  })
+  .describe('All given fields must match');
+
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function parseBounds(value) {
+  const match = /\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]/.exec(value || '');
+  if (!match) return null;
+  const [left, top, right, bottom] = match.slice(1).map(Number);
+  return { left, top, right, bottom };
+}
+
+function createNode(attrs, parent) {
+  const bounds = parseBounds(attrs.bounds);
+  const node = {
+    index: attrs.index !== undefined ? Number(attrs.index) : 0,
+    text: attrs.text || '',
+    resourceId: attrs['resource-id'] || '',
+    className: attrs.class || '',
+    packageName: attrs.package || '',
+    contentDesc: attrs['content-desc'] || '',
+    hint: attrs.hint || '',
+    bounds,
+    center: bounds
+      ? { x: Math.round((bounds.left + bounds.right) / 2), y: Math.round((bounds.top + bounds.bottom) / 2) }
+      : null,
+    children: [],
+    parent
+  };
+  for (const [attr, key] of Object.entries(BOOLEAN_ATTRS)) {
+    node[key] = attrs[attr] === 'true';
+  }
+  return node;
+}
+
+// uiautomator XML is flat and attribute-only, so a tag scanner is enough
+function parseUiHierarchy(xml) {
+  const root = { className: 'hierarchy', children: [], parent: null };
+  const stack = [root];
+  for (const match of xml.matchAll(TAG)) {
+    const [, closing, name, rawAttrs, selfClosing] = match;
+    if (name !== 'node') continue;
+    if (closing) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+    const attrs = {};
+    for (const [, key, value] of rawAttrs.matchAll(ATTRIBUTE)) {
+      attrs[key] = decodeEntities(value);
+    }
+    const parent = stack[stack.length - 1];
+    const node = createNode(attrs, parent === root ? null : parent);
+    parent.children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+  return root.children;
+}
+
+function walk(nodes, callback, depth = 0) {
+  for (const node of nodes) {
+    callback(node, depth);
+    walk(node.children, callback, depth + 1);
+  }
+}
+
+function flatten(nodes) {
+  const all = [];
+  walk(nodes, node => all.push(node));
+  return all;
+}
+
+function compileRegex(pattern, field) {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid ${field} regex: ${error.message}`);
+  }
+}
+
+function matchesText(value, exact, contains, regex) {
+  if (exact !== undefined && value !== exact) return false;
+  if (contains !== undefined && !value.toLowerCase().includes(contains.toLowerCase())) return false;
+  if (regex !== undefined && !regex.test(value)) return false;
+  return true;
+}
+
+function compileSelector(selector) {
+  return {
+    ...selector,
+    textMatches: selector.textMatches !== undefined ? compileRegex(selector.textMatches, 'textMatches') : undefined,
+    contentDescMatches:
+      selector.contentDescMatches !== undefined
+        ? compileRegex(selector.contentDescMatches, 'contentDescMatches')
+        : undefined,
+    ancestor: selector.ancestor ? compileSelector(selector.ancestor) : undefined,
+    descendant: selector.descendant ? compileSelector(selector.descendant) : undefined
+  };
+}
+
+function matchesOwn(node, selector) {
+  if (selector.resourceId !== undefined) {
+    const id = selector.resourceId;
+    if (node.resourceId !== id && !(id.indexOf(':id/') === -1 && node.resourceId.endsWith(`:id/${id}`))) return false;
+  }
+  if (!matchesText(node.text, selector.text, selector.textContains, selector.textMatches)) return false;
+  if (
+    !matchesText(node.contentDesc, selector.contentDesc, selector.contentDescContains, selector.contentDescMatches)
+  ) {
+    return false;
+  }
+  if (selector.className !== undefined) {
+    const name = selector.className;
+    if (node.className !== name && !(name.indexOf('.') === -1 && node.className.endsWith(`.${name}`))) return false;
+  }
+  if (selector.packageName !== undefined && node.packageName !== selector.packageName) return false;
+  for (const key of ['clickable', 'enabled', 'checked', 'selected', 'focused', 'scrollable']) {
+    if (selector[key] !== undefined && node[key] !== selector[key]) return false;
+  }
+  if (selector.index !== undefined && node.index !== selector.index) return false;
+  return true;
+}
+
+function matchesNode(node, selector) {
+  if (!matchesOwn(node, selector)) return false;
+  if (selector.ancestor) {
+    let parent = node.parent;
+    while (parent && !matchesOwn(parent, selector.ancestor)) parent = parent.parent;
+    if (!parent) return false;
+  }
+  if (selector.descendant && !flatten(node.children).some(child => matchesOwn(child, selector.descendant))) {
+    return false;
+  }
+  return true;
+}
+
+// Message for a selector whose regex does not compile, else null
+function selectorError(selector) {
+  try {
+    compileSelector(selector);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function findElements(nodes, selector) {
+  const compiled = compileSelector(selector);
+  return flatten(nodes).filter(node => matchesNode(node, compiled));
+}
+
+function simpleClassName(className) {
+  return className.slice(className.lastIndexOf('.') + 1);
+}
+
+function stateFlags(node) {
+  const flags = [];
+  if (node.clickable) flags.push('clickable');
+  if (node.longClickable) flags.push('long-clickable');
+  if (node.checkable) flags.push(node.checked ? 'checked' : 'unchecked');
+  if (node.scrollable) flags.push('scrollable');
+  if (node.focused) flags.push('focused');
+  if (node.selected) flags.push('selected');
+  if (node.password) flags.push('password');
+  if (!node.enabled) flags.push('disabled');
+  return flags;
+}
+
+// Nodes worth showing: anything the user can act on or read
+function isMeaningful(node) {
+  return Boolean(
+    node.clickable || node.longClickable || node.checkable || node.scrollable || node.text || node.contentDesc
+  );
+}
+
+function describeElement(node) {
+  const element = { className: node.className };
+  if (node.resourceId) element.resourceId = node.resourceId;
+  if (node.text) element.text = node.text;
+  if (node.contentDesc) element.contentDesc = node.contentDesc;
+  const flags = stateFlags(node);
+  if (flags.length > 0) element.flags = flags;
+  element.bounds = node.bounds;
+  element.center = node.center;
+  return element;
+}
+
+function compactTree(nodes) {
+  const result = [];
+  for (const node of nodes) {
+    const children = compactTree(node.children);
+    if (isMeaningful(node)) {
+      const element = describeElement(node);
+      element.className = simpleClassName(node.className);
+      if (children.length > 0) element.children = children;
+      result.push(element);
+    } else {
+      result.push(...children); // hoist meaningful descendants of layout-only nodes
+    }
+  }
+  return result;
+}
+
+function outlineLine(node) {
+  const parts = [simpleClassName(node.className)];
+  if (node.text) parts.push(JSON.stringify(node.text));
+  if (node.contentDesc) parts.push(`desc=${JSON.stringify(node.contentDesc)}`);
+  if (node.resourceId) parts.push(`#${node.resourceId.replace(/^.*:id\//, '')}`);
+  const flags = stateFlags(node);
+  if (flags.length > 0) parts.push(`[${flags.join(',')}]`);
+  if (node.center) parts.push(`@${node.center.x},${node.center.y}`);
+  return parts.join(' ');
+}
+
+function outline(nodes) {
+  const lines = [];
+  const visit = (list, depth) => {
+    for (const node of list) {
+      if (isMeaningful(node)) {
+        lines.push(`${'  '.repeat(depth)}${outlineLine(node)}`);
+        visit(node.children, depth + 1);
+      } else {
+        visit(node.children, depth);
+      }
+    }
+  };
+  visit(nodes, 0);
+  return lines.join('\n');
+}
+
+// Picks exactly one element; several matches without nth is an error listing the candidates
+function resolveElement(nodes, selector, nth) {
+  const matches = findElements(nodes, selector);
+  if (matches.length === 0) {
+    throw new Error(`No element matches selector ${JSON.stringify(selector)} in the current UI.`);
+  }
+  if (nth !== undefined) {
+    if (nth >= matches.length) {
+      throw new Error(`Selector matched ${matches.length} element(s); nth=${nth} is out of range.`);
+    }
+    return matches[nth];
+  }
+  if (matches.length > 1) {
+    const candidates = matches.slice(0, 5).map((node, index) => `  [${index}] ${outlineLine(node)}`);
+    throw new Error(
+      `Selector is ambiguous: ${matches.length} elements match. Refine it or pass nth:\n${candidates.join('\n')}`
+    );
+  }
+  return matches[0];
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Dumps the current window with uiautomator. A dump that fails while the screen is busy is
+ * retried once; if it fails again the error carries retryable=true and uiautomator's message.
+ */
+async function dumpUiXml(timeoutMs, serial) {
+  const dumpPath = deviceTempPath('window_dump', 'xml');
+  try {
+    // uiautomator exits 0 even when it cannot dump (e.g. "ERROR: could not get idle state" during
+    // animations), so success is only the "UI hierchary dumped to:" line (sic)
+    let output = '';
+    for (let attempt = 1; attempt <= DUMP_ATTEMPTS; attempt++) {
+      output = await runAdbCommand(['shell', 'uiautomator', 'dump', dumpPath], timeoutMs, { serial });
+      if (/dumped to:/.test(output)) break;
+      if (attempt < DUMP_ATTEMPTS) await sleep(DUMP_RETRY_DELAY_MS);
+    }
+    if (!/dumped to:/.test(output)) {
+      const error = new Error(`uiautomator dump failed: ${output.trim() || 'no output'}`);
+      error.retryable = true;
+      throw error;
+    }
+    const xml = (await runAdbCommand(['shell', 'cat', dumpPath], timeoutMs, { serial })).trim();
+    if (!xml.includes('<hierarchy')) {
+      throw new Error('uiautomator dump produced no hierarchy XML');
+    }
+    return xml;
+  } finally {
+    await runAdbCommand(['shell', 'rm', '-f', dumpPath], timeoutMs, { serial }).catch(() => {});
+  }
+}
+
+async function dumpUiHierarchy(timeoutMs, serial) {
+  return parseUiHierarchy(await dumpUiXml(timeoutMs, serial));
+}
+
+module.exports = {
+  selectorSchema,
+  parseUiHierarchy,
+  flatten,
+  findElements,
+  selectorError,
+  describeElement,
+  compactTree,
+  simpleClassName,
+  outline,
+  outlineLine,
+  resolveElement,
+  dumpUiXml,
+  dumpUiHierarchy
+};
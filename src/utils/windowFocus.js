@@ -0,0 +1,53 @@
+const { runAdbCommand } = require('./adb');
+
+// mCurrentFocus=Window{1a2b u0 com.example/com.example.MainActivity}
+// mFocusedApp=ActivityRecord{3c4d u0 com.example/.MainActivity t12}
+const COMPONENT = /\s([\w.]+)\/([\w.$]+)[\s}]/;
+
+function focusLines(dump) {
+  return dump.split('\n').filter(line => line.includes('mCurrentFocus') || line.includes('mFocusedApp'));
+}
+
+function parseComponent(line) {
+  const match = line ? COMPONENT.exec(line) : null;
+  if (!match) return null;
+  const [, packageName, className] = match;
+  const activity = className.startsWith('.') ? `${packageName}${className}` : className;
+  return { packageName, activity, component: `${packageName}/${className}` };
+}
+
+function parseWindowFocus(dump) {
+  const lines = focusLines(dump);
+  const currentFocus = lines.find(line => line.includes('mCurrentFocus'));
+  const focusedApp = lines.find(line => line.includes('mFocusedApp'));
+  return {
+    window: parseComponent(currentFocus),
+    app: parseComponent(focusedApp),
+    lines: lines.slice(0, 8).map(line => line.trim())
+  };
+}
+
+async function getWindowFocus(timeoutMs, serial) {
+  const dump = await runAdbCommand(['shell', 'dumpsys', 'window'], timeoutMs, { serial });
+  return parseWindowFocus(dump);
+}
+
+// "MainActivity", ".MainActivity", "com.example.MainActivity" or "com.example/.MainActivity"
+function activityMatches(focus, expected) {
+  const target = focus.window || focus.app;
+  if (!target) return false;
+  if (expected.includes('/')) {
+    const [packageName, className] = expected.split('/');
+    const activity = className.startsWith('.') ? `${packageName}${className}` : className;
+    return target.packageName === packageName && target.activity === activity;
+  }
+  if (expected.includes('.') && !expected.startsWith('.')) return target.activity === expected;
+  const simpleName = expected.replace(/^\./, '');
+  return target.activity === simpleName || target.activity.endsWith(`.${simpleName}`);
+}
+
+module.exports = {
+  parseWindowFocus,
+  getWindowFocus,
+  activityMatches
+};
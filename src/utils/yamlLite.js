@@ -0,0 +1,210 @@
+// Minimal YAML subset for flow scripts: block mappings/sequences, flow [..]/{..},
+// quoted and plain scalars, comments. No anchors, tags or multi-line strings.
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function tokenizeLines(text) {
+  const lines = [];
+  text.split('\n').forEach((raw, index) => {
+    if (raw.includes('\t') && /^\s*\t/.test(raw)) {
+      throw new Error(`YAML line ${index + 1}: tabs are not allowed for indentation`);
+    }
+    const content = stripComment(raw.replace(/\r$/, '')).trimEnd();
+    if (!content.trim() || content.trim() === '---') return;
+    lines.push({ indent: content.length - content.trimStart().length, text: content.trim(), number: index + 1 });
+  });
+  return lines;
+}
+
+function parseScalar(text) {
+  if (text.startsWith('"')) return JSON.parse(text);
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new Error(`Unterminated string: ${text}`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null' || text === '~' || text === '') return null;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+// Recursive descent over flow collections: [a, b], {key: value}
+function parseFlow(text) {
+  let pos = 0;
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const readScalar = terminators => {
+    skipSpace();
+    if (text[pos] === '"' || text[pos] === "'") {
+      const quote = text[pos];
+      let end = pos + 1;
+      while (end < text.length && text[end] !== quote) end += text[end] === '\\' && quote === '"' ? 2 : 1;
+      if (quote === "'") {
+        while (text[end + 1] === "'") {
+          end += 2;
+          while (end < text.length && text[end] !== "'") end++;
+        }
+      }
+      const raw = text.slice(pos, end + 1);
+      pos = end + 1;
+      return parseScalar(raw);
+    }
+    let end = pos;
+    while (end < text.length && !terminators.includes(text[end])) end++;
+    const raw = text.slice(pos, end).trim();
+    pos = end;
+    return parseScalar(raw);
+  };
+  const readValue = terminators => {
+    skipSpace();
+    if (text[pos] === '[') {
+      pos++;
+      const list = [];
+      skipSpace();
+      while (text[pos] !== ']') {
+        list.push(readValue(',]'));
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== ']') throw new Error(`Expected , or ] in ${text}`);
+        skipSpace();
+      }
+      pos++;
+      return list;
+    }
+    if (text[pos] === '{') {
+      pos++;
+      const map = {};
+      skipSpace();
+      while (text[pos] !== '}') {
+        const key = readScalar(':,}');
+        skipSpace();
+        if (text[pos] !== ':') throw new Error(`Expected : after key "${key}" in ${text}`);
+        pos++;
+        map[key] = readValue(',}');
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== '}') throw new Error(`Expected , or } in ${text}`);
+        skipSpace();
+      }
+      pos++;
+      return map;
+    }
+    return readScalar(terminators);
+  };
+  const value = readValue('');
+  skipSpace();
+  if (pos < text.length) throw new Error(`Unexpected content after flow value: ${text.slice(pos)}`);
+  return value;
+}
+
+function parseInlineValue(text) {
+  return text.startsWith('[') || text.startsWith('{') ? parseFlow(text) : parseScalar(text);
+}
+
+// Index of the "key:" separator outside quotes, or -1
+function findKeySeparator(text) {
+  if (text.startsWith('[') || text.startsWith('{')) return -1;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+function parseBlock(lines, state, indent) {
+  const line = lines[state.index];
+  return isSequenceItem(line.text) ? parseSequence(lines, state, indent) : parseMapping(lines, state, indent);
+}
+
+function parseSequence(lines, state, indent) {
+  const list = [];
+  while (state.index < lines.length) {
+    const line = lines[state.index];
+    if (line.indent !== indent || !isSequenceItem(line.text)) break;
+    const rest = line.text.slice(1).trimStart();
+    if (!rest) {
+      state.index++;
+      list.push(state.index < lines.length && lines[state.index].indent > indent ? parseBlock(lines, state, lines[state.index].indent) : null);
+      continue;
+    }
+    if (findKeySeparator(rest) !== -1 || isSequenceItem(rest)) {
+      // "- key: value" starts a nested block at the column of "key"
+      const column = line.indent + (line.text.length - rest.length);
+      lines[state.index] = { ...line, indent: column, text: rest };
+      list.push(parseBlock(lines, state, column));
+      continue;
+    }
+    list.push(parseInlineValue(rest));
+    state.index++;
+  }
+  return list;
+}
+
+function parseMapping(lines, state, indent) {
+  const map = {};
+  while (state.index < lines.length) {
+    const line = lines[state.index];
+    if (line.indent !== indent || isSequenceItem(line.text)) break;
+    const separator = findKeySeparator(line.text);
+    if (separator === -1) throw new Error(`YAML line ${line.number}: expected "key: value"`);
+    const key = parseScalar(line.text.slice(0, separator).trim());
+    const rest = line.text.slice(separator + 1).trim();
+    state.index++;
+    if (rest) {
+      map[key] = parseInlineValue(rest);
+      continue;
+    }
+    const next = lines[state.index];
+    if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.text)))) {
+      map[key] = parseBlock(lines, state, next.indent);
+    } else {
+      map[key] = null;
+    }
+  }
+  return map;
+}
+
+function parseYaml(text) {
+  const lines = tokenizeLines(text);
+  if (lines.length === 0) return null;
+  const state = { index: 0 };
+  if (lines.length === 1 && findKeySeparator(lines[0].text) === -1 && !isSequenceItem(lines[0].text)) {
+    return parseInlineValue(lines[0].text);
+  }
+  const value = parseBlock(lines, state, lines[0].indent);
+  if (state.index < lines.length) {
+    throw new Error(`YAML line ${lines[state.index].number}: unexpected indentation`);
+  }
+  return value;
+}
+
+module.exports = {
+  parseYaml
+};
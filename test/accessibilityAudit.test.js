@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUiHierarchy } = require('../src/utils/uiHierarchy');
+const { auditAccessibility, ACCESSIBILITY_RULES } = require('../src/utils/accessibilityAudit');
+
+function node(attrs, children = '') {
+  const merged = { text: '', 'resource-id': '', 'content-desc': '', package: 'com.example.shop', clickable: 'false', ...attrs };
+  const attributes = Object.entries(merged)
+    .map(([name, value]) => `${name}="${value}"`)
+    .join(' ');
+  return children ? `<node ${attributes}>${children}</node>` : `<node ${attributes} />`;
+}
+
+// At 160 dpi one pixel is one dp
+const XML = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?><hierarchy rotation="0">${node(
+  { index: 0, class: 'android.widget.FrameLayout', bounds: '[0,0][400,800]' },
+  [
+    node({ index: 0, class: 'android.widget.ImageButton', 'resource-id': 'com.example.shop:id/close', clickable: 'true', bounds: '[0,0][32,32]' }),
+    node(
+      { index: 1, class: 'android.widget.LinearLayout', clickable: 'true', bounds: '[0,100][400,200]' },
+      node({ index: 0, class: 'android.widget.TextView', text: 'Orders', bounds: '[10,110][200,190]' })
+    ),
+    node({ index: 2, class: 'android.widget.Button', text: 'Buy', clickable: 'true', bounds: '[300,150][400,250]' }),
+    node({ index: 3, class: 'android.widget.ImageView', 'content-desc': 'Star', bounds: '[0,300][48,348]' }),
+    node({ index: 4, class: 'android.widget.ImageView', 'content-desc': 'Star', bounds: '[50,300][98,348]' }),
+    node({ index: 5, class: 'android.widget.EditText', text: 'alice', clickable: 'true', bounds: '[0,400][400,460]' }),
+    node({ index: 6, class: 'android.widget.EditText', hint: 'Email', clickable: 'true', bounds: '[0,500][400,560]' }),
+    node({ index: 7, class: 'android.widget.TextView', text: 'A very long title', bounds: '[300,600][500,650]' }),
+    node({ index: 8, class: 'android.widget.Button', text: 'Ad', package: 'com.ads', clickable: 'true', bounds: '[0,700][10,710]' })
+  ].join('')
+)}</hierarchy>`;
+
+const roots = parseUiHierarchy(XML);
+
+function found(result) {
+  return result.issues.map(item => `${item.rule} ${item.path}`);
+}
+
+test('auditAccessibility reports every rule with the element path', () => {
+  const result = auditAccessibility(roots, { density: 160, packageName: 'com.example.shop' });
+  assert.deepEqual(found(result), [
+    'missing-label FrameLayout[0]/ImageButton[0]',
+    'small-touch-target FrameLayout[0]/ImageButton[0]',
+    'overlapping-clickables FrameLayout[0]/Button[2]',
+    'duplicate-description FrameLayout[0]/ImageView[4]',
+    'edittext-missing-label FrameLayout[0]/EditText[5]',
+    'clipped-text FrameLayout[0]/TextView[7]'
+  ]);
+  assert.deepEqual(result.summary, {
+    nodes: 10,
+    errors: 2,
+    warnings: 4,
+    byRule: Object.fromEntries(ACCESSIBILITY_RULES.map(rule => [rule, 1]))
+  });
+  assert.deepEqual(result.issues[1].sizeDp, { width: 32, height: 32 });
+  assert.equal(result.issues[2].overlapsWith.path, 'FrameLayout[0]/LinearLayout[1]');
+  assert.match(result.issues[4].message, /only the typed text describes it/);
+});
+
+test('touch targets are measured in dp at the device density', () => {
+  // 32px at 480 dpi is about 11dp; 150px is 50dp
+  const result = auditAccessibility(roots, { density: 480, rules: ['small-touch-target'], packageName: 'com.example.shop' });
+  assert.deepEqual(
+    result.issues.map(item => `${item.path.split('/').pop()} ${item.sizeDp.width}x${item.sizeDp.height}`),
+    ['ImageButton[0] 11x11', 'LinearLayout[1] 133x33', 'Button[2] 33x33', 'EditText[5] 133x20', 'EditText[6] 133x20']
+  );
+  assert.equal(auditAccessibility(roots, { density: 160, minTouchTargetDp: 24, rules: ['small-touch-target'] }).issues.length, 1);
+});
+
+test('without packageName other apps are audited too', () => {
+  const result = auditAccessibility(roots, { density: 160, rules: ['small-touch-target'] });
+  assert.deepEqual(
+    result.issues.map(item => item.element.text || item.element.resourceId),
+    ['com.example.shop:id/close', 'Ad']
+  );
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CassetteRecorder, CassettePlayer } = require('../src/utils/adbCassette');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-'));
+let cassetteCount = 0;
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function tempCassette() {
+  cassetteCount += 1;
+  return path.join(tempDir, `session-${cassetteCount}.jsonl`);
+}
+
+const ok = stdout => ({ stdout, stderr: '', exitCode: 0 });
+
+test('recorded calls replay in the order they started, not the order they finished', async () => {
+  const file = tempCassette();
+  const recorder = new CassetteRecorder(file);
+  const slow = recorder.start(['exec-out', 'screencap', '-p']);
+  const fast = recorder.start(['shell', 'getprop']);
+  recorder.complete(fast, ok('[ro.product.model]: [Pixel 7]\n'));
+  recorder.complete(slow, ok(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff])));
+  await recorder.close();
+
+  const player = new CassettePlayer(file);
+  assert.deepEqual(
+    player.interactions.map(interaction => interaction.args[0]),
+    ['exec-out', 'shell']
+  );
+  assert.deepEqual(player.replay(['exec-out', 'screencap', '-p'], 'buffer').stdout, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff]));
+  assert.equal(player.replay(['shell', 'getprop']).stdout, '[ro.product.model]: [Pixel 7]\n');
+});
+
+test('strict replay allows different commands to interleave but keeps repeats in order', async () => {
+  const file = tempCassette();
+  const recorder = new CassetteRecorder(file);
+  for (const [args, stdout] of [
+    [['shell', 'dumpsys', 'window'], 'first'],
+    [['shell', 'getprop'], 'props'],
+    [['shell', 'dumpsys', 'window'], 'second']
+  ]) {
+    recorder.complete(recorder.start(args), ok(stdout));
+  }
+  await recorder.close();
+
+  const player = new CassettePlayer(file, 'strict');
+  assert.equal(player.replay(['shell', 'getprop']).stdout, 'props');
+  assert.equal(player.replay(['shell', 'dumpsys', 'window']).stdout, 'first');
+  assert.equal(player.replay(['shell', 'dumpsys', 'window']).stdout, 'second');
+  assert.throws(() => player.replay(['shell', 'dumpsys', 'window']), {
+    replayMiss: true,
+    message: /recorded 2 time\(s\) and every recording was already used/
+  });
+  assert.throws(() => player.replay(['-s', 'other', 'shell', 'getprop']), { message: /never recorded/ });
+});
+
+test('failed calls replay as execFile-shaped errors', async () => {
+  const file = tempCassette();
+  const recorder = new CassetteRecorder(file);
+  recorder.complete(recorder.start(['shell', 'ls', '/data/anr']), {
+    stdout: '',
+    stderr: 'ls: /data/anr: Permission denied\n',
+    exitCode: 1,
+    error: 'Command failed: adb shell ls /data/anr'
+  });
+  await recorder.close();
+
+  assert.throws(() => new CassettePlayer(file).replay(['shell', 'ls', '/data/anr']), {
+    code: 1,
+    stderr: 'ls: /data/anr: Permission denied\n',
+    message: 'Command failed: adb shell ls /data/anr'
+  });
+});
+
+test('scratch file ids are ignored when matching', async () => {
+  const file = tempCassette();
+  const recorder = new CassetteRecorder(file);
+  recorder.complete(recorder.start(['shell', 'cat', '/data/local/tmp/mcp_window_dump_0a1b2c3d.xml']), ok('<hierarchy/>'));
+  await recorder.close();
+
+  const player = new CassettePlayer(file);
+  assert.equal(player.replay(['shell', 'cat', '/data/local/tmp/mcp_window_dump_99887766.xml']).stdout, '<hierarchy/>');
+});
+
+test('a torn last line from an interrupted recording is skipped', () => {
+  const file = tempCassette();
+  fs.writeFileSync(
+    file,
+    '{"version":1,"recordedAt":"2026-10-19T00:00:00.000Z"}\n' +
+      '{"seq":0,"args":["shell","getprop"],"exitCode":0,"stdout":{"text":"props"},"stderr":{"text":""}}\n' +
+      '{"seq":1,"args":["exec-out","scre'
+  );
+  const player = new CassettePlayer(file);
+  assert.equal(player.interactions.length, 1);
+  assert.equal(player.replay(['shell', 'getprop']).stdout, 'props');
+});
+
+test('loose replay repeats the last match for polling callers', async () => {
+  const file = tempCassette();
+  const recorder = new CassetteRecorder(file);
+  recorder.complete(recorder.start(['-s', 'emulator-5554', 'shell', 'dumpsys', 'window']), ok('focus'));
+  await recorder.close();
+
+  const player = new CassettePlayer(file, 'loose');
+  assert.equal(player.replay(['shell', 'dumpsys', 'window']).stdout, 'focus');
+  assert.equal(player.replay(['-s', 'device-2', 'shell', 'dumpsys', 'window']).stdout, 'focus');
+  assert.throws(() => player.replay(['shell', 'getprop']), { message: /was never recorded/ });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { analyzeAnrTrace, lastDropboxEntry } = require('../src/utils/anrParser');
+
+const DEADLOCK = fs.readFileSync(path.join(__dirname, 'fixtures', 'anr-deadlock.txt'), 'utf8');
+
+test('analyzeAnrTrace finds the lock holder of the main thread and the deadlock', () => {
+  const analysis = analyzeAnrTrace(DEADLOCK, 'com.x');
+  assert.deepEqual(analysis.process, { pid: 1234, name: 'com.x', time: '2026-10-19 10:00:00.123' });
+  assert.equal(analysis.threadCount, 3);
+  assert.deepEqual(analysis.blockedBy, {
+    name: 'worker',
+    tid: 12,
+    state: 'Blocked',
+    monitor: '0x0abc1234',
+    lockClass: 'java.lang.Object',
+    topFrame: 'com.x.Cache.flush(Cache.kt:9)'
+  });
+  assert.deepEqual(
+    analysis.deadlocks.map(cycle => cycle.map(member => member.name)),
+    [['main', 'worker']]
+  );
+  assert.match(analysis.summary, /^Reason: Input dispatching timed out/);
+  assert.match(analysis.summary, /Deadlock: "main" -> "worker" -> "main"/);
+});
+
+test('analyzeAnrTrace parses thread headers, sysTid, locks and native frames', () => {
+  const { threads } = analyzeAnrTrace(DEADLOCK);
+  const [main, catcher] = threads;
+  assert.equal(main.name, 'main');
+  assert.equal(main.sysTid, 1234);
+  assert.equal(main.heldMutexes, undefined);
+  assert.deepEqual(main.stack, ['com.x.Repo.save(Repo.kt:20)', 'com.x.ui.MainActivity.onClick(MainActivity.kt:42)']);
+  assert.deepEqual(main.locked, [{ monitor: '0x0def5678', className: 'com.x.Cache' }]);
+  assert.equal(catcher.daemon, true);
+  assert.equal(catcher.priority, 10);
+  assert.deepEqual(catcher.stack, ['native: #00 pc 000abc  /apex/libart.so (art::DumpNativeStack)']);
+});
+
+test('analyzeAnrTrace reports a main thread waiting on a monitor without a holder', () => {
+  const trace = [
+    '----- pid 200 at 2026-10-19 11:00:00 -----',
+    'Cmd line: com.other',
+    '',
+    '"main" prio=5 tid=1 Waiting',
+    '  at java.lang.Object.wait(Native method)',
+    '  - waiting on <0x01> (a java.lang.Object)',
+    '  at com.other.Sync.await(Sync.kt:4)',
+    '',
+    '----- end 200 -----',
+    '',
+    '----- pid 300 at 2026-10-19 11:00:00 -----',
+    'Cmd line: com.x',
+    '',
+    '"main" prio=5 tid=1 Native',
+    '  at android.os.MessageQueue.nativePollOnce(Native method)',
+    '',
+    '----- end 300 -----'
+  ].join('\n');
+  const first = analyzeAnrTrace(trace);
+  assert.equal(first.process.name, 'com.other');
+  assert.equal(first.blockedBy, null);
+  assert.match(first.summary, /Main thread is waiting on <0x01> \(a java\.lang\.Object\)/);
+  assert.equal(analyzeAnrTrace(trace, 'com.x').process.pid, 300);
+});
+
+test('analyzeAnrTrace returns null for text without a process section', () => {
+  assert.equal(analyzeAnrTrace('no trace here'), null);
+});
+
+test('lastDropboxEntry prefers the newest entry for the package', () => {
+  const separator = '='.repeat(40);
+  const entry = (processName, pid) =>
+    `Process: ${processName}\n----- pid ${pid} at 2026-10-19 10:00:00 -----\nCmd line: ${processName}\n----- end ${pid} -----\n`;
+  const output = [
+    'Drop box contents: 3 entries',
+    separator,
+    entry('com.x', 1),
+    separator,
+    entry('com.x', 2),
+    separator,
+    entry('com.other', 3)
+  ].join('\n');
+  assert.match(lastDropboxEntry(output, 'com.x'), /----- pid 2 at/);
+  assert.match(lastDropboxEntry(output), /----- pid 3 at/);
+  assert.match(lastDropboxEntry(output, 'com.missing'), /----- pid 3 at/);
+  assert.equal(lastDropboxEntry('Drop box contents: 0 entries'), null);
+});
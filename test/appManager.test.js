@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { setAdbCassette } = require('../src/utils/adb');
+const { CassetteRecorder, CassettePlayer } = require('../src/utils/adbCassette');
+const { packageNameSchema, shellQuote, getPackageInfo } = require('../src/utils/appManager');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-manager-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('packageNameSchema accepts application ids only', () => {
+  for (const id of ['com.example.app', 'org.x_y.App2', 'a.b']) assert.equal(packageNameSchema.safeParse(id).success, true, id);
+  for (const id of ['app', 'com.example.app; rm -rf /sdcard/*', 'com..app', '1com.app', 'com.app$(id)', "com.app'"]) {
+    assert.equal(packageNameSchema.safeParse(id).success, false, id);
+  }
+});
+
+test('shellQuote keeps single quotes inside one shell word', () => {
+  assert.equal(shellQuote("it's"), "'it'\\''s'");
+  assert.equal(shellQuote('a b;c'), "'a b;c'");
+});
+
+test('getPackageInfo quotes the package for the device shell', async () => {
+  const file = path.join(tempDir, 'package.jsonl');
+  const recorder = new CassetteRecorder(file);
+  const dump = 'Packages:\n  Package [com.x] (abc):\n    versionCode=7 minSdk=24 targetSdk=34\n    versionName=1.2\n';
+  recorder.complete(recorder.start(['-s', 'emulator-5554', 'shell', 'dumpsys', 'package', "'com.x'"]), { stdout: dump, stderr: '', exitCode: 0 });
+  await recorder.close();
+
+  setAdbCassette(new CassettePlayer(file, 'strict'));
+  try {
+    const info = await getPackageInfo('com.x', 1000, 'emulator-5554');
+    assert.equal(info.installed, true);
+    assert.equal(info.versionCode, 7);
+    assert.equal(info.versionName, '1.2');
+  } finally {
+    setAdbCassette(null);
+  }
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { loadConfig } = require('../src/config');
+const { listToolNames, createServer } = require('../src/server');
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"><path d="M0 0h24v24H0z"/></svg>';
+
+async function connect(config) {
+  const client = new Client({ name: 'artifact-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([createServer(config).connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+async function drawableUris(client) {
+  const { resources } = await client.listResources();
+  return resources.filter(resource => resource.uri.startsWith('android://drawables/')).map(resource => resource.uri);
+}
+
+async function convert(client) {
+  const result = await client.callTool({
+    name: 'convert-svg-to-android-drawable',
+    arguments: { svg: SVG, cache: false }
+  });
+  assert.equal(result.isError, undefined, JSON.stringify(result.content));
+  return result.content.find(item => item.type === 'resource_link').uri;
+}
+
+test('each session only sees the artifacts its own tool calls recorded', async () => {
+  const config = loadConfig([], {}, listToolNames());
+  const first = await connect(config);
+  const second = await connect(config);
+  try {
+    const uri = await convert(first);
+    assert.deepEqual(await drawableUris(first), [uri]);
+    assert.deepEqual(await drawableUris(second), []);
+    await assert.rejects(second.readResource({ uri }), /No drawables artifact/);
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+  }
+});
+
+test('artifacts.scope=shared keeps one store for every session', async () => {
+  const config = loadConfig(['--artifact-scope', 'shared'], {}, listToolNames());
+  const first = await connect(config);
+  const second = await connect(config);
+  try {
+    const uri = await convert(first);
+    assert.ok((await drawableUris(second)).includes(uri));
+    const { contents } = await second.readResource({ uri });
+    assert.match(contents[0].text, /<vector/);
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+  }
+});
+
+test('an unknown artifact scope is rejected', () => {
+  assert.throws(() => loadConfig(['--artifact-scope', 'global'], {}, listToolNames()), {
+    message: 'artifacts scope must be "session" or "shared", got "global"'
+  });
+});
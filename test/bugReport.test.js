@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { markdownSummary } = require('../src/utils/bugReport');
+
+function crashGroup(exceptionType, count, lastSeen) {
+  return { exceptionType, topFrame: `com.example.shop.${exceptionType}(Shop.kt:1)`, count, lastSeen, stack: exceptionType };
+}
+
+test('summary.md leads with the most recent crash group, not the most frequent one', () => {
+  const summary = markdownSummary({
+    capturedAt: '2026-10-19T14:05:00.000Z',
+    crashes: [crashGroup('IllegalStateException', 5, '10-19 13:58:10.000'), crashGroup('NullPointerException', 1, '10-19 14:03:00.000')],
+    files: [{ name: 'crash.txt', description: 'crash buffer' }]
+  });
+  assert.match(summary, /### Crash\n\n\*\*NullPointerException\*\* at `com\.example\.shop\.NullPointerException\(Shop\.kt:1\)` \(1x, last 10-19 14:03:00\.000\)/);
+  assert.match(summary, /1 other crash group\(s\) in crash\.txt\./);
+});
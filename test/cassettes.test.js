@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { loadConfig } = require('../src/config');
+const { listToolNames, createServer } = require('../src/server');
+const { setAdbCassette } = require('../src/utils/adb');
+const { CassettePlayer } = require('../src/utils/adbCassette');
+
+const CASSETTES = path.join(__dirname, '..', 'examples', 'cassettes');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Replays a cassette through the real tool handlers; any call it does not cover fails the tool
+async function replayTool(cassettePath, name, args, { match = 'strict', serial = 'emulator-5554' } = {}) {
+  const env = { ADB_PATH: process.env.ADB_PATH, ANDROID_SERIAL: process.env.ANDROID_SERIAL };
+  process.env.ADB_PATH = path.join(os.tmpdir(), 'no-adb-during-replay');
+  if (serial) process.env.ANDROID_SERIAL = serial;
+  else delete process.env.ANDROID_SERIAL;
+
+  const player = new CassettePlayer(cassettePath, match);
+  setAdbCassette(player);
+  const server = createServer(loadConfig([], {}, listToolNames()));
+  const client = new Client({ name: 'cassette-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  try {
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    const result = await client.callTool({ name, arguments: args });
+    return { result, text: result.content.map(item => item.text || '').join('\n'), player };
+  } finally {
+    await client.close();
+    setAdbCassette(null);
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+function unused(player) {
+  return player.interactions.filter(interaction => !interaction.used).map(interaction => interaction.args.join(' '));
+}
+
+test('inject-input taps the element matched by selector', async () => {
+  const { result, text, player } = await replayTool(path.join(CASSETTES, 'tap-element.jsonl'), 'inject-input', {
+    command: 'tap',
+    selector: { text: 'Sign in' }
+  });
+  assert.equal(result.isError, undefined, text);
+  assert.match(text, /Executed input tap \["540","1284"\]/);
+  assert.deepEqual(unused(player), []);
+});
+
+test('manage-logcat action=crash groups the recorded crash', async () => {
+  const { result, text, player } = await replayTool(path.join(CASSETTES, 'read-crash.jsonl'), 'manage-logcat', {
+    action: 'crash',
+    format: 'json',
+    packageName: 'com.example.shop'
+  });
+  assert.equal(result.isError, undefined, text);
+  const { crashes } = JSON.parse(result.content[0].text);
+  assert.equal(crashes.length, 1);
+  assert.equal(crashes[0].exceptionType, 'java.lang.NullPointerException');
+  assert.equal(crashes[0].topFrame, 'com.example.shop.ui.LoginViewModel.onSignIn(LoginViewModel.kt:57)');
+  assert.equal(crashes[0].process, 'com.example.shop');
+  assert.deepEqual(unused(player), []);
+});
+
+test('get-current-activity reports the focused window and app', async () => {
+  const { result, text, player } = await replayTool(
+    path.join(CASSETTES, 'current-activity.jsonl'),
+    'get-current-activity',
+    {}
+  );
+  assert.equal(result.isError, undefined, text);
+  assert.match(text, /mCurrentFocus=Window\{\w+ u0 com\.example\.shop\/com\.example\.shop\.ui\.LoginActivity\}/);
+  assert.match(text, /mFocusedApp=ActivityRecord\{\w+ u0 com\.example\.shop\/\.ui\.LoginActivity t42\}/);
+  assert.deepEqual(unused(player), []);
+});
+
+test('loose matching replays a cassette without the recorded serial', async () => {
+  const { result, text } = await replayTool(path.join(CASSETTES, 'current-activity.jsonl'), 'get-current-activity', {}, {
+    match: 'loose',
+    serial: null
+  });
+  assert.equal(result.isError, undefined, text);
+  assert.match(text, /LoginActivity/);
+});
+
+test('strict matching rejects a call the cassette never recorded', async () => {
+  const { result, text } = await replayTool(path.join(CASSETTES, 'current-activity.jsonl'), 'inject-input', {
+    command: 'tap',
+    selector: { text: 'Sign in' }
+  });
+  assert.equal(result.isError, true);
+  assert.match(text, /adb replay \(strict\): unrecorded call "adb -s emulator-5554 shell uiautomator dump/);
+});
+
+test('capture-bug-report replays its concurrent adb calls strictly', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bug-report-test-'));
+  try {
+    const { result, text, player } = await replayTool(
+      path.join(FIXTURES, 'capture-bug-report.jsonl'),
+      'capture-bug-report',
+      { packageName: 'com.example.shop', title: 'Sign in crashes', outputDir }
+    );
+    assert.equal(result.isError, undefined, text);
+    const report = JSON.parse(result.content[1].text);
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.device.model, 'Pixel 7');
+    assert.equal(report.app.versionName, '4.2.1');
+    assert.equal(report.crashes[0].exceptionType, 'java.lang.NullPointerException');
+    assert.deepEqual(
+      fs.readdirSync(report.path).sort(),
+      ['crash.txt', 'index.json', 'logcat.txt', 'screenshot.png', 'summary.md', 'ui-hierarchy.xml']
+    );
+    assert.deepEqual(unused(player), []);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseFont, loadFont } = require('../src/utils/fontMetrics');
+const { layoutText } = require('../src/utils/textLayout');
+
+// Smallest font the parser accepts: .notdef, "A" (600 units) and "i" (250 units) at 1000 units per em
+function buildFont() {
+  const head = Buffer.alloc(54);
+  head.writeUInt16BE(1000, 18);
+  const hhea = Buffer.alloc(36);
+  hhea.writeUInt16BE(3, 34);
+  const hmtx = Buffer.alloc(12);
+  [500, 600, 250].forEach((advance, glyph) => hmtx.writeUInt16BE(advance, glyph * 4));
+
+  const segments = [
+    [0x41, 0x41, 1 - 0x41],
+    [0x69, 0x69, 2 - 0x69],
+    [0xffff, 0xffff, 1]
+  ];
+  const subtable = Buffer.alloc(16 + segments.length * 8);
+  subtable.writeUInt16BE(4, 0);
+  subtable.writeUInt16BE(subtable.length, 2);
+  subtable.writeUInt16BE(segments.length * 2, 6);
+  segments.forEach(([start, end, delta], i) => {
+    subtable.writeUInt16BE(end, 14 + i * 2);
+    subtable.writeUInt16BE(start, 16 + segments.length * 2 + i * 2);
+    subtable.writeInt16BE(delta, 16 + segments.length * 4 + i * 2);
+  });
+  const cmapHeader = Buffer.alloc(12);
+  cmapHeader.writeUInt16BE(1, 2);
+  cmapHeader.writeUInt16BE(3, 4);
+  cmapHeader.writeUInt16BE(1, 6);
+  cmapHeader.writeUInt32BE(12, 8);
+  const cmap = Buffer.concat([cmapHeader, subtable]);
+
+  const tables = [['cmap', cmap], ['head', head], ['hhea', hhea], ['hmtx', hmtx]];
+  const directory = Buffer.alloc(12 + tables.length * 16);
+  directory.writeUInt32BE(0x00010000, 0);
+  directory.writeUInt16BE(tables.length, 4);
+  let offset = directory.length;
+  tables.forEach(([tag, data], i) => {
+    directory.write(tag, 12 + i * 16, 'latin1');
+    directory.writeUInt32BE(offset, 12 + i * 16 + 8);
+    directory.writeUInt32BE(data.length, 12 + i * 16 + 12);
+    offset += data.length;
+  });
+  return Buffer.concat([directory, ...tables.map(([, data]) => data)]);
+}
+
+const FONT = buildFont();
+
+test('parseFont reads advances through the cmap', () => {
+  const font = parseFont(FONT);
+  assert.equal(font.unitsPerEm, 1000);
+  assert.equal(font.advanceEm(0x41), 0.6);
+  assert.equal(font.advanceEm(0x69), 0.25);
+  assert.equal(font.advanceEm(0x7a), null);
+});
+
+test('truncated or foreign files are rejected as not a font', async () => {
+  for (const buffer of [FONT.subarray(0, 40), FONT.subarray(0, FONT.length - 10), Buffer.from('GIF89a'), Buffer.alloc(0)]) {
+    assert.throws(() => parseFont(buffer), { message: /^Not a TrueType\/OpenType font/ });
+  }
+  assert.throws(() => parseFont(Buffer.from('wOF2....')), /WOFF fonts are not supported/);
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'font-metrics-test-'));
+  try {
+    const file = path.join(tempDir, 'cut.ttf');
+    fs.writeFileSync(file, FONT.subarray(0, 100));
+    await assert.rejects(loadFont(file), { message: /^Not a TrueType\/OpenType font/ });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('layoutText measures with the font and counts glyphs it lacks', () => {
+  const font = parseFont(FONT);
+  assert.deepEqual(layoutText('Ai', { textSizeSp: 10, font }), { widthDp: 8.5, fallbackGlyphs: 0 });
+  assert.equal(layoutText('Az', { textSizeSp: 10, font }).fallbackGlyphs, 1);
+  assert.equal(layoutText('AAAA', { textSizeSp: 10, fontScale: 2, font }).widthDp, 48);
+});
+
+test('layoutText wraps at spaces and ellipsizes past maxLines', () => {
+  const options = { textSizeSp: 10, availableWidthDp: 30, maxLines: 2 };
+  const short = layoutText('hello', options);
+  assert.equal(short.lines, 1);
+  assert.equal(short.wraps, false);
+
+  const wrapped = layoutText('hello world', options);
+  assert.equal(wrapped.lines, 2);
+  assert.equal(wrapped.ellipsized, false);
+  assert.ok(wrapped.widestLineDp <= 30);
+
+  assert.equal(layoutText('hello world again', options).ellipsized, true);
+  assert.equal(layoutText('one\ntwo', { textSizeSp: 10, availableWidthDp: 100 }).lines, 2);
+});
+
+test('layoutText breaks spaceless scripts between characters', () => {
+  const result = layoutText('日本語のテキスト', { textSizeSp: 10, availableWidthDp: 35 });
+  assert.equal(result.widthDp, 80);
+  assert.equal(result.lines, 3);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { loadConfig } = require('../src/config');
+const { listToolNames, createServer } = require('../src/server');
+const { startHttpServer } = require('../src/httpServer');
+
+const TOKEN = 'test-token';
+
+async function startServer(argv) {
+  const config = loadConfig(['--transport', 'http', '--port', '0', ...argv], {}, listToolNames());
+  const { httpServer, sessions } = await startHttpServer(config, createServer);
+  const { port } = httpServer.address();
+  return { httpServer, sessions, port, url: new URL(`http://127.0.0.1:${port}/mcp`) };
+}
+
+function post(port, headers) {
+  const body = JSON.stringify({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'raw', version: '1.0.0' } }
+  });
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        port,
+        path: '/mcp',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers }
+      },
+      res => {
+        res.resume();
+        res.on('end', () => resolve(res));
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function connectClient(url, token) {
+  const client = new Client({ name: 'http-test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(url, {
+    requestInit: { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+  });
+  await client.connect(transport);
+  return client;
+}
+
+function closeServer(httpServer) {
+  httpServer.closeAllConnections();
+  return new Promise(resolve => httpServer.close(resolve));
+}
+
+test('requests without the bearer token are rejected before a session opens', async () => {
+  const { httpServer, sessions, port, url } = await startServer(['--http-token', TOKEN]);
+  try {
+    const missing = await post(port, {});
+    assert.equal(missing.statusCode, 401);
+    assert.equal(missing.headers['www-authenticate'], 'Bearer');
+    assert.equal((await post(port, { Authorization: 'Bearer wrong' })).statusCode, 401);
+    assert.equal(sessions.size, 0);
+
+    const client = await connectClient(url, TOKEN);
+    assert.ok((await client.listTools()).tools.length > 0);
+    assert.equal(sessions.size, 1);
+    await client.close();
+  } finally {
+    await closeServer(httpServer);
+  }
+});
+
+test('a loopback server only answers to loopback host names', async () => {
+  const { httpServer, sessions, port } = await startServer([]);
+  try {
+    assert.equal((await post(port, { Host: `attacker.example:${port}` })).statusCode, 403);
+    assert.equal(sessions.size, 0);
+    assert.equal((await post(port, { Host: `localhost:${port}` })).statusCode, 200);
+  } finally {
+    await closeServer(httpServer);
+  }
+});
+
+test('allowedHosts replaces the loopback default', async () => {
+  const { httpServer, port } = await startServer(['--allowed-hosts', 'MCP.internal']);
+  try {
+    assert.equal((await post(port, { Host: `localhost:${port}` })).statusCode, 403);
+    assert.equal((await post(port, { Host: `mcp.internal:${port}` })).statusCode, 200);
+  } finally {
+    await closeServer(httpServer);
+  }
+});
+
+test('sessions abandoned without DELETE are closed after the idle timeout', async () => {
+  const { httpServer, sessions, url } = await startServer(['--session-idle-ms', '50']);
+  try {
+    const client = await connectClient(url);
+    assert.equal(sessions.size, 1);
+    // Drops the connection without terminating the session, like a crashed client
+    await client.close();
+    const deadline = Date.now() + 2000;
+    while (sessions.size > 0 && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 25));
+    assert.equal(sessions.size, 0);
+  } finally {
+    await closeServer(httpServer);
+  }
+});
+
+test('http options are validated', () => {
+  assert.throws(() => loadConfig(['--session-idle-ms', 'soon'], {}, listToolNames()), { message: /sessionIdleMs/ });
+  assert.equal(loadConfig([], { ANDROID_MCP_HTTP_TOKEN: 'from-env' }, listToolNames()).http.token, 'from-env');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseThreadtimeLine, parseLogcat, describeCrash, groupCrashes } = require('../src/utils/logcatParser');
+
+const CRASH = [
+  '--------- beginning of crash',
+  '10-19 14:03:12.418  4821  4821 E AndroidRuntime: FATAL EXCEPTION: main',
+  '10-19 14:03:12.418  4821  4821 E AndroidRuntime: Process: com.example.shop, PID: 4821',
+  "10-19 14:03:12.418  4821  4821 E AndroidRuntime: java.lang.NullPointerException: Attempt to invoke virtual method on a null object reference",
+  '10-19 14:03:12.418  4821  4821 E AndroidRuntime: \tat com.example.shop.ui.LoginViewModel.onSignIn(LoginViewModel.kt:57)',
+  '10-19 14:03:12.418  4821  4821 E AndroidRuntime: \tat android.view.View.performClick(View.java:7659)'
+];
+
+test('parseThreadtimeLine splits the threadtime header', () => {
+  assert.deepEqual(parseThreadtimeLine('10-19 14:05:00.002  4821  4830 W ShopApp: slow query: 812ms'), {
+    timestamp: '10-19 14:05:00.002',
+    pid: 4821,
+    tid: 4830,
+    level: 'W',
+    tag: 'ShopApp',
+    message: 'slow query: 812ms'
+  });
+  assert.equal(parseThreadtimeLine('--------- beginning of main'), null);
+  assert.equal(parseThreadtimeLine('I/ShopApp( 4821): brief format'), null);
+});
+
+test('parseThreadtimeLine keeps tags with spaces and empty messages', () => {
+  const record = parseThreadtimeLine('10-19 14:05:00.002  1000  1200 I chatty  : uid=1000 expire 3 lines');
+  assert.equal(record.tag, 'chatty');
+  assert.equal(record.message, 'uid=1000 expire 3 lines');
+  assert.equal(parseThreadtimeLine('10-19 14:05:00.002  1000  1200 D Tag: ').message, '');
+});
+
+test('parseLogcat joins the lines of one stack trace into one event', () => {
+  const events = parseLogcat([...CRASH, '10-19 14:03:12.500  4821  4821 I ShopApp: next'].join('\r\n'));
+  assert.equal(events.length, 2);
+  assert.equal(events[0].raw.length, 5);
+  assert.match(events[0].message, /^FATAL EXCEPTION: main\nProcess: com\.example\.shop/);
+  assert.equal(events[1].message, 'next');
+});
+
+test('parseLogcat keeps "at" lines with a later timestamp and headerless lines with the event', () => {
+  const events = parseLogcat(
+    [
+      '10-19 14:03:12.418  4821  4821 E ShopApp: java.lang.IllegalStateException: bad state',
+      '10-19 14:03:12.419  4821  4821 E ShopApp: \tat com.example.shop.Cart.add(Cart.kt:10)',
+      'stray continuation',
+      '10-19 14:03:12.419  4821  4821 E ShopApp: unrelated message'
+    ].join('\n')
+  );
+  assert.equal(events.length, 2);
+  assert.equal(events[0].message.split('\n').length, 3);
+  assert.equal(events[1].message, 'unrelated message');
+});
+
+test('parseLogcat keeps separate logs apart when they share the whole header', () => {
+  const events = parseLogcat(
+    [
+      '10-19 14:03:12.418  4821  4821 E ShopApp: payment failed',
+      '10-19 14:03:12.418  4821  4821 E ShopApp: retrying in 5s',
+      '10-19 14:03:12.418  4821  4821 E ShopApp: upload failed',
+      '10-19 14:03:12.418  4821  4821 E ShopApp: java.io.IOException: timeout',
+      '10-19 14:03:12.418  4821  4821 E ShopApp:   details: socket closed',
+      '10-19 14:03:12.418  4821  4821 E ShopApp: \tat com.example.shop.Upload.run(Upload.kt:3)'
+    ].join('\n')
+  );
+  assert.deepEqual(
+    events.map(event => event.message.split('\n').length),
+    [1, 1, 4]
+  );
+  assert.match(events[2].message, /^upload failed\njava\.io\.IOException: timeout/);
+});
+
+test('describeCrash picks the first app frame for the package', () => {
+  const [event] = parseLogcat(CRASH.join('\n'));
+  assert.deepEqual(describeCrash(event, 'com.example.shop'), {
+    exceptionType: 'java.lang.NullPointerException',
+    topFrame: 'com.example.shop.ui.LoginViewModel.onSignIn(LoginViewModel.kt:57)',
+    message: 'java.lang.NullPointerException: Attempt to invoke virtual method on a null object reference',
+    process: 'com.example.shop'
+  });
+});
+
+test('describeCrash names fatal throwables without an Exception suffix and skips plain errors', () => {
+  const [fatal] = parseLogcat(
+    [
+      '10-19 14:03:12.418  4821  4821 E AndroidRuntime: FATAL EXCEPTION: main',
+      '10-19 14:03:12.418  4821  4821 E AndroidRuntime: Process: com.example.shop, PID: 4821',
+      '10-19 14:03:12.418  4821  4821 E AndroidRuntime: kotlin.NotImplementedError: An operation is not implemented.',
+      '10-19 14:03:12.418  4821  4821 E AndroidRuntime: \tat com.example.shop.Cart.checkout(Cart.kt:99)'
+    ].join('\n')
+  );
+  assert.equal(describeCrash(fatal).exceptionType, 'kotlin.NotImplementedError');
+  assert.equal(describeCrash(fatal).topFrame, 'com.example.shop.Cart.checkout(Cart.kt:99)');
+
+  const [plain] = parseLogcat('10-19 14:03:12.418  4821  4821 E ShopApp: request failed with 500');
+  assert.equal(describeCrash(plain), null);
+});
+
+test('groupCrashes collapses repeats and sorts by count', () => {
+  const other = [
+    '10-19 14:04:00.000  4999  4999 E AndroidRuntime: FATAL EXCEPTION: main',
+    '10-19 14:04:00.000  4999  4999 E AndroidRuntime: java.lang.IllegalStateException: closed',
+    '10-19 14:04:00.000  4999  4999 E AndroidRuntime: \tat com.example.shop.Db.query(Db.kt:3)'
+  ];
+  const repeat = CRASH.slice(1).map(line => line.replace('14:03:12.418  4821  4821', '14:05:00.000  5100  5100'));
+  const groups = groupCrashes(parseLogcat([...CRASH, ...other, ...repeat].join('\n')), 'com.example.shop');
+  assert.equal(groups.length, 2);
+  assert.equal(groups[0].exceptionType, 'java.lang.NullPointerException');
+  assert.equal(groups[0].count, 2);
+  assert.deepEqual(groups[0].pids, [4821, 5100]);
+  assert.equal(groups[0].firstSeen, '10-19 14:03:12.418');
+  assert.equal(groups[0].lastSeen, '10-19 14:05:00.000');
+  assert.equal(groups[1].topFrame, 'com.example.shop.Db.query(Db.kt:3)');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { loadConfig } = require('../src/config');
+const { listToolNames, createServer } = require('../src/server');
+const { setAdbCassette } = require('../src/utils/adb');
+const { CassetteRecorder, CassettePlayer } = require('../src/utils/adbCassette');
+const {
+  createLogcatScope,
+  runInLogcatScope,
+  stopLogcatScope,
+  startLogcatSession,
+  getLogcatSession
+} = require('../src/utils/logcatSession');
+
+const STREAM_ARGS = ['-s', 'emulator-5554', 'logcat', '-v', 'threadtime', '-T', '1', '*:V'];
+const LINES = '10-19 14:03:00.000  4821  4821 I Shop    : opened cart\n10-19 14:03:00.100  4821  4821 I Shop    : paid\n';
+const OPTIONS = { priority: 'V', serial: 'emulator-5554', bufferSize: 100, sessionTimeoutMs: 60000 };
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logcat-session-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+async function streamCassette(name, streams) {
+  const file = path.join(tempDir, `${name}.jsonl`);
+  const recorder = new CassetteRecorder(file);
+  for (let i = 0; i < streams; i++) {
+    recorder.complete(recorder.start(STREAM_ARGS), { stdout: LINES, stderr: '', exitCode: 0, stream: true });
+  }
+  await recorder.close();
+  return file;
+}
+
+async function connect(config) {
+  const client = new Client({ name: 'logcat-session-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([createServer(config).connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+function text(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+test('a session is only visible in the scope that started it, and stopping the scope ends it', async () => {
+  setAdbCassette(new CassettePlayer(await streamCassette('scope', 1), 'strict'));
+  const scope = createLogcatScope();
+  try {
+    const session = await runInLogcatScope(scope, () => startLogcatSession(OPTIONS));
+    assert.equal(runInLogcatScope(scope, () => getLogcatSession(session.id)), session);
+    assert.throws(() => runInLogcatScope(createLogcatScope(), () => getLogcatSession(session.id)), /Unknown logcat session/);
+
+    stopLogcatScope(scope);
+    assert.equal(session.state, 'stopped');
+    assert.equal(scope.sessions.size, 0);
+  } finally {
+    setAdbCassette(null);
+  }
+});
+
+test('MCP sessions cannot poll each other\'s logcat sessions', async () => {
+  setAdbCassette(new CassettePlayer(await streamCassette('clients', 1), 'strict'));
+  const config = loadConfig([], {}, listToolNames());
+  const first = await connect(config);
+  const second = await connect(config);
+  try {
+    const started = await first.callTool({ name: 'manage-logcat', arguments: { action: 'start', serial: 'emulator-5554' } });
+    assert.equal(started.isError, undefined, text(started));
+    const { sessionId } = JSON.parse(text(started));
+
+    const foreign = await second.callTool({ name: 'manage-logcat', arguments: { action: 'poll', sessionId } });
+    assert.equal(foreign.isError, true);
+    assert.match(text(foreign), /Unknown logcat session/);
+
+    await new Promise(resolve => setImmediate(resolve));
+    const own = await first.callTool({ name: 'manage-logcat', arguments: { action: 'stop', sessionId } });
+    assert.equal(own.isError, undefined, text(own));
+    assert.match(text(own), /opened cart\n.*paid/);
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+    setAdbCassette(null);
+  }
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { summarizeTimings, parseGfxinfo, parseMeminfo } = require('../src/utils/perfParsers');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('summarizeTimings uses nearest-rank percentiles and skips failed runs', () => {
+  assert.deepEqual(summarizeTimings([300, 250, NaN, 410, 280, 1200]), {
+    runs: 5,
+    min: 250,
+    median: 300,
+    p90: 1200,
+    max: 1200,
+    mean: 488
+  });
+  assert.equal(summarizeTimings([NaN, undefined]), null);
+});
+
+test('parseGfxinfo reads frame counts, percentiles and jank counters', () => {
+  assert.deepEqual(parseGfxinfo(fixture('gfxinfo.txt'), 'com.example.app'), {
+    totalFrames: 1234,
+    jankyFrames: 56,
+    jankyPercent: 4.54,
+    legacyJankyPercent: 8.1,
+    percentilesMs: { p50: 8, p90: 14, p95: 20, p99: 40 },
+    gpuPercentilesMs: { p50: 3, p90: 6 },
+    counters: {
+      missedVsync: 3,
+      highInputLatency: 0,
+      slowUiThread: 10,
+      slowBitmapUploads: 0,
+      slowIssueDrawCommands: 5,
+      frameDeadlineMissed: 20
+    }
+  });
+});
+
+test('parseGfxinfo explains a missing process or unknown output', () => {
+  assert.throws(() => parseGfxinfo('No process found for: com.example.app', 'com.example.app'), {
+    message: /com\.example\.app is not running/
+  });
+  assert.throws(() => parseGfxinfo('Applications Graphics Acceleration Info:', 'com.example.app'), {
+    message: /Total frames rendered/
+  });
+});
+
+test('parseMeminfo reads the PSS table, app summary and objects', () => {
+  const meminfo = parseMeminfo(fixture('meminfo.txt'), 'com.example.app');
+  assert.equal(meminfo.pid, 1234);
+  assert.equal(meminfo.process, 'com.example.app');
+  assert.equal(meminfo.totalPssKb, 27389);
+  assert.equal(meminfo.totalRssKb, 40000);
+  assert.equal(meminfo.totalSwapPssKb, 0);
+  assert.deepEqual(meminfo.categories[0], {
+    name: 'Native Heap',
+    pssTotal: 10468,
+    privateDirty: 10408,
+    privateClean: 0,
+    swapPssDirty: 0,
+    rssTotal: 12000,
+    heapSize: 20480,
+    heapAlloc: 14462,
+    heapFree: 6017
+  });
+  assert.deepEqual(
+    meminfo.categories.map(category => category.name),
+    ['Native Heap', 'Dalvik Heap', '.so mmap', 'Dalvik Other', 'Unknown', 'Stack']
+  );
+  assert.deepEqual(meminfo.summaryKb, {
+    javaHeap: 3196,
+    nativeHeap: 10408,
+    code: 2800,
+    stack: 84,
+    graphics: 1500,
+    privateOther: 5000,
+    system: 4401
+  });
+  // Unknown has only an Rss value, so it must not land in the Pss column
+  assert.equal(meminfo.summaryRssKb.unknown, 1000);
+  assert.equal(meminfo.summaryKb.unknown, undefined);
+  assert.deepEqual(meminfo.objects, { views: 12, viewRootImpl: 1, appContexts: 5, activities: 1 });
+});
+
+test('parseMeminfo explains a missing process or section', () => {
+  assert.throws(() => parseMeminfo('No process found for: com.example.app', 'com.example.app'), {
+    message: /not running/
+  });
+  assert.throws(() => parseMeminfo('Applications Memory Usage (in Kilobytes):', 'com.example.app'), {
+    message: /MEMINFO section/
+  });
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { loadConfig } = require('../src/config');
+const { listToolNames, createServer } = require('../src/server');
+
+async function promptText(name, args) {
+  const client = new Client({ name: 'prompt-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([createServer(loadConfig([], {}, listToolNames())).connect(serverTransport), client.connect(clientTransport)]);
+  try {
+    const { messages } = await client.getPrompt({ name, arguments: args });
+    return messages[0].content.text;
+  } finally {
+    await client.close();
+  }
+}
+
+test('triage-latest-crash picks the crash group by lastSeen, not by count', async () => {
+  const text = await promptText('triage-latest-crash', { packageName: 'com.example.shop' });
+  assert.match(text, /packageName="com\.example\.shop"/);
+  assert.match(text, /greatest lastSeen/);
+});
+
+test('import-icons-from-folder converts with a second strict batch call', async () => {
+  const text = await promptText('import-icons-from-folder', { folder: 'design/icons' });
+  assert.match(text, /^1\. .*convert-svg-batch .*dryRun=true/m);
+  assert.match(text, /^2\. Call convert-svg-batch again .*dryRun=false and strict=true/m);
+  assert.doesNotMatch(text, /convert-svg-to-android-drawable/);
+});
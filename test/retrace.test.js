@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseMapping, loadMapping, retraceText } = require('../src/utils/retrace');
+
+const MAPPING_PATH = path.join(__dirname, 'fixtures', 'mapping.txt');
+const mapping = parseMapping(fs.readFileSync(MAPPING_PATH, 'utf8'));
+
+test('parseMapping reads classes, methods with line ranges and source files', () => {
+  const activity = mapping.classes.get('a.b.c');
+  assert.equal(activity.original, 'com.x.ui.MainActivity');
+  assert.equal(activity.sourceFile, 'MainActivity.kt');
+  assert.equal(activity.methods.has('onCreate'), true);
+  assert.equal(activity.methods.get('a').length, 4);
+  assert.deepEqual(activity.methods.get('a')[0], {
+    obfStart: 1,
+    obfEnd: 4,
+    origStart: 40,
+    origEnd: 43,
+    returnType: 'void',
+    originalName: 'onClick',
+    args: '(android.view.View)'
+  });
+  assert.equal(mapping.sourceFiles.get('com.x.util.Helper'), 'Helper.kt');
+});
+
+test('retraceText maps frames line by line and keeps logcat prefixes', () => {
+  const text = retraceText(
+    mapping,
+    '10-19 14:03:12.418  4821  4821 E AndroidRuntime: \tat a.b.c.a(SourceFile:2)\n\tat a.b.c.onCreate(SourceFile:1)'
+  );
+  assert.equal(
+    text,
+    '10-19 14:03:12.418  4821  4821 E AndroidRuntime: \tat com.x.ui.MainActivity.onClick(MainActivity.kt:41)\n' +
+      '\tat com.x.ui.MainActivity.onCreate(MainActivity.kt:20)'
+  );
+});
+
+test('retraceText expands inlined frames innermost first', () => {
+  assert.equal(
+    retraceText(mapping, '\tat a.b.c.a(SourceFile:5)'),
+    '\tat com.x.util.Helper.check(Helper.kt:12)\n\tat com.x.ui.MainActivity.onClick(MainActivity.kt:45)'
+  );
+});
+
+test('retraceText lists ambiguous methods with <OR>', () => {
+  assert.equal(
+    retraceText(mapping, '\tat a.b.c.b(Unknown Source)'),
+    '\tat com.x.ui.MainActivity.unusedA(MainActivity.kt)\n\t<OR> at com.x.ui.MainActivity.unusedB(MainActivity.kt)'
+  );
+});
+
+test('retraceText renames classes in messages and leaves unknown frames alone', () => {
+  assert.equal(retraceText(mapping, 'Caused by: a.b.e: boom'), 'Caused by: com.x.BadState: boom');
+  assert.equal(
+    retraceText(mapping, '\tat android.view.View.performClick(View.java:7659)'),
+    '\tat android.view.View.performClick(View.java:7659)'
+  );
+});
+
+test('loadMapping returns the cached parse for the same content', async () => {
+  const first = await loadMapping(MAPPING_PATH);
+  assert.equal(await loadMapping(MAPPING_PATH), first);
+  assert.equal(first.classes.get('a.b.d').original, 'com.x.util.Helper');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderSvg } = require('../src/utils/svgRasterizer');
+const { encodePng, decodePng } = require('../src/utils/png');
+const { diffRgba } = require('../src/utils/imageDiff');
+
+function pixel(image, x, y) {
+  const offset = (y * image.width + x) * 4;
+  return [...image.pixels.slice(offset, offset + 4)];
+}
+
+const SQUARE = '<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"><rect x="2" y="2" width="4" height="4" fill="#ff0000"/></svg>';
+
+test('renderSvg fills covered pixels and leaves the rest transparent', () => {
+  const image = renderSvg(SQUARE);
+  assert.equal(image.width, 8);
+  assert.equal(image.height, 8);
+  assert.deepEqual(pixel(image, 3, 3), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(image, 0, 0), [0, 0, 0, 0]);
+  assert.deepEqual(image.warnings, []);
+});
+
+test('renderSvg scales through the viewBox and anti-aliases edges', () => {
+  const image = renderSvg(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4" viewBox="0 0 4 4"><rect x="0.5" y="0" width="3" height="4" fill="#0000ff"/></svg>',
+    { scale: 2 }
+  );
+  assert.equal(image.width, 8);
+  assert.deepEqual(pixel(image, 0, 4), [0, 0, 0, 0]);
+  assert.deepEqual(pixel(image, 1, 4), [0, 0, 255, 255]);
+
+  const half = renderSvg(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4"><rect x="0.5" y="0" width="3" height="4" fill="#0000ff"/></svg>'
+  );
+  assert.ok(Math.abs(pixel(half, 0, 1)[3] - 128) <= 2);
+});
+
+test('renderSvg honors evenodd holes and group opacity', () => {
+  const image = renderSvg(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10">' +
+      '<g opacity="0.5"><path fill-rule="evenodd" fill="#000" d="M0 0h10v10H0z M3 3h4v4H3z"/></g></svg>'
+  );
+  assert.deepEqual(pixel(image, 1, 1), [0, 0, 0, 128]);
+  assert.deepEqual(pixel(image, 5, 5), [0, 0, 0, 0]);
+});
+
+test('renderSvg refuses sizes above 4096x4096 before allocating', () => {
+  assert.throws(
+    () => renderSvg('<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"/>', { scale: 200 }),
+    { message: /^Render size 4800x4800 exceeds the 16777216 pixel limit \(4096x4096\)/ }
+  );
+  assert.throws(() => renderSvg('<svg xmlns="http://www.w3.org/2000/svg" width="1e9" height="1"/>'), /pixel limit/);
+  assert.equal(renderSvg('<svg xmlns="http://www.w3.org/2000/svg" width="4096" height="1"/>').width, 4096);
+});
+
+test('encodePng and decodePng round-trip RGBA pixels', () => {
+  const image = renderSvg(SQUARE);
+  const png = encodePng(image.width, image.height, image.pixels);
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const decoded = decodePng(png);
+  assert.equal(decoded.width, 8);
+  assert.deepEqual([...decoded.pixels], [...image.pixels]);
+});
+
+test('diffRgba scores identical images as 0 and counts changed pixels', () => {
+  const expected = renderSvg(SQUARE);
+  assert.equal(diffRgba(8, 8, expected.pixels, expected.pixels).score, 0);
+
+  const shifted = renderSvg(SQUARE.replace('x="2"', 'x="3"'));
+  const result = diffRgba(8, 8, expected.pixels, shifted.pixels);
+  assert.equal(result.changedPixels, 8);
+  assert.equal(result.changedPercent, 12.5);
+  assert.ok(result.score > 0 && result.score < 0.1);
+});
@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { loadConfig } = require('../src/config');
+const { listToolNames, createServer } = require('../src/server');
+
+const SQUARE = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><path d="M4 4h16v16H4z"/></svg>';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-tool-test-'));
+let client;
+
+test.before(async () => {
+  client = new Client({ name: 'svg-tool-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([createServer(loadConfig([], {}, listToolNames())).connect(serverTransport), client.connect(clientTransport)]);
+});
+
+test.after(async () => {
+  await client.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function call(name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return { isError: result.isError, texts: result.content.filter(item => item.type === 'text').map(item => item.text) };
+}
+
+function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+}
+
+test('convert-svg-batch plans names, reports collisions and writes only on a real run', async () => {
+  const icons = path.join(tempDir, 'batch', 'icons');
+  const resDir = path.join(tempDir, 'batch', 'res');
+  writeFiles(icons, {
+    'home.svg': SQUARE,
+    'ic_cart.svg': SQUARE,
+    'nested/SettingsIcon.svg': SQUARE,
+    'nested/settings-icon.svg': SQUARE,
+    'notes.txt': 'not an icon'
+  });
+
+  const dryRun = await call('convert-svg-batch', { source: icons, resDir, dryRun: true });
+  assert.match(dryRun.texts[0], /^Dry run: 4 SVG file\(s\) .*planned: 2, failed: 2/);
+  const plan = JSON.parse(dryRun.texts[1]);
+  assert.deepEqual(plan.map(entry => entry.name), ['ic_home', 'ic_cart', 'ic_settings_icon', 'ic_settings_icon']);
+  assert.match(plan[2].error, /^Resource name collision on ic_settings_icon with .*settings-icon\.svg$/);
+  assert.equal(fs.existsSync(resDir), false);
+
+  const run = await call('convert-svg-batch', { source: `${icons}/*.svg`, resDir });
+  assert.match(run.texts[0], /^2 SVG file\(s\) .*converted: 2$/);
+  assert.deepEqual(fs.readdirSync(path.join(resDir, 'drawable')).sort(), ['ic_cart.xml', 'ic_home.xml']);
+  assert.match(fs.readFileSync(path.join(resDir, 'drawable', 'ic_home.xml'), 'utf8'), /<vector[\s\S]*android:pathData="M4 4h16v16H4z"/);
+
+  const again = await call('convert-svg-batch', { source: `${icons}/home.svg`, resDir });
+  const [skipped] = JSON.parse(again.texts[1]);
+  assert.equal(skipped.status, 'skipped');
+  assert.match(skipped.error, /overwrite=true/);
+});
+
+test('convert-svg-batch fails when nothing matches', async () => {
+  const result = await call('convert-svg-batch', { source: path.join(tempDir, 'missing', '*.svg'), resDir: tempDir });
+  assert.equal(result.isError, true);
+  assert.match(result.texts[0], /No SVG files matched/);
+});
+
+function diagnosticsOf(texts) {
+  const text = texts.find(item => item.startsWith('Diagnostics:\n'));
+  return text ? JSON.parse(text.slice('Diagnostics:\n'.length)) : [];
+}
+
+test('conversion diagnostics list dropped content once per element and attribute', async () => {
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24">' +
+    '<defs><filter id="f"/><pattern id="p" width="2" height="2"/></defs><title>icon</title>' +
+    '<rect width="10" height="10" filter="url(#f)" fill="url(#p)"/>' +
+    '<rect x="12" width="10" height="10" filter="url(#f)" style="opacity:.5"/>' +
+    '<text>Hi</text><image href="photo.png"/></svg>';
+  const result = await call('convert-svg-to-android-drawable', { svg, cache: false });
+  assert.equal(result.isError, undefined);
+  assert.match(result.texts[0], /android:pathData="M0 0h10v10H0z"/);
+  assert.deepEqual(
+    diagnosticsOf(result.texts).map(item => `${item.severity} ${item.element}${item.attribute ? `[${item.attribute}]` : ''} x${item.count}`),
+    [
+      'error filter x1',
+      'error pattern x1',
+      'error rect[filter] x2',
+      'error rect[fill] x1',
+      'warning rect[style] x1',
+      'error text x1',
+      'error image x1'
+    ]
+  );
+});
+
+test('a clean SVG has no diagnostics and strict mode rejects dropped content', async () => {
+  assert.deepEqual(diagnosticsOf((await call('convert-svg-to-android-drawable', { svg: SQUARE })).texts), []);
+
+  const strict = await call('convert-svg-to-android-drawable', {
+    svg: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"><text>Hi</text></svg>',
+    strict: true
+  });
+  assert.equal(strict.isError, true);
+  assert.equal(strict.texts[0], 'Strict mode: SVG uses unsupported features (error: <text> text not converted to paths)');
+});
+
+test('strict batch conversion marks files with dropped content as failed', async () => {
+  const icons = path.join(tempDir, 'strict', 'icons');
+  const resDir = path.join(tempDir, 'strict', 'res');
+  writeFiles(icons, {
+    'plain.svg': SQUARE,
+    'label.svg': '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"><path d="M0 0h4v4H0z"/><text>Hi</text></svg>'
+  });
+  const result = await call('convert-svg-batch', { source: icons, resDir, strict: true });
+  const [label, plain] = JSON.parse(result.texts[1]);
+  assert.equal(label.status, 'failed');
+  assert.match(label.error, /^Strict mode/);
+  assert.equal(label.diagnostics[0].element, 'text');
+  assert.equal(plain.status, 'converted');
+  assert.deepEqual(fs.readdirSync(path.join(resDir, 'drawable')), ['ic_plain.xml']);
+});
+
+test('convert-android-drawable-to-svg maps groups, clip-paths, gradients and colors', async () => {
+  const outputPath = path.join(tempDir, 'reverse', 'icon.svg');
+  const result = await call('convert-android-drawable-to-svg', {
+    xmlPath: path.join(__dirname, 'fixtures', 'vector-drawable.xml'),
+    outputPath
+  });
+  assert.equal(result.isError, undefined);
+  assert.equal(result.texts[0], `Saved SVG to ${outputPath}`);
+  const svg = result.texts[1];
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), svg);
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="24" height="24" viewBox="0 0 24 24">/);
+  assert.match(svg, /<g transform="translate\(14 12\) rotate\(45\) translate\(-12 -12\)">\s*<g clip-path="url\(#clip_1\)">/);
+  assert.match(svg, /<clipPath id="clip_1">\s*<path d="M0,0h20v20H0z"\/>/);
+  assert.match(svg, /<path d="M4,4h8v8H4z" fill="#FF0000" fill-opacity="0\.502"\/>/);
+  assert.match(svg, /<path d="M2,22L22,22" fill="none" fill-rule="evenodd" stroke="#000000" stroke-width="2"\/>/);
+  assert.match(svg, /<linearGradient id="gradient_2" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="24" y2="0">/);
+  assert.match(svg, /fill="url\(#gradient_2\)"/);
+  assert.deepEqual(diagnosticsOf(result.texts).map(item => item.reason), ['color @color/accent could not be resolved, black used']);
+});
+
+test('an unresolvable tint falls back to black and replaces gradients', async () => {
+  const xml = fs
+    .readFileSync(path.join(__dirname, 'fixtures', 'vector-drawable.xml'), 'utf8')
+    .replace('android:viewportHeight="24">', 'android:viewportHeight="24" android:tint="?attr/colorControlNormal">');
+  const result = await call('convert-android-drawable-to-svg', { xml });
+  assert.doesNotMatch(result.texts[0], /linearGradient|#FF0000/);
+  assert.deepEqual(
+    diagnosticsOf(result.texts).map(item => item.element),
+    ['vector', 'path', 'gradient']
+  );
+});
+
+test('SVG -> VectorDrawable -> SVG keeps the geometry', async () => {
+  const [xml] = (await call('convert-svg-to-android-drawable', { svg: SQUARE, fillBlack: true })).texts;
+  const [svg] = (await call('convert-android-drawable-to-svg', { xml })).texts;
+  assert.match(svg, /viewBox="0 0 24 24"/);
+  assert.match(svg, /<path d="M4 4h16v16H4z" fill="#000000"\/>/);
+});
+
+test('convert-svg-to-compose emits an ImageVector property with paint and path commands', async () => {
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">' +
+    '<path d="M4 4h16v16H4z" fill="#ff0000" fill-opacity="0.5"/>' +
+    '<g transform="translate(2 0)"><path d="M0 0L4 4" stroke="#00f" stroke-width="2" stroke-linecap="round"/></g></svg>';
+  const result = await call('convert-svg-to-compose', { svg, packageName: 'com.example.ui.icons', propertyName: 'Home', receiver: 'MyIcons' });
+  assert.equal(result.isError, undefined);
+  const kotlin = result.texts[0];
+  assert.match(kotlin, /^package com\.example\.ui\.icons\n/);
+  assert.match(kotlin, /import androidx\.compose\.ui\.graphics\.StrokeCap\n/);
+  assert.match(kotlin, /\nval MyIcons\.Home: ImageVector\n/);
+  assert.match(kotlin, /name = "MyIcons\.Home",\n\s+defaultWidth = 24\.dp,/);
+  assert.match(kotlin, /fill = SolidColor\(Color\(0x80FF0000\)\)\n\s+\) \{\n\s+moveTo\(4f, 4f\)\n\s+horizontalLineToRelative\(16f\)/);
+  assert.match(kotlin, /stroke = SolidColor\(Color\(0xFF0000FF\)\),\n\s+strokeLineWidth = 2f,\n\s+strokeLineCap = StrokeCap\.Round/);
+  assert.match(kotlin, /moveTo\(2f, 0f\)/);
+  assert.match(kotlin, /private var _home: ImageVector\? = null\n$/);
+});
+
+test('convert-svg-to-compose names the property after the file and writes the .kt file', async () => {
+  const svgPath = path.join(tempDir, 'compose', 'arrow-back.svg');
+  writeFiles(path.dirname(svgPath), {
+    'arrow-back.svg':
+      '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">' +
+      '<g transform="rotate(90 12 12)"><path d="M4 4h16v16H4z"/></g></svg>'
+  });
+  const outputPath = path.join(tempDir, 'compose', 'out', 'ArrowBack.kt');
+  const result = await call('convert-svg-to-compose', { svgPath, packageName: 'com.example.icons', outputPath, fillBlack: true });
+  assert.equal(result.texts[0], `Saved ImageVector to ${outputPath}`);
+  const kotlin = fs.readFileSync(outputPath, 'utf8');
+  assert.equal(kotlin, result.texts[1]);
+  assert.match(kotlin, /\nval ArrowBack: ImageVector\n/);
+  // The rotation is baked into the path
+  assert.match(kotlin, /moveTo\(20f, 4f\)\n\s+verticalLineToRelative\(16f\)/);
+  assert.match(kotlin, /fill = SolidColor\(Color\(0xFF000000\)\)/);
+});
+
+test('convert-svg-to-compose needs a property name for inline SVG', async () => {
+  const result = await call('convert-svg-to-compose', { svg: SQUARE, packageName: 'com.example.icons' });
+  assert.equal(result.isError, true);
+  assert.match(result.texts[0], /Provide propertyName when converting inline svg/);
+});
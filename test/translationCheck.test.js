@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { loadStringResources, measureLength, extractPlaceholders, findEscapeProblems } = require('../src/utils/stringResources');
+const { validateTranslations, sortIssues, summarizeIssues } = require('../src/utils/translationCheck');
+
+const RES = path.join(__dirname, 'fixtures', 'translations');
+
+function rulesFor(issues, locale, key) {
+  return issues
+    .filter(issue => issue.locale === locale && issue.key === key)
+    .map(issue => issue.rule)
+    .sort();
+}
+
+test('measureLength counts code points', () => {
+  assert.equal(measureLength('Hi \u{1F600}'), 4);
+});
+
+test('extractPlaceholders normalizes positions and flags mixed styles', () => {
+  assert.deepEqual(extractPlaceholders('%s and %S, 100%% done%n'), { placeholders: ['1$s', '2$s'], mixed: false });
+  assert.deepEqual(extractPlaceholders('%1$s of %d'), { placeholders: ['1$d', '1$s'], mixed: true });
+});
+
+test('findEscapeProblems reports what aapt2 would reject', () => {
+  assert.deepEqual(findEscapeProblems("Don't & go").map(problem => problem.severity), ['error', 'error']);
+  assert.deepEqual(findEscapeProblems('"Don\'t"'), []);
+  assert.match(findEscapeProblems('@oops here')[0].message, /resource reference/);
+});
+
+test('loadStringResources reads locale folders and skips other qualifiers', async () => {
+  const { locales, skippedFolders } = await loadStringResources(RES);
+  assert.deepEqual([...locales.keys()], ['', 'de', 'fr']);
+  assert.deepEqual(skippedFolders, ['values-night']);
+  assert.deepEqual(locales.get('').get('items').items.map(item => item.key), ['one', 'other']);
+});
+
+test('validateTranslations reports each rule against the default locale', async () => {
+  const { locales } = await loadStringResources(RES);
+  const issues = validateTranslations(locales, { tolerancePercent: 50 });
+
+  assert.deepEqual(rulesFor(issues, 'de', 'greeting'), ['placeholder-mismatch']);
+  assert.deepEqual(rulesFor(issues, 'de', 'checkout'), ['length-delta']);
+  assert.deepEqual(rulesFor(issues, 'de', 'items'), []);
+  assert.deepEqual(rulesFor(issues, 'de', 'sizes'), ['structure-mismatch']);
+  assert.deepEqual(rulesFor(issues, 'de', 'old_key'), ['extra-translation']);
+  assert.deepEqual(rulesFor(issues, 'de', 'promo'), []);
+  assert.deepEqual(rulesFor(issues, 'fr', 'app_name'), ['translated-untranslatable']);
+  assert.deepEqual(rulesFor(issues, 'fr', 'checkout'), ['broken-escape']);
+  assert.deepEqual(rulesFor(issues, 'fr', 'items'), ['structure-mismatch']);
+  assert.deepEqual(rulesFor(issues, 'fr', 'greeting'), []);
+
+  const summary = summarizeIssues(issues);
+  assert.equal(summary.errors + summary.warnings, issues.length);
+  assert.equal(sortIssues(issues, 'risk')[0].severity, 'error');
+});
+
+test('validateTranslations honors the locale and rule filters', async () => {
+  const { locales } = await loadStringResources(RES);
+  const issues = validateTranslations(locales, { tolerancePercent: 50, locales: ['fr'], rules: ['broken-escape'] });
+  assert.deepEqual(
+    issues.map(issue => `${issue.locale}:${issue.key}`),
+    ['fr:checkout']
+  );
+});
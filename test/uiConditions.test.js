@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { setAdbCassette } = require('../src/utils/adb');
+const { CassetteRecorder, CassettePlayer } = require('../src/utils/adbCassette');
+const { waitForCondition } = require('../src/utils/uiConditions');
+
+const XML = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?><hierarchy rotation="0">
+<node index="0" text="Welcome" resource-id="com.example.shop:id/title" class="android.widget.TextView" package="com.example.shop" content-desc="" clickable="false" enabled="true" bounds="[0,0][1080,200]" />
+</hierarchy>`;
+const SCRATCH = '/data/local/tmp/mcp_window_dump_00000000.xml';
+const BUSY = ['shell', 'uiautomator', 'dump', SCRATCH, 'ERROR: could not get idle state.\n'];
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui-conditions-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+async function replay(name, calls, run) {
+  const file = path.join(tempDir, `${name}.jsonl`);
+  const recorder = new CassetteRecorder(file);
+  for (const call of calls) {
+    const stdout = call[call.length - 1];
+    recorder.complete(recorder.start(['-s', 'emulator-5554', ...call.slice(0, -1)]), { stdout, stderr: '', exitCode: 0 });
+  }
+  await recorder.close();
+  setAdbCassette(new CassettePlayer(file, 'strict'));
+  try {
+    return await run();
+  } finally {
+    setAdbCassette(null);
+  }
+}
+
+test('waitForCondition keeps polling after a failed dump', async () => {
+  const calls = [
+    BUSY,
+    BUSY,
+    ['shell', 'rm', '-f', SCRATCH, ''],
+    ['shell', 'uiautomator', 'dump', SCRATCH, `UI hierchary dumped to: ${SCRATCH}\n`],
+    ['shell', 'cat', SCRATCH, XML],
+    ['shell', 'rm', '-f', SCRATCH, '']
+  ];
+  const result = await replay('recovers', calls, () =>
+    waitForCondition({ condition: 'appears', selector: { text: 'Welcome' }, timeoutMs: 10000, intervalMs: 100 }, 'emulator-5554')
+  );
+  assert.equal(result.satisfied, true);
+  assert.equal(result.polls, 2);
+  assert.equal(result.state.count, 1);
+  assert.equal(result.lastError, undefined);
+});
+
+test('waitForCondition reports the last observation error at the timeout', async () => {
+  const calls = [BUSY, BUSY, ['shell', 'rm', '-f', SCRATCH, '']];
+  const result = await replay('times-out', calls, () =>
+    waitForCondition({ condition: 'appears', selector: { text: 'Welcome' }, timeoutMs: 500, intervalMs: 400 }, 'emulator-5554')
+  );
+  assert.equal(result.satisfied, false);
+  assert.equal(result.polls, 1);
+  assert.equal(result.state, undefined);
+  assert.equal(result.lastError, 'uiautomator dump failed: ERROR: could not get idle state.');
+});
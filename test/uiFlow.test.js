@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { setAdbCassette } = require('../src/utils/adb');
+const { CassetteRecorder, CassettePlayer } = require('../src/utils/adbCassette');
+const { parseFlowSource, compileFlow, runFlow } = require('../src/utils/uiFlow');
+
+const SERIAL = 'emulator-5554';
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui-flow-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+async function writeCassette(file, calls) {
+  const recorder = new CassetteRecorder(file);
+  for (const [args, stdout] of calls) {
+    recorder.complete(recorder.start(['-s', SERIAL, ...args]), { stdout, stderr: '', exitCode: 0 });
+  }
+  await recorder.close();
+}
+
+test('a bare logcat step gets the default options', () => {
+  const flow = compileFlow(parseFlowSource('steps:\n  - logcat:\n  - logcat: {priority: E}\n'));
+  assert.deepEqual(flow.steps[0].config, { priority: 'V', maxLines: 500, clear: false });
+  assert.deepEqual(flow.steps[1].config, { priority: 'E', maxLines: 500, clear: false });
+});
+
+test('step validation names the step and the bad field', () => {
+  assert.throws(() => compileFlow({ steps: [{ tap: { x: 1, y: 2 } }, { logcat: { priority: 'X' } }] }), {
+    message: /^Step 2 \(logcat\): priority:/
+  });
+  assert.throws(() => compileFlow({ steps: [{ tap: { x: 1, y: 2 }, key: 'BACK' }] }), {
+    message: /^Step 1: expected exactly one of/
+  });
+  assert.throws(() => compileFlow({ steps: [{ logcat: { packageName: 'com.app; reboot' } }] }), {
+    message: /^Step 1 \(logcat\): packageName: must be an application id/
+  });
+});
+
+test('artifact names from the flow cannot leave the run directory', async () => {
+  const cassette = path.join(tempDir, 'artifacts.jsonl');
+  await writeCassette(cassette, [
+    [['exec-out', 'screencap', '-p'], PNG],
+    [['logcat', '-d', '-v', 'threadtime', '-t', '500', '*:V'], 'log\n']
+  ]);
+  const flow = compileFlow(
+    parseFlowSource('name: ../escape\ncapture: none\nsteps:\n  - screenshot: ../../../outside/evil.png\n  - logcat:\n')
+  );
+
+  setAdbCassette(new CassettePlayer(cassette, 'strict'));
+  let report;
+  try {
+    report = await runFlow(flow, { outputDir: path.join(tempDir, 'runs'), serial: SERIAL });
+  } finally {
+    setAdbCassette(null);
+  }
+
+  assert.equal(report.passed, true, JSON.stringify(report.steps));
+  assert.equal(path.dirname(report.runDir), path.join(tempDir, 'runs'));
+  assert.deepEqual(fs.readdirSync(report.runDir).sort(), ['01-.._.._.._outside_evil.png', '02-logcat.txt', 'report.json']);
+  assert.deepEqual(fs.readFileSync(path.join(report.runDir, '01-.._.._.._outside_evil.png')), PNG);
+  assert.equal(fs.existsSync(path.join(tempDir, 'outside')), false);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { setAdbCassette } = require('../src/utils/adb');
+const { CassetteRecorder, CassettePlayer } = require('../src/utils/adbCassette');
+const {
+  parseUiHierarchy,
+  flatten,
+  findElements,
+  selectorError,
+  compactTree,
+  outline,
+  resolveElement,
+  dumpUiXml
+} = require('../src/utils/uiHierarchy');
+
+const XML = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?><hierarchy rotation="0">
+<node index="0" text="" resource-id="" class="android.widget.FrameLayout" package="com.example.shop" content-desc="" clickable="false" enabled="true" bounds="[0,0][1080,2400]">
+  <node index="0" text="Sign in" resource-id="com.example.shop:id/login" class="android.widget.Button" package="com.example.shop" content-desc="" clickable="true" enabled="true" bounds="[100,1000][980,1150]" />
+  <node index="1" text="Caf&#233; &amp; more &#x1F600; &lt;b&gt;" resource-id="com.example.shop:id/title" class="android.widget.TextView" package="com.example.shop" content-desc="" clickable="false" enabled="true" bounds="[0,200][1080,300]" />
+  <node index="2" text="" resource-id="com.example.shop:id/list" class="androidx.recyclerview.widget.RecyclerView" package="com.example.shop" content-desc="" scrollable="true" enabled="true" bounds="[0,400][1080,900]">
+    <node index="0" text="Item 1" resource-id="com.example.shop:id/row" class="android.widget.TextView" package="com.example.shop" content-desc="" clickable="true" enabled="true" bounds="[0,400][1080,500]" />
+    <node index="1" text="Item 2" resource-id="com.example.shop:id/row" class="android.widget.TextView" package="com.example.shop" content-desc="Second" clickable="true" enabled="false" bounds="[0,500][1080,600]" />
+  </node>
+</node>
+</hierarchy>`;
+
+const nodes = parseUiHierarchy(XML);
+
+test('parseUiHierarchy builds the tree with bounds, centers and flags', () => {
+  assert.equal(flatten(nodes).length, 6);
+  const [login] = findElements(nodes, { resourceId: 'login' });
+  assert.deepEqual(login.bounds, { left: 100, top: 1000, right: 980, bottom: 1150 });
+  assert.deepEqual(login.center, { x: 540, y: 1075 });
+  assert.equal(login.clickable, true);
+  assert.equal(login.parent.className, 'android.widget.FrameLayout');
+});
+
+test('entities are decoded, including hex and astral code points', () => {
+  const [title] = findElements(nodes, { resourceId: 'title' });
+  assert.equal(title.text, 'Café & more \u{1F600} <b>');
+});
+
+test('selectors match short ids, simple class names, text and state', () => {
+  assert.equal(findElements(nodes, { resourceId: 'com.example.shop:id/login' }).length, 1);
+  assert.equal(findElements(nodes, { className: 'TextView' }).length, 3);
+  assert.equal(findElements(nodes, { textContains: 'item' }).length, 2);
+  assert.equal(findElements(nodes, { textMatches: '^Item \\d$', enabled: false })[0].text, 'Item 2');
+  assert.equal(findElements(nodes, { contentDesc: 'Second' })[0].index, 1);
+  assert.equal(findElements(nodes, { resourceId: 'row', index: 0 })[0].text, 'Item 1');
+  assert.equal(findElements(nodes, { text: 'Sign in', packageName: 'com.other' }).length, 0);
+});
+
+test('ancestor and descendant relations narrow the match', () => {
+  assert.equal(findElements(nodes, { className: 'TextView', ancestor: { scrollable: true } }).length, 2);
+  assert.deepEqual(
+    findElements(nodes, { descendant: { text: 'Item 2' } }).map(node => node.resourceId),
+    ['', 'com.example.shop:id/list']
+  );
+});
+
+test('selectorError reports bad regexes, including nested ones', () => {
+  assert.equal(selectorError({ textMatches: 'ok' }), null);
+  assert.match(selectorError({ ancestor: { contentDescMatches: '(' } }), /^Invalid contentDescMatches regex/);
+});
+
+test('resolveElement explains no, ambiguous and out-of-range matches', () => {
+  assert.throws(() => resolveElement(nodes, { text: 'Missing' }), /No element matches/);
+  assert.throws(() => resolveElement(nodes, { resourceId: 'row' }), /ambiguous: 2 elements match[\s\S]*\[1\] TextView "Item 2"/);
+  assert.throws(() => resolveElement(nodes, { resourceId: 'row' }, 2), /nth=2 is out of range/);
+  assert.equal(resolveElement(nodes, { resourceId: 'row' }, 1).text, 'Item 2');
+});
+
+test('compactTree and outline hoist layout-only nodes', () => {
+  const tree = compactTree(nodes);
+  assert.deepEqual(
+    tree.map(element => element.className),
+    ['Button', 'TextView', 'RecyclerView']
+  );
+  assert.equal(tree[2].children.length, 2);
+  assert.equal(
+    outline(nodes).split('\n')[4],
+    '  TextView "Item 2" desc="Second" #row [clickable,disabled] @540,550'
+  );
+});
+
+test('dumpUiXml retries a busy dump once, then fails with a retryable error', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui-dump-test-'));
+  const cassette = path.join(tempDir, 'dump.jsonl');
+  const scratch = '/data/local/tmp/mcp_window_dump_00000000.xml';
+  const recorder = new CassetteRecorder(cassette);
+  const calls = [
+    [['shell', 'uiautomator', 'dump', scratch], 'ERROR: could not get idle state.\n'],
+    [['shell', 'uiautomator', 'dump', scratch], `UI hierchary dumped to: ${scratch}\n`],
+    [['shell', 'cat', scratch], XML],
+    [['shell', 'rm', '-f', scratch], ''],
+    [['shell', 'uiautomator', 'dump', scratch], 'ERROR: could not get idle state.\n'],
+    [['shell', 'uiautomator', 'dump', scratch], 'ERROR: could not get idle state.\n'],
+    [['shell', 'rm', '-f', scratch], '']
+  ];
+  for (const [args, stdout] of calls) recorder.complete(recorder.start(['-s', 'emulator-5554', ...args]), { stdout, stderr: '', exitCode: 0 });
+  await recorder.close();
+
+  setAdbCassette(new CassettePlayer(cassette, 'strict'));
+  try {
+    assert.match(await dumpUiXml(1000, 'emulator-5554'), /^<\?xml/);
+    await assert.rejects(dumpUiXml(1000, 'emulator-5554'), {
+      retryable: true,
+      message: 'uiautomator dump failed: ERROR: could not get idle state.'
+    });
+  } finally {
+    setAdbCassette(null);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
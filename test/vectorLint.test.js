@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { loadConfig } = require('../src/config');
+const { listToolNames, createServer } = require('../src/server');
+
+const XML = `<?xml version="1.0" encoding="utf-8"?>
+<!--
+  Copyright 2026 Example
+  Licensed under Apache-2.0
+-->
+<vector xmlns:android="http://schemas.android.com/apk/res/android"
+    android:width="24dp" android:height="24dp" android:viewportWidth="24" android:viewportHeight="24">
+    <!--   outline   -->
+    <group>
+        <path android:fillColor="#FF000000" android:pathData="M0,0h12v12H0z"/>
+    </group>
+</vector>
+`;
+
+async function lint(args) {
+  const client = new Client({ name: 'vector-lint-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([createServer(loadConfig([], {}, listToolNames())).connect(serverTransport), client.connect(clientTransport)]);
+  try {
+    const result = await client.callTool({ name: 'lint-vector-drawable', arguments: args });
+    assert.equal(result.isError, undefined, JSON.stringify(result.content));
+    return result.content.map(item => item.text);
+  } finally {
+    await client.close();
+  }
+}
+
+test('lint reports no-op groups and single-color icons', async () => {
+  const [report] = await lint({ xml: XML });
+  assert.deepEqual(JSON.parse(report.slice(report.indexOf('\n') + 1))[0].findings.map(finding => finding.rule), [
+    'redundant-group',
+    'tintable-colors'
+  ]);
+});
+
+test('optimize keeps comments from the parsed tree, including multi-line license headers', async () => {
+  const texts = await lint({ xml: XML, optimize: true });
+  const optimized = texts.find(text => text.startsWith('<?xml'));
+  assert.ok(optimized.startsWith('<?xml version="1.0" encoding="utf-8"?>\n<!--\n  Copyright 2026 Example\n  Licensed under Apache-2.0\n-->\n<vector\n'));
+  assert.match(optimized, /\n {4}<!-- outline -->\n {4}<path\n/);
+  assert.doesNotMatch(optimized, /<group/);
+});
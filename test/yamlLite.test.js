@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYaml } = require('../src/utils/yamlLite');
+
+test('block mappings nest by indentation', () => {
+  assert.deepEqual(parseYaml('name: login\nwait:\n  selector:\n    text: Home\n  timeoutMs: 5000\n'), {
+    name: 'login',
+    wait: { selector: { text: 'Home' }, timeoutMs: 5000 }
+  });
+});
+
+test('block sequences hold scalars, mappings, nested sequences and empty items', () => {
+  assert.deepEqual(parseYaml('- one\n- 2\n- key: BACK\n  name: back\n- - a\n  - b\n-\n  k: v\n-\n'), [
+    'one',
+    2,
+    { key: 'BACK', name: 'back' },
+    ['a', 'b'],
+    { k: 'v' },
+    null
+  ]);
+});
+
+test('a sequence may sit at the same indentation as its key', () => {
+  assert.deepEqual(parseYaml('steps:\n- tap: {x: 1, y: 2}\n- logcat:\nname: flow\n'), {
+    steps: [{ tap: { x: 1, y: 2 } }, { logcat: null }],
+    name: 'flow'
+  });
+});
+
+test('flow collections nest and keep quoted separators', () => {
+  assert.deepEqual(parseYaml('tap: {selector: {text: "Sign in, now"}, nth: 0}\nswipe: {from: [100, 900], to: [100, 200]}'), {
+    tap: { selector: { text: 'Sign in, now' }, nth: 0 },
+    swipe: { from: [100, 900], to: [100, 200] }
+  });
+  assert.deepEqual(parseYaml("[1, 'it''s', {}, []]"), [1, "it's", {}, []]);
+});
+
+test('scalars cover quotes, numbers, booleans and null', () => {
+  assert.deepEqual(
+    parseYaml(
+      'double: "tab\\there"\nsingle: \'it\'\'s\'\nint: 42\nfloat: -1.5e3\ndot: .5\nyes: true\nno: false\n' +
+        'tilde: ~\nnull: null\nempty:\nplain: com.example.app/.MainActivity\nversion: 1.2.3\ncolon: a:b\n'
+    ),
+    {
+      double: 'tab\there',
+      single: "it's",
+      int: 42,
+      float: -1500,
+      dot: 0.5,
+      yes: true,
+      no: false,
+      tilde: null,
+      null: null,
+      empty: null,
+      plain: 'com.example.app/.MainActivity',
+      version: '1.2.3',
+      colon: 'a:b'
+    }
+  );
+});
+
+test('quoted keys and keys with spaces', () => {
+  assert.deepEqual(parseYaml('"a: b": 1\nplain key: 2\n'), { 'a: b': 1, 'plain key': 2 });
+});
+
+test('comments are stripped outside quotes only', () => {
+  assert.deepEqual(
+    parseYaml('# header\n---\nurl: https://x.test/#top # trailing\ntext: "# kept" # dropped\n  # indented comment\nend: 1\r\n'),
+    { url: 'https://x.test/#top', text: '# kept', end: 1 }
+  );
+});
+
+test('a document with a single scalar or flow value returns it directly', () => {
+  assert.equal(parseYaml('hello'), 'hello');
+  assert.deepEqual(parseYaml('{a: 1}'), { a: 1 });
+  assert.equal(parseYaml('# nothing\n\n'), null);
+});
+
+test('tabs in indentation are rejected with the line number', () => {
+  assert.throws(() => parseYaml('a:\n\tb: 1'), { message: 'YAML line 2: tabs are not allowed for indentation' });
+});
+
+test('a line that is neither a key nor a list item is rejected', () => {
+  assert.throws(() => parseYaml('a: 1\njust text\n'), { message: 'YAML line 2: expected "key: value"' });
+});
+
+test('inconsistent indentation is rejected', () => {
+  assert.throws(() => parseYaml('a:\n    b: 1\n  c: 2\n'), { message: 'YAML line 3: unexpected indentation' });
+});
+
+test('unterminated and malformed strings are rejected', () => {
+  assert.throws(() => parseYaml("a: 'open"), { message: /Unterminated string/ });
+  assert.throws(() => parseYaml('a: "bad \\q"'), SyntaxError);
+});
+
+test('malformed flow collections are rejected', () => {
+  assert.throws(() => parseYaml('a: [1, 2'), { message: /Expected , or \] in/ });
+  assert.throws(() => parseYaml('a: {k: 1'), { message: /Expected , or \} in/ });
+  assert.throws(() => parseYaml('a: {k 1}'), { message: /Expected : after key "k 1"/ });
+  assert.throws(() => parseYaml('a: [1] x'), { message: 'Unexpected content after flow value: x' });
+});